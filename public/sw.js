@@ -0,0 +1,43 @@
+/**
+ * LibrarySpot service worker: shows Web Push notifications for saved searches
+ * ("Notify me") and opens the booking page when one is clicked.
+ *
+ * Payload (from server/watches.js): { title, body, url, tag }
+ */
+
+self.addEventListener("push", (event) => {
+  let payload = {};
+  try {
+    payload = event.data ? event.data.json() : {};
+  } catch {
+    payload = { body: event.data?.text() };
+  }
+
+  event.waitUntil(
+    self.registration.showNotification(payload.title || "LibrarySpot", {
+      body: payload.body || "A room you're watching just opened up",
+      tag: payload.tag,
+      data: { url: payload.url || "/" },
+    }),
+  );
+});
+
+self.addEventListener("notificationclick", (event) => {
+  event.notification.close();
+  const url = new URL(
+    event.notification.data?.url || "/",
+    self.location.origin,
+  );
+
+  event.waitUntil(
+    (async () => {
+      const windows = await self.clients.matchAll({
+        type: "window",
+        includeUncontrolled: true,
+      });
+      const existing = windows.find((client) => client.url === url.href);
+      if (existing) return existing.focus();
+      return self.clients.openWindow(url.href);
+    })(),
+  );
+});
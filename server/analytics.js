@@ -0,0 +1,243 @@
+/**
+ * Booking history + occupancy analytics
+ *
+ * The background refresh sees every slot once a minute. Comparing each pass
+ * with the previous one tells us when a slot flipped from available to taken,
+ * which is (to within a minute) when it was booked. Each flip is recorded as:
+ *
+ *   { libraryId, room, date, time, slotMinutes, bookedAt, leadMinutes }
+ *
+ * where leadMinutes is how long before the slot started it was booked.
+ * With a data directory, events are appended to analytics/bookings.jsonl and
+ * reloaded on boot; otherwise they live in memory only. Events older than
+ * HISTORY_DAYS are dropped from memory on every pass, and the file is
+ * rewritten without them (at most once per COMPACT_INTERVAL_MS).
+ */
+import fs from "fs";
+import path from "path";
+import { slotMinutesOf } from "../shared/slots.js";
+
+const HISTORY_DAYS = 180;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const COMPACT_INTERVAL_MS = 60 * 60 * 1000;
+
+const dayNumber = (dateStr) => Date.parse(`${dateStr}T00:00:00Z`) / DAY_MS;
+const weekdayOf = (dateStr) => new Date(`${dateStr}T12:00:00Z`).getUTCDay();
+
+function median(values) {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2
+    ? sorted[mid]
+    : Math.round((sorted[mid - 1] + sorted[mid]) / 2);
+}
+
+/**
+ * @param {Object} options
+ * @param {string|null} options.dataDir - Where to persist events (falsy = memory only)
+ */
+export function createBookingRecorder({ dataDir = null } = {}) {
+  const previous = new Map(); // `${date}|${libraryId}|${room}|${slotMinutes}` -> available
+  let events = [];
+
+  const filePath = dataDir
+    ? path.join(dataDir, "analytics", "bookings.jsonl")
+    : null;
+  // Appends and rewrites of the file run one at a time, in order
+  let writes = Promise.resolve();
+  let lastCompactedAt = 0;
+  let needsCompaction = false;
+
+  if (filePath) {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    if (fs.existsSync(filePath)) {
+      const cutoff = Date.now() - HISTORY_DAYS * DAY_MS;
+      for (const line of fs.readFileSync(filePath, "utf-8").split("\n")) {
+        if (!line.trim()) continue;
+        try {
+          const event = JSON.parse(line);
+          if (event.bookedAt >= cutoff) events.push(event);
+          else needsCompaction = true;
+        } catch {
+          // ignore a torn last line from a crash
+          needsCompaction = true;
+        }
+      }
+      console.log(`📈 Loaded ${events.length} booking event(s)`);
+    }
+  }
+
+  function queueWrite(write, what) {
+    writes = writes
+      .then(write)
+      .catch((error) => console.warn(`⚠️ Failed to ${what}:`, error.message));
+    return writes;
+  }
+
+  function append(newEvents) {
+    events.push(...newEvents);
+    if (!filePath || newEvents.length === 0) return;
+    const lines = newEvents.map((e) => JSON.stringify(e)).join("\n") + "\n";
+    queueWrite(
+      () => fs.promises.appendFile(filePath, lines),
+      "record bookings",
+    );
+  }
+
+  /**
+   * Drop events older than the history window from memory, and mark the
+   * file for a rewrite when anything was dropped
+   */
+  function dropExpired() {
+    const cutoff = Date.now() - HISTORY_DAYS * DAY_MS;
+    const kept = events.filter((e) => e.bookedAt >= cutoff);
+    if (kept.length === events.length) return;
+    events = kept;
+    needsCompaction = true;
+  }
+
+  /**
+   * Rewrite the file with only the events still in memory
+   */
+  function compact() {
+    if (!filePath || !needsCompaction) return writes;
+    if (Date.now() - lastCompactedAt < COMPACT_INTERVAL_MS) return writes;
+    needsCompaction = false;
+    lastCompactedAt = Date.now();
+    // Snapshot now: appends queued before this are for events it includes,
+    // appends queued after are for events it doesn't
+    const lines = events.map((e) => JSON.stringify(e) + "\n").join("");
+    const tmpPath = `${filePath}.${process.pid}.tmp`;
+    return queueWrite(async () => {
+      await fs.promises.writeFile(tmpPath, lines);
+      await fs.promises.rename(tmpPath, filePath);
+    }, "compact booking history");
+  }
+
+  /**
+   * Compare a fresh fetch for one date with the previous pass and record flips
+   * @param {string} dateStr - Date the slots belong to (YYYY-MM-DD)
+   * @param {Array} libraries - Normalized library results for that date
+   * @param {Object} now - Current local time (getZonedTimeInfo): { timestamp, dateStr, hour, minute }
+   */
+  function observe(dateStr, libraries, now) {
+    const nowMinutes = now.hour * 60 + now.minute;
+    const daysAhead = dayNumber(dateStr) - dayNumber(now.dateStr);
+    const newEvents = [];
+
+    for (const library of libraries) {
+      // Failed or last-known-good data says nothing about what changed
+      if (library.error || library.stale) continue;
+
+      for (const room of library.rooms || []) {
+        for (const slot of room.slots || []) {
+          const slotMinutes = slotMinutesOf(slot);
+          if (slotMinutes === null) continue;
+
+          const key = `${dateStr}|${library.id}|${room.name}|${slotMinutes}`;
+          const wasAvailable = previous.get(key);
+          previous.set(key, slot.available);
+
+          if (wasAvailable !== true || slot.available) continue;
+
+          const leadMinutes = daysAhead * 24 * 60 + slotMinutes - nowMinutes;
+          // Slots that already ended flip for reasons other than a booking
+          if (leadMinutes < -30) continue;
+
+          newEvents.push({
+            libraryId: library.id,
+            room: room.name,
+            date: dateStr,
+            time: slot.time,
+            slotMinutes,
+            bookedAt: now.timestamp,
+            leadMinutes,
+          });
+        }
+      }
+    }
+
+    dropExpired();
+    append(newEvents);
+  }
+
+  /**
+   * Drop slot state for dates that left the window and events older than
+   * the history window; resolves once any file rewrite has finished
+   */
+  function prune(oldestDate) {
+    for (const key of previous.keys()) {
+      if (key.slice(0, 10) < oldestDate) previous.delete(key);
+    }
+    dropExpired();
+    return compact();
+  }
+
+  /**
+   * Summarize recorded bookings per library
+   * @param {Object} options
+   * @param {Array} options.libraries - Library configs ({ id, name }) to report on
+   * @param {number} options.days - How many days of history to include
+   */
+  function summarize({ libraries, days = 56 }) {
+    const since = Date.now() - days * DAY_MS;
+    const recent = events.filter((e) => e.bookedAt >= since);
+
+    return {
+      since: new Date(since).toISOString(),
+      totalBookings: recent.length,
+      libraries: libraries.map((library) => {
+        const libEvents = recent.filter((e) => e.libraryId === library.id);
+
+        // heatmap[weekday][hour] = bookings; averaged over the dates we saw for that weekday
+        const counts = Array.from({ length: 7 }, () => Array(24).fill(0));
+        const datesByWeekday = Array.from({ length: 7 }, () => new Set());
+        for (const e of libEvents) {
+          const weekday = weekdayOf(e.date);
+          counts[weekday][Math.floor(e.slotMinutes / 60)]++;
+          datesByWeekday[weekday].add(e.date);
+        }
+        const perDay = counts.map((row, weekday) => {
+          const n = datesByWeekday[weekday].size;
+          return row.map((c) => (n ? Math.round((c / n) * 10) / 10 : 0));
+        });
+
+        const byRoom = new Map();
+        for (const e of libEvents) {
+          if (!byRoom.has(e.room)) byRoom.set(e.room, []);
+          byRoom.get(e.room).push(e.leadMinutes);
+        }
+
+        // Rooms booked furthest in advance are the ones that fill first
+        const rooms = [...byRoom.entries()]
+          .map(([name, leads]) => ({
+            name,
+            bookings: leads.length,
+            medianLeadMinutes: median(leads),
+          }))
+          .sort((a, b) => b.medianLeadMinutes - a.medianLeadMinutes);
+
+        const leadByWeekday = Array.from({ length: 7 }, (_, weekday) =>
+          median(
+            libEvents
+              .filter((e) => weekdayOf(e.date) === weekday)
+              .map((e) => e.leadMinutes),
+          ),
+        );
+
+        return {
+          id: library.id,
+          name: library.name,
+          bookings: libEvents.length,
+          medianLeadMinutes: median(libEvents.map((e) => e.leadMinutes)),
+          medianLeadMinutesByWeekday: leadByWeekday,
+          heatmap: { counts, perDay },
+          rooms,
+        };
+      }),
+    };
+  }
+
+  return { observe, prune, summarize };
+}
@@ -0,0 +1,150 @@
+/**
+ * Shared Puppeteer browser for LibCal scraping
+ *
+ * One long-lived Chromium is launched on first use and shared by every
+ * scrape. Each scrape gets its own page; at most `maxPages` are open at once
+ * and the rest wait in a queue. A scrape that runs past `timeoutMs` has its
+ * page closed and rejects. If Chromium crashes or disconnects, the next
+ * scrape launches a fresh one.
+ *
+ *   const pool = createBrowserPool({ maxPages: 2 });
+ *   const rooms = await pool.withPage(async (page) => { ... });
+ */
+import { createLimiter } from "./sources.js";
+
+const DURATION_SAMPLES = 50;
+
+/**
+ * @param {Object} options
+ * @param {number} options.maxPages - Pages open at once (the rest queue)
+ * @param {number} options.timeoutMs - Per-scrape time limit
+ * @param {Object} options.launchOptions - Passed to puppeteer.launch()
+ */
+export function createBrowserPool({
+  maxPages = 2,
+  timeoutMs = 60 * 1000,
+  launchOptions = {},
+} = {}) {
+  const limit = createLimiter(maxPages);
+  let browser = null;
+  let launching = null;
+  let closing = false;
+
+  const durations = [];
+  const metrics = {
+    launches: 0,
+    crashes: 0,
+    scrapes: 0,
+    failures: 0,
+    timeouts: 0,
+    lastLaunchAt: null,
+    lastCrashAt: null,
+  };
+
+  async function loadPuppeteer() {
+    try {
+      return (await import("puppeteer")).default;
+    } catch {
+      const error = new Error("Puppeteer not installed");
+      error.code = "PUPPETEER_MISSING";
+      throw error;
+    }
+  }
+
+  async function getBrowser() {
+    if (browser?.isConnected()) return browser;
+    if (launching) return launching;
+
+    launching = (async () => {
+      const puppeteer = await loadPuppeteer();
+      const instance = await puppeteer.launch({
+        headless: "new",
+        ...launchOptions,
+      });
+      metrics.launches++;
+      metrics.lastLaunchAt = new Date().toISOString();
+      console.log(
+        `🧭 Launched shared Chromium (pid ${instance.process()?.pid})`,
+      );
+
+      instance.on("disconnected", () => {
+        if (browser === instance) browser = null;
+        if (closing) return;
+        metrics.crashes++;
+        metrics.lastCrashAt = new Date().toISOString();
+        console.warn("⚠️ Chromium disconnected; relaunching on next scrape");
+      });
+
+      browser = instance;
+      return instance;
+    })();
+
+    try {
+      return await launching;
+    } finally {
+      launching = null;
+    }
+  }
+
+  function recordDuration(ms) {
+    durations.push(ms);
+    if (durations.length > DURATION_SAMPLES) durations.shift();
+  }
+
+  /**
+   * Run `fn(page)` on a fresh page from the shared browser
+   */
+  function withPage(fn, { timeout = timeoutMs } = {}) {
+    return limit(async () => {
+      const startedAt = Date.now();
+      let page = null;
+      let timer = null;
+
+      try {
+        page = await (await getBrowser()).newPage();
+        const timedOut = new Promise((_, reject) => {
+          timer = setTimeout(() => {
+            metrics.timeouts++;
+            reject(new Error(`Scrape timed out after ${timeout / 1000}s`));
+          }, timeout);
+        });
+        const result = await Promise.race([fn(page), timedOut]);
+        metrics.scrapes++;
+        return result;
+      } catch (error) {
+        metrics.failures++;
+        throw error;
+      } finally {
+        clearTimeout(timer);
+        recordDuration(Date.now() - startedAt);
+        // Also aborts whatever a timed-out scrape was still waiting on
+        await page?.close().catch(() => {});
+      }
+    });
+  }
+
+  async function close() {
+    closing = true;
+    const instance = browser;
+    browser = null;
+    if (instance) await instance.close().catch(() => {});
+  }
+
+  function stats() {
+    const { active, queued } = limit.stats();
+    return {
+      running: !!browser?.isConnected(),
+      maxPages,
+      activePages: active,
+      queueDepth: queued,
+      ...metrics,
+      lastScrapeMs: durations.at(-1) ?? null,
+      avgScrapeMs: durations.length
+        ? Math.round(durations.reduce((a, b) => a + b, 0) / durations.length)
+        : null,
+      maxScrapeMs: durations.length ? Math.max(...durations) : null,
+    };
+  }
+
+  return { withPage, close, stats };
+}
@@ -0,0 +1,382 @@
+/**
+ * Library configuration loader
+ *
+ * Libraries, rooms, LibCal hours-widget rows and icons live in a JSON file
+ * (server/libraries.json by default, or LIBRARY_CONFIG) so renaming a room
+ * doesn't mean patching both the server and the client. The file is validated
+ * once at boot; anything wrong is reported all at once with its JSON path.
+ *
+ * LibCal libraries describe their instance rather than a URL, so another
+ * campus's LibCal is just a config entry:
+ *
+ *   "libcal": { "domain": "hsl-osu.libcal.com", "lid": 694, "gid": 24674 }
+ *
+ * A top-level `timeZone` sets the deployment's zone ("today", the date
+ * window, the clock); a library's own `timeZone` overrides it for that
+ * library's upstream requests.
+ */
+import fs from "fs";
+import { OSU_BOOKING_URL } from "./osu.js";
+
+const ID_RE = /^[a-z0-9][a-z0-9-]*$/;
+const HOSTNAME_RE =
+  /^[a-z0-9]([a-z0-9-]*[a-z0-9])?(\.[a-z0-9]([a-z0-9-]*[a-z0-9])?)+$/i;
+
+export const DEFAULT_TIME_ZONE = "America/New_York";
+
+const isObject = (v) =>
+  v !== null && typeof v === "object" && !Array.isArray(v);
+const isNonEmptyString = (v) => typeof v === "string" && v.trim() !== "";
+const isPositiveInt = (v) => Number.isInteger(v) && v > 0;
+const isHour = (v) => typeof v === "number" && v >= 0 && v <= 24;
+
+function isTimeZone(v) {
+  if (!isNonEmptyString(v)) return false;
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone: v });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+const isHostname = (v) => isNonEmptyString(v) && HOSTNAME_RE.test(v);
+
+function isUrl(v) {
+  if (!isNonEmptyString(v)) return false;
+  try {
+    const url = new URL(v);
+    return url.protocol === "https:" || url.protocol === "http:";
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Validate a parsed config object. Returns a list of problems (empty if valid).
+ */
+export function validateLibraryConfig(config) {
+  const problems = [];
+
+  if (!isObject(config)) {
+    return ["config must be a JSON object"];
+  }
+  if (!Array.isArray(config.libraries) || config.libraries.length === 0) {
+    return ["libraries must be a non-empty array"];
+  }
+  if (config.timeZone !== undefined && !isTimeZone(config.timeZone)) {
+    problems.push(`timeZone must be an IANA time zone like "America/New_York"`);
+  }
+
+  const seenIds = new Set();
+
+  config.libraries.forEach((lib, i) => {
+    const at = `libraries[${i}]`;
+
+    if (!isObject(lib)) {
+      problems.push(`${at} must be an object`);
+      return;
+    }
+
+    if (!isNonEmptyString(lib.id) || !ID_RE.test(lib.id)) {
+      problems.push(
+        `${at}.id must be a lowercase slug like "thompson" or "18th-ave"`,
+      );
+    } else if (seenIds.has(lib.id)) {
+      problems.push(`${at}.id "${lib.id}" is used by more than one library`);
+    } else {
+      seenIds.add(lib.id);
+    }
+
+    for (const key of ["name", "address", "type"]) {
+      if (!isNonEmptyString(lib[key])) {
+        problems.push(`${at}.${key} is required`);
+      }
+    }
+    for (const key of ["shortName", "fullName", "subtitle", "icon"]) {
+      if (lib[key] !== undefined && !isNonEmptyString(lib[key])) {
+        problems.push(`${at}.${key} must be a non-empty string`);
+      }
+    }
+    for (const key of ["libcalUrl", "bookingUrl", "bookingUrlTemplate"]) {
+      if (lib[key] !== undefined && !isUrl(lib[key])) {
+        problems.push(`${at}.${key} must be an http(s) URL`);
+      }
+    }
+    if (lib.timeZone !== undefined && !isTimeZone(lib.timeZone)) {
+      problems.push(
+        `${at}.timeZone must be an IANA time zone like "America/Chicago"`,
+      );
+    }
+    if (
+      lib.defaultSelected !== undefined &&
+      typeof lib.defaultSelected !== "boolean"
+    ) {
+      problems.push(`${at}.defaultSelected must be true or false`);
+    }
+
+    // Type-specific requirements
+    if (lib.type === "osu-api" && !isPositiveInt(lib.locationId)) {
+      problems.push(
+        `${at}.locationId must be a positive integer for osu-api libraries`,
+      );
+    }
+    if (lib.type === "libcal" && lib.libcal === undefined && !lib.libcalUrl) {
+      problems.push(
+        `${at}.libcal ({ domain, lid, gid }) is required for libcal libraries`,
+      );
+    }
+    if (
+      lib.type === "libcal" &&
+      lib.libcal === undefined &&
+      isUrl(lib.libcalUrl) &&
+      !/^\d+$/.test(new URL(lib.libcalUrl).searchParams.get("lid") || "")
+    ) {
+      problems.push(`${at}.libcalUrl must include a numeric lid parameter`);
+    }
+    if (lib.libcal !== undefined) {
+      const libcal = lib.libcal;
+      if (!isObject(libcal)) {
+        problems.push(`${at}.libcal must be an object`);
+      } else {
+        if (!isHostname(libcal.domain)) {
+          problems.push(
+            `${at}.libcal.domain must be a hostname like "yourschool.libcal.com"`,
+          );
+        }
+        if (!isPositiveInt(libcal.lid)) {
+          problems.push(`${at}.libcal.lid must be a positive integer`);
+        }
+        if (
+          libcal.gid !== undefined &&
+          !(Number.isInteger(libcal.gid) && libcal.gid >= 0)
+        ) {
+          problems.push(`${at}.libcal.gid must be a non-negative integer`);
+        }
+        if (libcal.timeZone !== undefined && !isTimeZone(libcal.timeZone)) {
+          problems.push(
+            `${at}.libcal.timeZone must be an IANA time zone like "America/Chicago"`,
+          );
+        }
+      }
+    }
+
+    const hours = lib.defaultHours;
+    if (!isObject(hours)) {
+      problems.push(`${at}.defaultHours is required ({ open, close, label })`);
+    } else {
+      if (!isHour(hours.open)) {
+        problems.push(`${at}.defaultHours.open must be a decimal hour 0-24`);
+      }
+      if (!isHour(hours.close)) {
+        problems.push(`${at}.defaultHours.close must be a decimal hour 0-24`);
+      }
+      if (
+        isHour(hours.open) &&
+        isHour(hours.close) &&
+        hours.open > hours.close
+      ) {
+        problems.push(`${at}.defaultHours.open must not be after close`);
+      }
+      for (const key of ["label", "building"]) {
+        if (hours[key] !== undefined && !isNonEmptyString(hours[key])) {
+          problems.push(`${at}.defaultHours.${key} must be a non-empty string`);
+        }
+      }
+    }
+
+    if (lib.hoursWidget !== undefined) {
+      const widget = lib.hoursWidget;
+      if (!isObject(widget)) {
+        problems.push(`${at}.hoursWidget must be an object`);
+      } else {
+        if (!isHostname(widget.domain)) {
+          problems.push(
+            `${at}.hoursWidget.domain must be a hostname like "yourschool.libcal.com"`,
+          );
+        }
+        // iid is read from the instance's hours page when left out; without
+        // a lid the grid lists every location
+        for (const key of ["iid", "lid"]) {
+          if (widget[key] !== undefined && !isPositiveInt(widget[key])) {
+            problems.push(
+              `${at}.hoursWidget.${key} must be a positive integer`,
+            );
+          }
+        }
+        for (const key of ["buildingRowName", "reservationRowName"]) {
+          if (widget[key] !== undefined && !isNonEmptyString(widget[key])) {
+            problems.push(
+              `${at}.hoursWidget.${key} must be a non-empty string`,
+            );
+          }
+        }
+      }
+    }
+
+    if (lib.roomDefaults !== undefined) {
+      const defaults = lib.roomDefaults;
+      if (!isObject(defaults)) {
+        problems.push(`${at}.roomDefaults must be an object`);
+      } else {
+        if (
+          defaults.capacity !== undefined &&
+          !isPositiveInt(defaults.capacity)
+        ) {
+          problems.push(
+            `${at}.roomDefaults.capacity must be a positive integer`,
+          );
+        }
+        if (
+          defaults.floor !== undefined &&
+          !Number.isInteger(defaults.floor) &&
+          !isNonEmptyString(defaults.floor)
+        ) {
+          problems.push(
+            `${at}.roomDefaults.floor must be a number or a label like "LL"`,
+          );
+        }
+        if (
+          defaults.amenities !== undefined &&
+          (!Array.isArray(defaults.amenities) ||
+            !defaults.amenities.every(isNonEmptyString))
+        ) {
+          problems.push(
+            `${at}.roomDefaults.amenities must be a list of strings`,
+          );
+        }
+      }
+    }
+
+    if (lib.roomInfo !== undefined) {
+      if (!isObject(lib.roomInfo)) {
+        problems.push(`${at}.roomInfo must be an object keyed by room name`);
+      } else {
+        for (const [room, info] of Object.entries(lib.roomInfo)) {
+          const roomAt = `${at}.roomInfo["${room}"]`;
+          if (!isObject(info)) {
+            problems.push(`${roomAt} must be an object`);
+            continue;
+          }
+          if (info.capacity !== undefined && !isPositiveInt(info.capacity)) {
+            problems.push(`${roomAt}.capacity must be a positive integer`);
+          }
+          if (
+            info.floor !== undefined &&
+            !Number.isInteger(info.floor) &&
+            !isNonEmptyString(info.floor)
+          ) {
+            problems.push(
+              `${roomAt}.floor must be a number or a label like "LL"`,
+            );
+          }
+        }
+      }
+    }
+  });
+
+  return problems;
+}
+
+/**
+ * Read and validate the config file. Throws one Error listing every problem.
+ */
+export function loadLibraryConfig(filePath) {
+  let raw;
+  try {
+    raw = fs.readFileSync(filePath, "utf-8");
+  } catch (error) {
+    throw new Error(`Cannot read library config ${filePath}: ${error.message}`);
+  }
+
+  let config;
+  try {
+    config = JSON.parse(raw);
+  } catch (error) {
+    throw new Error(
+      `Library config ${filePath} is not valid JSON: ${error.message}`,
+    );
+  }
+
+  const problems = validateLibraryConfig(config);
+  if (problems.length > 0) {
+    throw new Error(
+      `Invalid library config ${filePath}:\n${problems.map((p) => `  - ${p}`).join("\n")}`,
+    );
+  }
+
+  const timeZone = config.timeZone || DEFAULT_TIME_ZONE;
+  return {
+    ...config,
+    timeZone,
+    libraries: config.libraries.map((lib) =>
+      withOsuApiDefaults(
+        withLibCalDefaults({
+          ...lib,
+          timeZone: lib.timeZone || lib.libcal?.timeZone || timeZone,
+        }),
+      ),
+    ),
+  };
+}
+
+/**
+ * Fill in a libcal library's `libcal` block (from a legacy `libcalUrl` if
+ * that's all it has), its spaces page URL and booking link
+ */
+function withLibCalDefaults(lib) {
+  if (lib.type !== "libcal") return lib;
+
+  let libcal = lib.libcal;
+  if (!libcal) {
+    const url = new URL(lib.libcalUrl);
+    libcal = {
+      domain: url.hostname,
+      lid: Number(url.searchParams.get("lid")),
+      gid: Number(url.searchParams.get("gid") || 0),
+    };
+  }
+  libcal = { gid: 0, ...libcal };
+
+  const libcalUrl = `https://${libcal.domain}/spaces?lid=${libcal.lid}${libcal.gid ? `&gid=${libcal.gid}` : ""}`;
+  return {
+    ...lib,
+    libcal,
+    libcalUrl,
+    bookingUrl: lib.bookingUrl || libcalUrl,
+  };
+}
+
+/**
+ * OSU API libraries book through the OSU room reservation site; a per-room
+ * `bookingUrlTemplate` is only used when one is configured
+ */
+function withOsuApiDefaults(lib) {
+  if (lib.type !== "osu-api") return lib;
+  return {
+    ...lib,
+    bookingUrl: lib.bookingUrl || OSU_BOOKING_URL,
+  };
+}
+
+/**
+ * The subset of each library the client needs to build filters and fallbacks
+ */
+export function getPublicLibraryConfig(libraries) {
+  return libraries.map((lib) => ({
+    id: lib.id,
+    name: lib.name,
+    shortName: lib.shortName || lib.name,
+    fullName: lib.fullName,
+    subtitle: lib.subtitle,
+    icon: lib.icon,
+    address: lib.address,
+    type: lib.type,
+    bookingUrl: lib.bookingUrl,
+    bookingUrlTemplate: lib.bookingUrlTemplate,
+    locationId: lib.locationId,
+    defaultSelected: lib.defaultSelected !== false,
+    defaultHours: lib.defaultHours,
+    timeZone: lib.timeZone,
+  }));
+}
@@ -0,0 +1,216 @@
+/**
+ * LibCal hours widget parsing
+ *
+ * The weekly hours grid (`/widget/hours/grid?iid=..&lid=..&date=<monday>`)
+ * is an HTML table with one row per location and one cell per weekday,
+ * Monday first. Each library's config names the rows to read (building and
+ * reservation hours); without a name the first location row is used. Besides
+ * the hours, a cell may carry a label for the day ("Thanksgiving Break",
+ * "Closed for event", "(Current OSU ID req'd 12AM -7AM)"), kept as `note`.
+ *
+ * The institution id (`iid`) can be left out of the config: every LibCal
+ * instance's public hours page (`/hours`) loads the grid with it.
+ */
+import { parseTimeToHours } from "../shared/slots.js";
+import { addDays } from "../shared/time.js";
+
+/**
+ * The LibCal institution id in a page of that instance (`iid=1234`,
+ * `iid: 1234` or `"iid":"1234"`), or null
+ */
+export function findLibCalIid(html) {
+  const match = String(html).match(/\biid["']?\s*[:=]\s*["']?(\d+)/);
+  return match ? Number(match[1]) : null;
+}
+
+/**
+ * Get Monday of the week for a given date
+ */
+export function getMondayOfWeek(dateStr) {
+  const date = new Date(dateStr + "T12:00:00");
+  const day = date.getDay();
+  const diff = day === 0 ? -6 : 1 - day; // Adjust to get Monday
+  date.setDate(date.getDate() + diff);
+  const year = date.getFullYear();
+  const month = String(date.getMonth() + 1).padStart(2, "0");
+  const dayNum = String(date.getDate()).padStart(2, "0");
+  return `${year}-${month}-${dayNum}`;
+}
+
+/**
+ * Mondays of every week overlapping [from, to] (YYYY-MM-DD, inclusive),
+ * i.e. the hours grid pages needed to cover the range
+ */
+export function getWeekStarts(from, to) {
+  const weeks = [];
+  for (
+    let monday = getMondayOfWeek(from);
+    monday <= to;
+    monday = addDays(monday, 7)
+  ) {
+    weeks.push(monday);
+  }
+  return weeks;
+}
+
+const TIME_RANGE_RE =
+  /(\d{1,2}(?::\d{2})?\s*(?:am|pm))\s*(?:&ndash;|–|-)\s*(\d{1,2}(?::\d{2})?\s*(?:am|pm))/i;
+
+// Visible text of a cell: tags stripped, entities decoded, whitespace collapsed
+function getCellText(cellContent) {
+  return cellContent
+    .replace(/<[^>]*>/g, " ")
+    .replace(/&ndash;|&mdash;/g, "–")
+    .replace(/&nbsp;/g, " ")
+    .replace(/&#39;|&rsquo;/g, "'")
+    .replace(/&amp;/g, "&")
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+/**
+ * The cell's label once the hours themselves are removed, e.g.
+ * "Thanksgiving Break" from "Closed - Thanksgiving Break"; null if none
+ */
+function getCellNote(text, hoursPattern) {
+  let note = text
+    .replace(hoursPattern, "")
+    .trim()
+    .replace(/^[-–:,]\s*|\s*[-–:,]$/g, "")
+    .trim();
+  if (/^\(.*\)$/.test(note)) note = note.slice(1, -1).trim();
+  return note || null;
+}
+
+/**
+ * Parse hours from a specific row in the HTML
+ */
+export function parseRowHours(html, rowName, mondayDate) {
+  const hours = {};
+
+  // Find ALL rows first, then filter to the one containing our target in first td
+  const allRows = [...html.matchAll(/<tr[^>]*>([\s\S]*?)<\/tr>/gi)];
+
+  // Find the row where the first td contains our target name (or, without
+  // one, the first location row)
+  let targetRow = null;
+  for (const rowMatch of allRows) {
+    if (!rowName) {
+      if (/^<tr[^>]*class="s-lc-whw-loc"/i.test(rowMatch[0])) {
+        targetRow = rowMatch[0];
+        break;
+      }
+      continue;
+    }
+    const rowContent = rowMatch[1];
+    // Get first td content
+    const firstTdMatch = rowContent.match(/<td[^>]*>([\s\S]*?)<\/td>/i);
+    if (firstTdMatch && firstTdMatch[1].includes(rowName)) {
+      targetRow = rowMatch[0];
+      break;
+    }
+  }
+
+  if (!targetRow) {
+    console.log(`Could not find row for ${rowName || "the first location"}`);
+    return null;
+  }
+
+  // Extract all td cells from the target row
+  const tdMatches = [...targetRow.matchAll(/<td[^>]*>([\s\S]*?)<\/td>/gi)];
+
+  // Skip first td (label), process next 7 (Mon-Sun)
+  for (let i = 1; i <= 7 && i < tdMatches.length; i++) {
+    const cellContent = tdMatches[i][1];
+    const cellText = getCellText(cellContent);
+    const mondayDateObj = new Date(mondayDate + "T12:00:00");
+    mondayDateObj.setDate(mondayDateObj.getDate() + (i - 1));
+    const dayDateStr = mondayDateObj.toISOString().split("T")[0];
+
+    if (cellContent.includes("s-lc-closed")) {
+      // "Closed - Thanksgiving Break" -> "Thanksgiving Break", but
+      // "Closed for event" is a label in its own right
+      const note = getCellNote(cellText, /^closed\s*(?=[-–:(,]|$)/i);
+      hours[dayDateStr] = {
+        open: null,
+        close: null,
+        closed: true,
+        openStr: "Closed",
+        closeStr: "",
+        ...(note && { note }),
+      };
+    } else {
+      // First check for "24 Hours" text (with possible notes like OSU ID requirement)
+      const timetxtMatch = cellContent.match(
+        /<span[^>]*class="s-lc-timetxt[^"]*"[^>]*>([\s\S]*?)<\/span>/i,
+      );
+
+      if (timetxtMatch && timetxtMatch[1].toLowerCase().includes("24 hour")) {
+        // It's a 24 hour day - keep any note about requirements
+        const note = getCellNote(cellText, /24 hours?/i);
+
+        hours[dayDateStr] = {
+          open: 0,
+          close: 24,
+          openStr: "24 Hours",
+          closeStr: "",
+          note: note, // e.g., "Current OSU ID req'd 12AM -7AM"
+        };
+      } else {
+        // Match time range in s-lc-time span: "7:30am &ndash; 11:30pm"
+        const timeSpanMatch = cellContent.match(
+          /<span[^>]*class="s-lc-time[^"]*"[^>]*>([\s\S]*?)<\/span>/i,
+        );
+
+        if (timeSpanMatch) {
+          const timeContent = timeSpanMatch[1];
+          const timeMatch = timeContent.match(TIME_RANGE_RE);
+
+          if (timeMatch) {
+            // Capitalize AM/PM
+            const openStr = timeMatch[1]
+              .trim()
+              .replace(/(am|pm)/gi, (m) => m.toUpperCase());
+            const closeStr = timeMatch[2]
+              .trim()
+              .replace(/(am|pm)/gi, (m) => m.toUpperCase());
+            let openTime = parseTimeToHours(openStr);
+            let closeTime = parseTimeToHours(closeStr);
+
+            // If close time is 12am (0), it means midnight END of day, so use 24
+            if (closeTime === 0) {
+              closeTime = 24;
+            }
+
+            const note = getCellNote(cellText, TIME_RANGE_RE);
+            hours[dayDateStr] = {
+              open: openTime,
+              close: closeTime,
+              openStr,
+              closeStr,
+              ...(note && { note }),
+            };
+          } else {
+            hours[dayDateStr] = {
+              open: 0,
+              close: 24,
+              openStr: "24 Hours",
+              closeStr: "",
+            };
+          }
+        } else {
+          // Fallback for other text formats ("By appointment")
+          hours[dayDateStr] = {
+            open: 0,
+            close: 24,
+            openStr: "Unknown",
+            closeStr: "",
+            ...(cellText && { note: cellText }),
+          };
+        }
+      }
+    }
+  }
+
+  return hours;
+}
@@ -2,19 +2,46 @@
  * LibrarySpot Backend Server
  *
  * Uses OSU's JSON API for 18th Avenue, Thompson, and FAES libraries.
- * Uses Puppeteer scraping for Health Sciences Library (LibCal).
+ * Uses LibCal's spaces grid endpoint for Health Sciences Library, with
+ * Puppeteer scraping as a fallback.
  *
  * To run:
  * 1. npm install express cors node-fetch express-rate-limit
  * 2. node server/index.js
  *
- * For HSL scraping, also: npm install puppeteer
+ * For the HSL Puppeteer fallback, also: npm install puppeteer
  */
 import express from "express";
 import rateLimit from "express-rate-limit";
 import fs from "fs";
 import path from "path";
 import { fileURLToPath } from "url";
+import { createSourceRegistry } from "./sources.js";
+import { loadLibraryConfig, getPublicLibraryConfig } from "./config.js";
+import { createSnapshotStore } from "./store.js";
+import { createBookingRecorder } from "./analytics.js";
+import { createWatchNotifier, validateWatch } from "./watches.js";
+import { createPushSender, validatePushSubscription } from "./push.js";
+import { createLiveStream } from "./stream.js";
+import { createBrowserPool } from "./browser.js";
+import { fetchLibCalGrid, getLibCalOrigin, getSpacesUrl } from "./libcal.js";
+import {
+  findLibCalIid,
+  getMondayOfWeek,
+  getWeekStarts,
+  parseRowHours,
+} from "./hours.js";
+import { extractRoomNumber, getLocationSearchUrl } from "./osu.js";
+import { formatMinutes, parseTimeToMinutes } from "../shared/slots.js";
+import { parseSearchQuery, searchRooms } from "../shared/search.js";
+import { buildCalendar, buildFreeBlockEvent } from "../shared/ical.js";
+import {
+  addDays,
+  getDateWindow,
+  getZonedDateStr,
+  getZonedTimeInfo,
+  zonedTimeToUtc,
+} from "../shared/time.js";
 
 const isDev = process.env.NODE_ENV !== "production";
 
@@ -69,288 +96,137 @@ if (!isDev) {
   app.use(express.static(DIST_DIR, { index: false }));
 }
 
-// LibCal widget IDs for hours
-const LIBCAL_HOURS_CONFIG = {
-  "18th-ave": {
-    lid: 16287,
-    buildingRowName: "18th Avenue Library",
-    reservationRowName: "18th Group Study Rooms",
-  },
-  thompson: {
-    lid: 16286,
-    buildingRowName: "Thompson Library",
-    reservationRowName: "Thompson Group Study Rooms",
-  },
-  faes: {
-    lid: 16298,
-    buildingRowName: "FAES Library",
-    reservationRowName: "FAES Library", // Same row for both
-  },
-};
-
-// Library configurations (ordered: 18th, Thompson, FAES, HSL)
-const LIBRARIES = [
-  {
-    id: "18th-ave",
-    name: "18th Avenue Library",
-    address: "175 W. 18th Ave, Columbus, OH",
-    locationId: 16287,
-    type: "osu-api",
-    hours: { open: 7.5, close: 23.5 }, // 7:30am - 11:30pm
-  },
-  {
-    id: "thompson",
-    name: "Thompson Library",
-    address: "1858 Neil Ave, Columbus, OH",
-    locationId: 16286,
-    type: "osu-api",
-    hours: { open: 11, close: 23.5 }, // 11am - 11:30pm
-  },
-  {
-    id: "faes",
-    name: "FAES Library",
-    fullName: "Food, Agricultural, and Environmental Sciences Library",
-    address: "2120 Fyffe Rd, Columbus, OH",
-    locationId: 16298,
-    type: "osu-api",
-    hours: { open: 8, close: 18 }, // 8am - 6pm
-  },
-  {
-    id: "hsl",
-    name: "Health Sciences Library",
-    subtitle: "(University Hospital)",
-    address: "376 W. 10th Ave, Columbus, OH",
-    type: "libcal",
-    libcalUrl: "https://hsl-osu.libcal.com/spaces?lid=694&gid=24674",
-    bookingUrl: "https://hsl-osu.libcal.com/spaces?lid=694&gid=24674",
-    hours: { open: 8, close: 22 }, // 8am - 10pm (estimate)
-    roomInfo: {
-      "360A": { capacity: 5, floor: 3 },
-      "360B": { capacity: 5, floor: 3 },
-      "360C": { capacity: 5, floor: 3 },
-      "360D": { capacity: 5, floor: 3 },
-      "360E": { capacity: 5, floor: 3 },
-      "360F": { capacity: 5, floor: 3 },
-      "360G": { capacity: 5, floor: 3 },
-      "360H": { capacity: 5, floor: 3 },
-    },
-  },
-];
+// Library configuration (ordered as displayed: 18th, Thompson, FAES, HSL)
+// Lives in server/libraries.json so the client builds its filters from the same data
+const LIBRARY_CONFIG_PATH = process.env.LIBRARY_CONFIG
+  ? path.resolve(process.env.LIBRARY_CONFIG)
+  : path.join(__dirname, "libraries.json");
+
+let libraryConfig;
+try {
+  libraryConfig = loadLibraryConfig(LIBRARY_CONFIG_PATH);
+} catch (error) {
+  console.error(`❌ ${error.message}`);
+  process.exit(1);
+}
 
-// Cache for data (keyed by date)
-let dataCache = {};
-const inFlight = new Map();
-const CACHE_TTL = 60 * 1000; // 1 minute
+const LIBRARIES = libraryConfig.libraries;
+const PUBLIC_LIBRARY_CONFIG = getPublicLibraryConfig(LIBRARIES);
 
-// Separate cache for HSL (keyed by date) - refreshes less frequently
-let hslCache = {};
-const HSL_CACHE_TTL = 60 * 60 * 1000; // 60 minutes
+// Deployment time zone: defines "today", the 8-day window and the clock
+// (each library also has its own `timeZone`, defaulting to this one)
+const TIME_ZONE = libraryConfig.timeZone;
+const getTimeInfo = (nowMs) => getZonedTimeInfo(TIME_ZONE, nowMs);
 
-/**
- * Get date string in UTC format for OSU API
- * Uses America/New_York timezone which automatically handles EST/EDT
- * @param {Date} date - The date to format (defaults to today in EST/EDT)
- */
-function getDateUTC(date = null) {
-  if (!date) {
-    // Get current date in America/New_York timezone (handles DST automatically)
-    const now = new Date();
-    const estDateStr = now.toLocaleDateString("en-CA", {
-      timeZone: "America/New_York",
-    }); // YYYY-MM-DD
-    return `${estDateStr}T05:00:00.000Z`;
-  }
-
-  // If date object provided, convert to EST/EDT date string
-  const year = date.getFullYear();
-  const month = String(date.getMonth() + 1).padStart(2, "0");
-  const day = String(date.getDate()).padStart(2, "0");
-
-  return `${year}-${month}-${day}T05:00:00.000Z`;
-}
+// LibCal widget IDs for hours
+const LIBCAL_HOURS_CONFIG = Object.fromEntries(
+  LIBRARIES.filter((lib) => lib.hoursWidget).map((lib) => [
+    lib.id,
+    lib.hoursWidget,
+  ]),
+);
 
-/**
- * Convert starttime (HH:MM:SS in EST) to display format (e.g., "2:30pm")
- */
-function formatEstTime(starttime) {
-  // starttime is in format "07:30:00" (already EST)
-  const [hourStr, minStr] = starttime.split(":");
-  const hour = parseInt(hourStr);
-  const minute = parseInt(minStr);
+// Optional on-disk snapshots so restarts don't start cold (set DATA_DIR to enable)
+const store = createSnapshotStore(process.env.DATA_DIR);
 
-  const h = hour > 12 ? hour - 12 : hour === 0 ? 12 : hour;
-  const period = hour >= 12 ? "pm" : "am";
-  const m = minute.toString().padStart(2, "0");
+// Booking history (available -> taken flips seen by the background refresh)
+const bookingRecorder = createBookingRecorder({
+  dataDir: process.env.DATA_DIR,
+});
 
-  return `${h}:${m}${period}`;
+// Web Push for saved searches from the browser (VAPID keys: env or DATA_DIR).
+// Push services want the operator's contact, so there's no default subject.
+const pushSender = process.env.VAPID_SUBJECT
+  ? createPushSender({
+      dataDir: process.env.DATA_DIR,
+      subject: process.env.VAPID_SUBJECT,
+    })
+  : null;
+if (!pushSender) {
+  console.warn(
+    "⚠️ VAPID_SUBJECT is not set (e.g. mailto:you@example.com): Web Push is disabled",
+  );
 }
 
-/**
- * Extract room name from OSU API roomName (e.g., "18th Avenue Library 126" -> "126")
- */
-function extractRoomNumber(roomName) {
-  // Match patterns like "045D", "126", etc. at the end
-  const match = roomName.match(/(\d+[A-Za-z]?)\s*$/);
-  return match ? match[1] : roomName;
+// 503 for push endpoints when VAPID_SUBJECT isn't configured
+function requirePush(req, res, next) {
+  if (pushSender) return next();
+  sendApiError(
+    res,
+    503,
+    "PUSH_DISABLED",
+    "Web Push is not configured on this server",
+  );
 }
 
-// Cache for library hours (keyed by week start date)
-let hoursCache = {};
-const HOURS_CACHE_TTL = 60 * 60 * 1000; // 1 hour
+// Watch subscriptions, notified through WEBHOOK_URL or Web Push after each background pass
+const watchNotifier = createWatchNotifier({
+  dataDir: process.env.DATA_DIR,
+  webhookUrl: process.env.WEBHOOK_URL,
+  pushSender,
+});
 
-/**
- * Get Monday of the week for a given date
- */
-function getMondayOfWeek(dateStr) {
-  const date = new Date(dateStr + "T12:00:00");
-  const day = date.getDay();
-  const diff = day === 0 ? -6 : 1 - day; // Adjust to get Monday
-  date.setDate(date.getDate() + diff);
-  const year = date.getFullYear();
-  const month = String(date.getMonth() + 1).padStart(2, "0");
-  const dayNum = String(date.getDate()).padStart(2, "0");
-  return `${year}-${month}-${dayNum}`;
-}
+// Server-Sent Events: per-date diffs of every fresh fetch (GET /api/stream)
+const liveStream = createLiveStream();
+const LIVE_STREAM_MAX_CLIENTS =
+  Number(process.env.LIVE_STREAM_MAX_CLIENTS) || 1000;
 
-/**
- * Parse time string like "7:30am" or "11pm" to decimal hours
- */
-function parseTimeToDecimal(timeStr) {
-  if (!timeStr || timeStr.toLowerCase() === "closed") return null;
+// Cache for data (keyed by date)
+let dataCache = {};
+const inFlight = new Map();
+const CACHE_TTL = 60 * 1000; // 1 minute
 
-  const match = timeStr.match(/(\d{1,2})(?::(\d{2}))?\s*(am|pm)/i);
-  if (!match) return null;
+// When LibCal's grid endpoint fails, fall back to a Puppeteer scrape at most
+// this often per library+date (the last good result is served in between)
+const LIBCAL_FALLBACK_COOLDOWN = 15 * 60 * 1000;
+const libcalFallbackAt = new Map(); // `${libraryId}:${dateStr}` -> last fallback
 
-  let hour = parseInt(match[1]);
-  const minute = match[2] ? parseInt(match[2]) : 0;
-  const period = match[3].toLowerCase();
+// Source adapters, keyed by library `type` (registered below the fetchers)
+const sources = createSourceRegistry();
 
-  if (period === "pm" && hour !== 12) hour += 12;
-  if (period === "am" && hour === 12) hour = 0;
+// One long-lived Chromium for LibCal scrapes, with a bounded number of open pages
+const browserPool = createBrowserPool({
+  maxPages: Number(process.env.BROWSER_MAX_PAGES) || 2,
+  timeoutMs: Number(process.env.SCRAPE_TIMEOUT_MS) || 60 * 1000,
+  launchOptions: {
+    executablePath: process.env.PUPPETEER_EXECUTABLE_PATH,
+    args: [
+      "--no-sandbox",
+      "--disable-setuid-sandbox",
+      "--disable-dev-shm-usage", // /dev/shm is tiny in Docker
+    ],
+  },
+});
 
-  return hour + minute / 60;
+// Cache for library hours (keyed by week start date)
+let hoursCache = {};
+const HOURS_CACHE_TTL = 60 * 60 * 1000; // 1 hour
+const hoursInFlight = new Map();
+
+// /api/hours only looks this far around today, so older weeks can be evicted
+const HOURS_PAST_DAYS = 93;
+const HOURS_AHEAD_DAYS = 186;
+
+function getHoursWindow() {
+  const today = getNext8Days()[0];
+  return {
+    earliest: addDays(today, -HOURS_PAST_DAYS),
+    latest: addDays(today, HOURS_AHEAD_DAYS),
+  };
 }
 
 /**
- * Parse hours from a specific row in the HTML
+ * Drop cached hours weeks (and their snapshots) that end before the window
  */
-function parseRowHours(html, rowName, mondayDate) {
-  const hours = {};
-
-  // Find ALL rows first, then filter to the one containing our target in first td
-  const allRows = [...html.matchAll(/<tr[^>]*>([\s\S]*?)<\/tr>/gi)];
-
-  // Find the row where the first td contains our target name
-  let targetRow = null;
-  for (const rowMatch of allRows) {
-    const rowContent = rowMatch[1];
-    // Get first td content
-    const firstTdMatch = rowContent.match(/<td[^>]*>([\s\S]*?)<\/td>/i);
-    if (firstTdMatch && firstTdMatch[1].includes(rowName)) {
-      targetRow = rowMatch[0];
-      break;
-    }
-  }
-
-  if (!targetRow) {
-    console.log(`Could not find row for ${rowName}`);
-    return null;
-  }
-
-  // Extract all td cells from the target row
-  const tdMatches = [...targetRow.matchAll(/<td[^>]*>([\s\S]*?)<\/td>/gi)];
-
-  // Skip first td (label), process next 7 (Mon-Sun)
-  for (let i = 1; i <= 7 && i < tdMatches.length; i++) {
-    const cellContent = tdMatches[i][1];
-    const mondayDateObj = new Date(mondayDate + "T12:00:00");
-    mondayDateObj.setDate(mondayDateObj.getDate() + (i - 1));
-    const dayDateStr = mondayDateObj.toISOString().split("T")[0];
-
-    if (cellContent.includes("s-lc-closed")) {
-      hours[dayDateStr] = {
-        open: null,
-        close: null,
-        closed: true,
-        openStr: "Closed",
-        closeStr: "",
-      };
-    } else {
-      // First check for "24 Hours" text (with possible notes like OSU ID requirement)
-      const timetxtMatch = cellContent.match(
-        /<span[^>]*class="s-lc-timetxt[^"]*"[^>]*>([\s\S]*?)<\/span>/i,
-      );
-
-      if (timetxtMatch && timetxtMatch[1].toLowerCase().includes("24 hour")) {
-        // It's a 24 hour day - extract any note about requirements
-        const noteText = timetxtMatch[1].trim();
-        // Extract the parenthetical note if present
-        const noteMatch = noteText.match(/\(([^)]+)\)/);
-        const note = noteMatch ? noteMatch[1].trim() : null;
-
-        hours[dayDateStr] = {
-          open: 0,
-          close: 24,
-          openStr: "24 Hours",
-          closeStr: "",
-          note: note, // e.g., "Current OSU ID req'd 12AM -7AM"
-        };
-      } else {
-        // Match time range in s-lc-time span: "7:30am &ndash; 11:30pm"
-        const timeSpanMatch = cellContent.match(
-          /<span[^>]*class="s-lc-time[^"]*"[^>]*>([\s\S]*?)<\/span>/i,
-        );
-
-        if (timeSpanMatch) {
-          const timeContent = timeSpanMatch[1];
-          const timeMatch = timeContent.match(
-            /(\d{1,2}(?::\d{2})?\s*(?:am|pm))\s*(?:&ndash;|–|-)\s*(\d{1,2}(?::\d{2})?\s*(?:am|pm))/i,
-          );
-
-          if (timeMatch) {
-            // Capitalize AM/PM
-            const openStr = timeMatch[1]
-              .trim()
-              .replace(/(am|pm)/gi, (m) => m.toUpperCase());
-            const closeStr = timeMatch[2]
-              .trim()
-              .replace(/(am|pm)/gi, (m) => m.toUpperCase());
-            let openTime = parseTimeToDecimal(openStr);
-            let closeTime = parseTimeToDecimal(closeStr);
-
-            // If close time is 12am (0), it means midnight END of day, so use 24
-            if (closeTime === 0) {
-              closeTime = 24;
-            }
-
-            hours[dayDateStr] = {
-              open: openTime,
-              close: closeTime,
-              openStr,
-              closeStr,
-            };
-          } else {
-            hours[dayDateStr] = {
-              open: 0,
-              close: 24,
-              openStr: "24 Hours",
-              closeStr: "",
-            };
-          }
-        } else {
-          // Fallback for other text formats
-          hours[dayDateStr] = {
-            open: 0,
-            close: 24,
-            openStr: "Unknown",
-            closeStr: "",
-          };
-        }
-      }
+function pruneHoursCache() {
+  const oldestMonday = getMondayOfWeek(getHoursWindow().earliest);
+  for (const cacheKey of Object.keys(hoursCache)) {
+    // cacheKey is `${libraryId}-${monday}`
+    if (cacheKey.slice(-10) < oldestMonday) {
+      delete hoursCache[cacheKey];
+      store.deleteHours(cacheKey);
     }
   }
-
-  return hours;
 }
 
 /**
@@ -362,64 +238,135 @@ async function fetchLibCalHours(libraryId, dateStr) {
 
   const mondayDate = getMondayOfWeek(dateStr);
   const cacheKey = `${libraryId}-${mondayDate}`;
+  const cached = hoursCache[cacheKey];
 
   // Check cache
   if (
-    hoursCache[cacheKey]?.data &&
-    hoursCache[cacheKey]?.lastUpdated &&
-    Date.now() - hoursCache[cacheKey].lastUpdated < HOURS_CACHE_TTL
+    cached?.data &&
+    !cached.stale &&
+    cached.lastUpdated &&
+    Date.now() - cached.lastUpdated < HOURS_CACHE_TTL
   ) {
     console.log(`Using cached hours for ${libraryId} week of ${mondayDate}`);
-    return hoursCache[cacheKey].data;
+    return cached.data;
   }
 
-  try {
-    const url = `https://osul.libcal.com/widget/hours/grid?iid=5296&lid=${config.lid}&date=${mondayDate}`;
-    console.log(`Fetching hours from: ${url}`);
+  const refresh = refreshLibCalHours(config, libraryId, mondayDate);
 
+  // Restored from disk: serve it (marked stale, however old) until the
+  // first refresh replaces it, like the availability snapshots
+  if (cached?.data && cached.stale) {
+    return Object.fromEntries(
+      Object.entries(cached.data).map(([date, day]) => [
+        date,
+        { ...day, stale: true },
+      ]),
+    );
+  }
+  return refresh;
+}
+
+// LibCal institution ids read from each instance's hours page, by domain
+const libCalIids = new Map();
+
+/**
+ * The hoursWidget's iid, or the one its LibCal instance's /hours page loads
+ * the grid with (looked up once per domain; a failed lookup is retried)
+ */
+function getLibCalIid(config) {
+  if (config.iid) return Promise.resolve(config.iid);
+  if (libCalIids.has(config.domain)) return libCalIids.get(config.domain);
+
+  const lookup = (async () => {
+    const url = `${getLibCalOrigin(config.domain)}/hours`;
     const response = await fetch(url);
-    const html = await response.text();
+    if (!response.ok) {
+      throw new Error(`LibCal hours page returned ${response.status}`);
+    }
+    const iid = findLibCalIid(await response.text());
+    if (!iid) throw new Error(`No LibCal iid on ${url}`);
+    console.log(`Found LibCal iid ${iid} for ${config.domain}`);
+    return iid;
+  })();
+  libCalIids.set(config.domain, lookup);
+  lookup.catch(() => libCalIids.delete(config.domain));
+  return lookup;
+}
 
-    // Parse both building and reservation hours
-    const buildingHours = parseRowHours(
-      html,
-      config.buildingRowName,
-      mondayDate,
-    );
-    const reservationHours = parseRowHours(
-      html,
-      config.reservationRowName,
-      mondayDate,
-    );
+/**
+ * Fetch and cache one week of the hours grid; null if LibCal fails
+ * (concurrent callers for the same week share one request)
+ */
+function refreshLibCalHours(config, libraryId, mondayDate) {
+  const cacheKey = `${libraryId}-${mondayDate}`;
+  if (hoursInFlight.has(cacheKey)) return hoursInFlight.get(cacheKey);
 
-    console.log(`Parsed building hours for ${libraryId}:`, buildingHours);
-    console.log(`Parsed reservation hours for ${libraryId}:`, reservationHours);
+  const promise = (async () => {
+    try {
+      const iid = await getLibCalIid(config);
+      const lid = config.lid ? `&lid=${config.lid}` : "";
+      const url = `${getLibCalOrigin(config.domain)}/widget/hours/grid?iid=${iid}${lid}&date=${mondayDate}`;
+      console.log(`Fetching hours from: ${url}`);
+
+      const response = await fetch(url);
+      if (!response.ok) {
+        // An error page parses as "no hours"; don't cache that for an hour
+        throw new Error(`LibCal hours grid returned ${response.status}`);
+      }
+      const html = await response.text();
 
-    // Combine into result keyed by date
-    const result = {};
-    const allDates = new Set([
-      ...Object.keys(buildingHours || {}),
-      ...Object.keys(reservationHours || {}),
-    ]);
+      // Parse both building and reservation hours
+      const buildingHours = parseRowHours(
+        html,
+        config.buildingRowName,
+        mondayDate,
+      );
+      // Without a separate reservations row, rooms keep the building's hours
+      const reservationHours = parseRowHours(
+        html,
+        config.reservationRowName ?? config.buildingRowName,
+        mondayDate,
+      );
+
+      console.log(`Parsed building hours for ${libraryId}:`, buildingHours);
+      console.log(
+        `Parsed reservation hours for ${libraryId}:`,
+        reservationHours,
+      );
 
-    for (const date of allDates) {
-      result[date] = {
-        building: buildingHours?.[date] || null,
-        reservation: reservationHours?.[date] || null,
+      // Combine into result keyed by date
+      const result = {};
+      const allDates = new Set([
+        ...Object.keys(buildingHours || {}),
+        ...Object.keys(reservationHours || {}),
+      ]);
+
+      for (const date of allDates) {
+        result[date] = {
+          building: buildingHours?.[date] || null,
+          reservation: reservationHours?.[date] || null,
+        };
+      }
+
+      // Cache the result
+      hoursCache[cacheKey] = {
+        lastUpdated: Date.now(),
+        data: result,
       };
-    }
+      store.saveHours(cacheKey, hoursCache[cacheKey]);
+      pruneHoursCache();
 
-    // Cache the result
-    hoursCache[cacheKey] = {
-      lastUpdated: Date.now(),
-      data: result,
-    };
+      return result;
+    } catch (error) {
+      console.error(`Error fetching hours for ${libraryId}:`, error.message);
+      return null;
+    } finally {
+      hoursInFlight.delete(cacheKey);
+    }
+  })();
 
-    return result;
-  } catch (error) {
-    console.error(`Error fetching hours for ${libraryId}:`, error.message);
-    return null;
-  }
+  hoursInFlight.set(cacheKey, promise);
+  return promise;
 }
 
 /**
@@ -455,30 +402,60 @@ async function getLibraryHoursForDate(libraryId, dateStr) {
   return null;
 }
 
+/**
+ * Building and reservation hours for every day in [from, to] (inclusive).
+ * Weeks are fetched one at a time (and cached), so a semester's worth
+ * doesn't hit LibCal with dozens of requests at once.
+ */
+async function getLibraryHoursRange(libraryId, from, to) {
+  const byDate = {};
+  for (const monday of getWeekStarts(from, to)) {
+    Object.assign(byDate, await fetchLibCalHours(libraryId, monday));
+  }
+
+  const days = [];
+  for (let date = from; date <= to; date = addDays(date, 1)) {
+    days.push({
+      date,
+      building: byDate[date]?.building ?? null,
+      reservation: byDate[date]?.reservation ?? null,
+      ...(byDate[date]?.stale && { stale: true }),
+    });
+  }
+  return days;
+}
+
+/**
+ * The OSU API request for one library and date, shared by the adapter and
+ * its healthcheck
+ * @param {Object} library - Library config
+ * @param {string} dateStr - Date in format YYYY-MM-DD (optional, defaults to today)
+ */
+function getOsuAvailabilityUrl(library, dateStr = null) {
+  // No date means "today" in the library's time zone
+  const targetDateStr =
+    dateStr || getZonedDateStr(new Date(), library.timeZone);
+
+  // The API takes the instant of local midnight (04:00Z in EDT, 05:00Z in EST)
+  const apiDateStr = zonedTimeToUtc(
+    targetDateStr,
+    0,
+    library.timeZone,
+  ).toISOString();
+
+  return getLocationSearchUrl(library.locationId, apiDateStr);
+}
+
 /**
  * Fetch data from OSU JSON API
  * @param {Object} library - Library config
  * @param {string} dateStr - Date in format YYYY-MM-DD (optional, defaults to today)
  */
 async function fetchOsuApi(library, dateStr = null) {
-  let apiDateStr;
-  const now = new Date();
-
-  // Determine if we are looking at "today" in EST
-  const estTodayStr = now.toLocaleDateString("en-CA", {
-    timeZone: "America/New_York",
-  });
-  const isToday = !dateStr || dateStr === estTodayStr;
-  const targetDateStr = dateStr || estTodayStr;
-
-  if (dateStr) {
-    const [year, month, day] = dateStr.split("-").map(Number);
-    apiDateStr = `${year}-${String(month).padStart(2, "0")}-${String(day).padStart(2, "0")}T05:00:00.000Z`;
-  } else {
-    apiDateStr = getDateUTC();
-  }
-
-  const url = `https://content.osu.edu/v2/library/roomreservation/api/v1/locationsearch/${library.locationId}/${apiDateStr}`;
+  // No date means "today" in the library's time zone
+  const targetDateStr =
+    dateStr || getZonedDateStr(new Date(), library.timeZone);
+  const url = getOsuAvailabilityUrl(library, targetDateStr);
 
   try {
     // Fetch room data and hours in parallel
@@ -496,17 +473,6 @@ async function fetchOsuApi(library, dateStr = null) {
 
     const roomsMap = {};
 
-    // Calculate "Current" slot floor (e.g., 8:46pm -> 20:30:00)
-    const currentEstTime = now.toLocaleTimeString("en-US", {
-      timeZone: "America/New_York",
-      hour12: false,
-      hour: "2-digit",
-      minute: "2-digit",
-    });
-    const [currH, currM] = currentEstTime.split(":").map(Number);
-    const roundedM = currM >= 30 ? "30" : "00";
-    const currentSlotStartTime = `${String(currH).padStart(2, "0")}:${roundedM}:00`;
-
     json.data.locationAvailableRooms.forEach((roomData) => {
       roomData.timeslots.forEach((slot) => {
         if (slot.roomHide === true) return;
@@ -517,6 +483,8 @@ async function fetchOsuApi(library, dateStr = null) {
           roomsMap[roomNum] = {
             name: roomNum,
             fullName: slot.roomName,
+            // The API's room id, for a configured bookingUrlTemplate
+            roomId: roomData.roomId ?? null,
             capacity: slot.maximumCapacity,
             floor: slot.roomName.includes("045")
               ? "LL"
@@ -533,7 +501,7 @@ async function fetchOsuApi(library, dateStr = null) {
 
         if (slot.open) {
           roomsMap[roomNum].slots.push({
-            time: formatEstTime(slot.starttime),
+            time: formatMinutes(parseTimeToMinutes(slot.starttime)),
             available: !slot.taken,
             starttime: slot.starttime,
           });
@@ -555,7 +523,10 @@ async function fetchOsuApi(library, dateStr = null) {
     // Include dynamic hours if available, otherwise use static fallback
     const hours = dynamicHours || {
       building: null,
-      reservation: { open: library.hours.open, close: library.hours.close },
+      reservation: {
+        open: library.defaultHours.open,
+        close: library.defaultHours.close,
+      },
     };
 
     return {
@@ -577,158 +548,259 @@ async function fetchOsuApi(library, dateStr = null) {
 }
 
 /**
- * Scrape Health Sciences Library from LibCal using Puppeteer
+ * Add room metadata: per-room `roomInfo`, then what LibCal reports, then the
+ * library's `roomDefaults`
+ */
+function withLibCalRoomInfo(library, room) {
+  const info = library.roomInfo?.[room.name] || {};
+  const defaults = library.roomDefaults || {};
+  return {
+    ...room,
+    capacity: info.capacity ?? room.capacity ?? defaults.capacity ?? null,
+    floor: info.floor ?? defaults.floor ?? null,
+    amenities: info.amenities ?? defaults.amenities ?? [],
+  };
+}
+
+/**
+ * LibCal availability, plus the library's hours when it has an `hoursWidget`
  * @param {Object} library - Library config
  * @param {string} dateStr - Date in format YYYY-MM-DD (optional, defaults to today)
  */
-async function scrapeLibCal(library, dateStr = null) {
-  let puppeteer;
+async function fetchLibCal(library, dateStr = null) {
+  // LibCal's grid is in the instance's local time; "today" is its today
+  const date = dateStr || getZonedDateStr(new Date(), library.timeZone);
+
+  const [result, hours] = await Promise.all([
+    fetchLibCalAvailability(library, date, dateStr),
+    getLibraryHoursForDate(library.id, date),
+  ]);
+  return hours ? { ...result, hours } : result;
+}
+
+/**
+ * LibCal rooms via the spaces grid endpoint (server/libcal.js), falling back
+ * to a Puppeteer scrape
+ */
+async function fetchLibCalAvailability(library, date, dateStr) {
   try {
-    puppeteer = await import("puppeteer");
-  } catch (e) {
-    console.log("Puppeteer not installed. Skipping HSL.");
+    const rooms = await fetchLibCalGrid(library, date);
     return {
       ...library,
-      rooms: [],
+      rooms: rooms.map((room) => withLibCalRoomInfo(library, room)),
       scrapedAt: new Date().toISOString(),
-      error: "Puppeteer not installed",
+      isLive: true,
     };
+  } catch (error) {
+    console.warn(
+      `⚠️ LibCal grid failed for ${library.name} (${date}): ${error.message}`,
+    );
   }
 
-  const browser = await puppeteer.default.launch({
-    headless: "new",
-    executablePath: process.env.PUPPETEER_EXECUTABLE_PATH,
-    args: ["--no-sandbox", "--disable-setuid-sandbox"],
-  });
-
-  try {
-    const page = await browser.newPage();
-    page.setDefaultTimeout(30000);
-
-    // Add date parameter to URL if provided
-    let url = library.libcalUrl;
-    if (dateStr) {
-      url += `&date=${dateStr}`;
-    }
+  const now = Date.now();
+  for (const [key, at] of libcalFallbackAt) {
+    if (now - at > LIBCAL_FALLBACK_COOLDOWN) libcalFallbackAt.delete(key);
+  }
 
-    await page.goto(url, { waitUntil: "networkidle2" });
-    await page.waitForSelector(".fc-timeline-event", { timeout: 15000 });
-    await new Promise((resolve) => setTimeout(resolve, 2000));
-
-    // Use the target date for filtering
-    const targetDate = dateStr ? new Date(dateStr + "T12:00:00") : new Date();
-
-    const data = await page.evaluate((targetDateStr) => {
-      const slots = document.querySelectorAll(".fc-timeline-event");
-      const roomData = {};
-
-      // Parse target date for filtering
-      const target = targetDateStr
-        ? new Date(targetDateStr + "T12:00:00")
-        : new Date();
-      const targetMonth = target.toLocaleDateString("en-US", { month: "long" });
-      const targetDay = target.getDate();
-      const targetYear = target.getFullYear();
-      const targetDateString = `${targetMonth} ${targetDay}, ${targetYear}`;
-
-      slots.forEach((slot) => {
-        const title =
-          slot.getAttribute("title") || slot.getAttribute("aria-label") || "";
-
-        // Title format: "1:30pm Wednesday, January 21, 2026 - 360H - Available"
-        // More flexible regex that captures everything
-        const match = title.match(
-          /^(\d{1,2}:\d{2}[ap]m)\s+\w+,\s+(.+?\d{4})\s+-\s+([^-]+)\s+-\s+(.+)$/i,
-        );
-
-        if (match) {
-          const [, time, dateStr, roomName, statusText] = match;
-          const trimmedRoom = roomName.trim();
-
-          // Check if this is for the target date
-          if (!dateStr.includes(targetDateString)) return;
-
-          // Determine availability:
-          // 1. Check CSS class first (most reliable)
-          // 2. Fall back to title text
-          const classList = slot.className || "";
-          const hasAvailClass = classList.includes("s-lc-eq-avail");
-          const hasUnavailClass =
-            classList.includes("s-lc-eq-unavail") ||
-            classList.includes("unavailable");
-          const titleSaysAvailable =
-            statusText.trim().toLowerCase() === "available";
-
-          // Available if: has avail class OR (title says available AND no unavail class)
-          const isAvailable =
-            hasAvailClass || (titleSaysAvailable && !hasUnavailClass);
-
-          if (!roomData[trimmedRoom]) {
-            roomData[trimmedRoom] = {
-              name: trimmedRoom,
-              slots: [],
-              seenTimes: {},
-            };
-          }
+  const fallbackKey = `${library.id}:${date}`;
+  if (libcalFallbackAt.has(fallbackKey)) {
+    return {
+      ...library,
+      rooms: [],
+      scrapedAt: new Date().toISOString(),
+      error: "LibCal grid unavailable (browser fallback ran recently)",
+    };
+  }
 
-          // Deduplicate by time - if we see the same time again, prefer available
-          if (!roomData[trimmedRoom].seenTimes[time]) {
-            roomData[trimmedRoom].seenTimes[time] = true;
-            roomData[trimmedRoom].slots.push({ time, available: isAvailable });
-          } else if (isAvailable) {
-            // Update existing slot to available if this one is available
-            const existingSlot = roomData[trimmedRoom].slots.find(
-              (s) => s.time === time,
-            );
-            if (existingSlot) existingSlot.available = true;
-          }
-        }
-      });
+  libcalFallbackAt.set(fallbackKey, now);
+  console.log(`🧭 Falling back to Puppeteer for ${library.name} (${date})`);
+  return scrapeLibCal(library, dateStr);
+}
 
-      return Object.values(roomData).map((room) => {
-        const sortedSlots = room.slots.sort((a, b) => {
-          const parseTime = (t) => {
-            const m = t.match(/^(\d{1,2}):(\d{2})([ap]m)$/i);
-            if (!m) return 0;
-            let h = parseInt(m[1]);
-            const min = parseInt(m[2]);
-            if (m[3].toLowerCase() === "pm" && h !== 12) h += 12;
-            if (m[3].toLowerCase() === "am" && h === 12) h = 0;
-            return h * 60 + min;
-          };
-          return parseTime(a.time) - parseTime(b.time);
-        });
-        return { name: room.name, slots: sortedSlots };
-      });
-    }, dateStr);
-
-    // Add room metadata
-    const rooms = data.map((room) => ({
-      ...room,
-      capacity: library.roomInfo[room.name]?.capacity || 5,
-      floor: library.roomInfo[room.name]?.floor || 3,
-      amenities: ["whiteboard", "monitor"],
-    }));
+/**
+ * Scrape a LibCal library using Puppeteer (fallback when the grid endpoint fails)
+ * @param {Object} library - Library config
+ * @param {string} dateStr - Date in format YYYY-MM-DD (optional, defaults to today)
+ */
+async function scrapeLibCal(library, dateStr = null) {
+  try {
+    const data = await browserPool.withPage((page) =>
+      scrapeLibCalPage(page, library, dateStr),
+    );
 
     return {
       ...library,
-      rooms,
+      rooms: data.map((room) => withLibCalRoomInfo(library, room)),
       scrapedAt: new Date().toISOString(),
       isLive: true,
     };
   } catch (error) {
-    console.error(`Error scraping HSL:`, error.message);
+    if (error.code === "PUPPETEER_MISSING") {
+      console.log(`Puppeteer not installed. Skipping ${library.name}.`);
+    } else {
+      console.error(`Error scraping ${library.name}:`, error.message);
+    }
     return {
       ...library,
       rooms: [],
       scrapedAt: new Date().toISOString(),
       error: error.message,
     };
-  } finally {
-    await browser.close();
   }
 }
 
+/**
+ * Load one date's LibCal grid in `page` and read the rooms/slots off it
+ */
+async function scrapeLibCalPage(page, library, dateStr) {
+  page.setDefaultTimeout(30000);
+
+  // Add date parameter to URL if provided
+  let url = getSpacesUrl(library);
+  if (dateStr) {
+    url += `&date=${dateStr}`;
+  }
+
+  await page.goto(url, { waitUntil: "networkidle2" });
+  await page.waitForSelector(".fc-timeline-event", { timeout: 15000 });
+  await new Promise((resolve) => setTimeout(resolve, 2000));
+
+  // Use the target date for filtering
+  const targetDate = dateStr ? new Date(dateStr + "T12:00:00") : new Date();
+
+  const data = await page.evaluate((targetDateStr) => {
+    const slots = document.querySelectorAll(".fc-timeline-event");
+    const roomData = {};
+
+    // Parse target date for filtering
+    const target = targetDateStr
+      ? new Date(targetDateStr + "T12:00:00")
+      : new Date();
+    const targetMonth = target.toLocaleDateString("en-US", { month: "long" });
+    const targetDay = target.getDate();
+    const targetYear = target.getFullYear();
+    const targetDateString = `${targetMonth} ${targetDay}, ${targetYear}`;
+
+    slots.forEach((slot) => {
+      const title =
+        slot.getAttribute("title") || slot.getAttribute("aria-label") || "";
+
+      // Title format: "1:30pm Wednesday, January 21, 2026 - 360H - Available"
+      // Room names may contain " - " themselves ("Room 101 - Quiet"), so the
+      // status is whatever follows the last separator
+      const match = title.match(
+        /^(\d{1,2}:\d{2}[ap]m)\s+\w+,\s+(.+?\d{4})\s+-\s+(.+)\s+-\s+([^-]+)$/i,
+      );
+
+      if (match) {
+        const [, time, dateStr, roomName, statusText] = match;
+        const trimmedRoom = roomName.trim();
+
+        // Check if this is for the target date
+        if (!dateStr.includes(targetDateString)) return;
+
+        // Determine availability:
+        // 1. Check CSS class first (most reliable)
+        // 2. Fall back to title text
+        const classList = slot.className || "";
+        const hasAvailClass = classList.includes("s-lc-eq-avail");
+        const hasUnavailClass =
+          classList.includes("s-lc-eq-unavail") ||
+          classList.includes("unavailable");
+        const titleSaysAvailable =
+          statusText.trim().toLowerCase() === "available";
+
+        // Available if: has avail class OR (title says available AND no unavail class)
+        const isAvailable =
+          hasAvailClass || (titleSaysAvailable && !hasUnavailClass);
+
+        if (!roomData[trimmedRoom]) {
+          roomData[trimmedRoom] = {
+            name: trimmedRoom,
+            slots: [],
+            seenTimes: {},
+          };
+        }
+
+        // Deduplicate by time - if we see the same time again, prefer available
+        if (!roomData[trimmedRoom].seenTimes[time]) {
+          roomData[trimmedRoom].seenTimes[time] = true;
+          roomData[trimmedRoom].slots.push({ time, available: isAvailable });
+        } else if (isAvailable) {
+          // Update existing slot to available if this one is available
+          const existingSlot = roomData[trimmedRoom].slots.find(
+            (s) => s.time === time,
+          );
+          if (existingSlot) existingSlot.available = true;
+        }
+      }
+    });
+
+    // The source registry adds startMinutes and sorts the slots
+    return Object.values(roomData).map((room) => ({
+      name: room.name,
+      slots: room.slots,
+    }));
+  }, dateStr);
+
+  return data;
+}
+
+// ------------------------------
+// Source adapters
+// ------------------------------
+
+sources.registerAdapter({
+  type: "osu-api",
+  // getAllLibraryData's own cache already covers this; always hit the API on a miss
+  ttlMs: 0,
+  concurrency: 6,
+  fetch: fetchOsuApi,
+  async healthcheck() {
+    const library = LIBRARIES.find((lib) => lib.type === "osu-api");
+    if (!library) return { ok: true, note: "No osu-api libraries configured" };
+    const response = await fetch(getOsuAvailabilityUrl(library), {
+      signal: AbortSignal.timeout(5000),
+    });
+    return { ok: response.ok, status: response.status };
+  },
+});
+
+sources.registerAdapter({
+  type: "libcal",
+  // The grid endpoint is cheap; getAllLibraryData's cache covers this like osu-api
+  ttlMs: 0,
+  concurrency: 4,
+  fetch: fetchLibCal,
+  async healthcheck() {
+    const library = LIBRARIES.find((lib) => lib.type === "libcal");
+    if (!library) return { ok: true, note: "No libcal libraries configured" };
+    let puppeteerFallback = true;
+    try {
+      await import("puppeteer");
+    } catch {
+      puppeteerFallback = false;
+    }
+    const response = await fetch(getSpacesUrl(library), {
+      signal: AbortSignal.timeout(5000),
+    });
+    return { ok: response.ok, status: response.status, puppeteerFallback };
+  },
+});
+
+// Every configured library needs a registered adapter
+const unknownSourceTypes = LIBRARIES.filter(
+  (lib) => !sources.getAdapter(lib.type),
+);
+if (unknownSourceTypes.length > 0) {
+  for (const lib of unknownSourceTypes) {
+    console.error(
+      `❌ Library "${lib.id}" has type "${lib.type}" but no source adapter handles it`,
+    );
+  }
+  process.exit(1);
+}
+
 /**
  * Fetch all library data
  * @param {string} dateStr - Date in format YYYY-MM-DD (optional)
@@ -745,6 +817,17 @@ async function getAllLibraryData(dateStr = null, { force = false } = {}) {
     return { data: entry.data, fetchedAt: entry.lastUpdated, cacheHit: true };
   }
 
+  // Snapshot restored from disk: keep serving it (marked stale) until the
+  // first background refresh replaces it, instead of blocking on a cold fetch
+  if (!force && entry?.stale) {
+    return {
+      data: entry.data,
+      fetchedAt: entry.lastUpdated,
+      cacheHit: true,
+      stale: true,
+    };
+  }
+
   // If someone else is already fetching, await it (stampede protection)
   if (inFlight.has(cacheKey)) {
     const result = await inFlight.get(cacheKey);
@@ -755,17 +838,12 @@ async function getAllLibraryData(dateStr = null, { force = false } = {}) {
     console.log(`Fetching fresh data for ${cacheKey}...`);
     const startedAt = Date.now();
 
-    // Fetch OSU API libraries
-    const apiResults = await Promise.all(
-      LIBRARIES.filter(lib => lib.type === "osu-api").map(async (library) => {
-        return await fetchOsuApi(library, dateStr);
-      }),
+    // Each library goes through the adapter registered for its type
+    // (adapters apply their own TTL and concurrency limits)
+    const results = await Promise.all(
+      LIBRARIES.map((library) => sources.fetchLibrary(library, dateStr)),
     );
 
-    // Get HSL from its own cache (or fetch if stale/missing)
-    const hslData = await getHslData(dateStr);
-    const results = [...apiResults, hslData];
-
     const finishedAt = Date.now();
 
     dataCache[cacheKey] = {
@@ -774,6 +852,18 @@ async function getAllLibraryData(dateStr = null, { force = false } = {}) {
       lastFetchDurationMs: finishedAt - startedAt,
     };
 
+    if (dateStr) {
+      liveStream.publish(dateStr, { data: results, fetchedAt: finishedAt });
+    }
+
+    // Persist unless every library failed
+    if (dateStr && results.some((lib) => !lib.error)) {
+      store.saveAvailability(dateStr, {
+        lastUpdated: finishedAt,
+        data: results,
+      });
+    }
+
     return {
       data: results,
       fetchedAt: finishedAt,
@@ -790,57 +880,13 @@ async function getAllLibraryData(dateStr = null, { force = false } = {}) {
   }
 }
 
-/**
- * Get HSL data - uses separate 30-minute cache
- */
-async function getHslData(dateStr = null) {
-  const cacheKey = dateStr || "today";
-  const now = Date.now();
-  
-  const entry = hslCache[cacheKey];
-  const isFresh = entry?.data && entry?.lastUpdated && now - entry.lastUpdated < HSL_CACHE_TTL;
-  
-  if (isFresh) {
-    console.log(`Using cached HSL data for ${cacheKey}`);
-    return entry.data;
-  }
-  
-  // Fetch fresh HSL data
-  console.log(`🏥 Fetching fresh HSL data for ${cacheKey}...`);
-  const hslLibrary = LIBRARIES.find(lib => lib.id === "hsl");
-  const result = await scrapeLibCal(hslLibrary, dateStr);
-  
-  hslCache[cacheKey] = {
-    lastUpdated: Date.now(),
-    data: result,
-  };
-  
-  return result;
-}
-
 // ------------------------------
 // Public Page Routes (HTML + injected bootstrap data)
 // ------------------------------
 
-function getNext8DaysNY() {
-  const days = [];
-  const now = new Date();
-  // Use NY "today" even if server is elsewhere
-  const todayStr = now.toLocaleDateString("en-CA", {
-    timeZone: "America/New_York",
-  }); // YYYY-MM-DD
-  const [y, m, d] = todayStr.split("-").map(Number);
-  const base = new Date(Date.UTC(y, m - 1, d, 12, 0, 0)); // noon UTC to avoid DST edge cases
-
-  for (let i = 0; i < 8; i++) {
-    const dt = new Date(base);
-    dt.setUTCDate(dt.getUTCDate() + i);
-    const yyyy = dt.getUTCFullYear();
-    const mm = String(dt.getUTCMonth() + 1).padStart(2, "0");
-    const dd = String(dt.getUTCDate()).padStart(2, "0");
-    days.push(`${yyyy}-${mm}-${dd}`);
-  }
-  return days;
+// Today + 7 days in the deployment time zone, whatever zone the server runs in
+function getNext8Days() {
+  return getDateWindow(TIME_ZONE);
 }
 
 function safeJsonForHtml(obj) {
@@ -870,7 +916,9 @@ async function renderIndexWithBootstrap(req, res) {
   bootstrapInFlight = (async () => {
     const template = getIndexHtmlTemplate();
 
-    const dayStrs = getNext8DaysNY();
+    const dayStrs = getNext8Days();
+    // Taken before reading the cache so the client's stream resumes from here
+    const streamEventId = liveStream.lastEventId();
 
     const entries = await Promise.all(
       dayStrs.map(async (dateStr) => {
@@ -880,6 +928,7 @@ async function renderIndexWithBootstrap(req, res) {
           {
             data: result.data,
             fetchedAt: result.fetchedAt,
+            stale: !!result.stale,
           },
         ];
       }),
@@ -887,7 +936,10 @@ async function renderIndexWithBootstrap(req, res) {
 
     const payload = {
       serverNowMs: Date.now(),
+      config: { timeZone: TIME_ZONE, libraries: PUBLIC_LIBRARY_CONFIG },
+      dates: dayStrs,
       libraryCache: Object.fromEntries(entries),
+      streamEventId,
     };
 
     const bootstrapTag = `<script>window.__LIBRARYSPOT_INITIAL__=${safeJsonForHtml(payload)};</script>`;
@@ -940,8 +992,11 @@ app.get(/^(?!\/api\/).*/, pageLimiter, async (req, res, next) => {
 
 // API Routes
 app.post("/api/refresh", async (req, res) => {
+  // Checked before anything is fetched or written (the date names the snapshot file)
+  const dateStr = resolveDateParam(req, res);
+  if (!dateStr) return;
+
   try {
-    const dateStr = req.query.date; // optional
     const data = await getAllLibraryData(dateStr, { force: true });
     res.json({ success: true, message: "Cache refreshed", data });
   } catch (error) {
@@ -949,7 +1004,7 @@ app.post("/api/refresh", async (req, res) => {
   }
 });
 
-app.get("/api/health", (req, res) => {
+app.get("/api/health", async (req, res) => {
   const entries = Object.values(dataCache || {});
   const newest = entries.reduce((best, e) => {
     if (!e?.lastUpdated) return best;
@@ -960,10 +1015,530 @@ app.get("/api/health", (req, res) => {
     status: "ok",
     uptime: process.uptime(),
     cachedKeys: Object.keys(dataCache || {}).length,
+    staleKeys: entries.filter((e) => e?.stale).length,
+    snapshots: store.enabled,
+    watches: watchNotifier.stats(),
+    stream: liveStream.stats(),
+    browser: browserPool.stats(),
     newestCacheAgeMs: newest ? Date.now() - newest : null,
+    sources: await sources.healthcheck({ deep: req.query.deep === "1" }),
+  });
+});
+
+// Live availability diffs; the client reconnects with ?lastEventId= to resume
+app.get("/api/stream", (req, res) => {
+  if (liveStream.stats().clients >= LIVE_STREAM_MAX_CLIENTS) {
+    return sendApiError(
+      res,
+      503,
+      "STREAM_FULL",
+      "Too many live connections, try again later",
+    );
+  }
+  liveStream.handler(req, res);
+});
+
+app.get("/api/config", (req, res) => {
+  res.json({ timeZone: TIME_ZONE, libraries: PUBLIC_LIBRARY_CONFIG });
+});
+
+app.get("/api/time", (req, res) => {
+  res.setHeader("Cache-Control", "no-store");
+  // `dates` lets open tabs roll their day list over at local midnight
+  res.json({ ...getTimeInfo(), dates: getNext8Days() });
+});
+
+// ------------------------------
+// Public read-only JSON API (served from getAllLibraryData's cache)
+// ------------------------------
+
+const DATE_PARAM_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Send an API error with a consistent body: { error, code, ...details }
+ */
+function sendApiError(res, status, code, message, details = {}) {
+  return res.status(status).json({ error: message, code, ...details });
+}
+
+/**
+ * Resolve the ?date= query param against the 8-day window.
+ * Returns the date string, or null after sending a 400.
+ */
+function resolveDateParam(req, res) {
+  const days = getNext8Days();
+  const dateStr = req.query.date ?? days[0];
+
+  if (typeof dateStr !== "string" || !DATE_PARAM_RE.test(dateStr)) {
+    sendApiError(
+      res,
+      400,
+      "INVALID_DATE",
+      "date must be in YYYY-MM-DD format",
+      {
+        availableDates: days,
+      },
+    );
+    return null;
+  }
+
+  if (!days.includes(dateStr)) {
+    sendApiError(
+      res,
+      400,
+      "DATE_OUT_OF_RANGE",
+      `date ${dateStr} is outside the 8-day window`,
+      {
+        availableDates: days,
+      },
+    );
+    return null;
+  }
+
+  return dateStr;
+}
+
+/**
+ * Set ETag/Last-Modified from the cache entry's fetchedAt so clients can revalidate.
+ * Express answers 304 itself when the request is still fresh.
+ */
+function setCacheValidators(res, key, fetchedAt) {
+  res.setHeader("Cache-Control", "no-cache");
+  if (!fetchedAt) return;
+  res.setHeader("ETag", `W/"${key}-${fetchedAt}"`);
+  res.setHeader("Last-Modified", new Date(fetchedAt).toUTCString());
+}
+
+app.get("/api/libraries", async (req, res) => {
+  try {
+    const days = getNext8Days();
+    const result = await getAllLibraryData(days[0]);
+
+    const libraries = LIBRARIES.map((library) => {
+      const live = result.data.find((lib) => lib.id === library.id);
+      return {
+        id: library.id,
+        name: library.name,
+        fullName: library.fullName || null,
+        subtitle: library.subtitle || null,
+        address: library.address,
+        type: library.type,
+        bookingUrl: library.bookingUrl || null,
+        roomCount: live?.rooms?.length ?? 0,
+        rooms: live?.rooms?.map((room) => room.name) ?? [],
+        scrapedAt: live?.scrapedAt || null,
+        error: live?.error || null,
+      };
+    });
+
+    setCacheValidators(res, `libraries-${days[0]}`, result.fetchedAt);
+    res.json({
+      dates: days,
+      fetchedAt: new Date(result.fetchedAt).toISOString(),
+      stale: !!result.stale,
+      libraries,
+    });
+  } catch (error) {
+    sendApiError(res, 500, "INTERNAL_ERROR", error.message);
+  }
+});
+
+app.get("/api/libraries/:id", async (req, res) => {
+  const library = LIBRARIES.find((lib) => lib.id === req.params.id);
+  if (!library) {
+    return sendApiError(
+      res,
+      404,
+      "LIBRARY_NOT_FOUND",
+      `Unknown library: ${req.params.id}`,
+    );
+  }
+
+  const dateStr = resolveDateParam(req, res);
+  if (!dateStr) return;
+
+  try {
+    const result = await getAllLibraryData(dateStr);
+    const data = result.data.find((lib) => lib.id === library.id);
+
+    setCacheValidators(res, `${library.id}-${dateStr}`, result.fetchedAt);
+    res.json({
+      date: dateStr,
+      fetchedAt: new Date(result.fetchedAt).toISOString(),
+      stale: !!result.stale,
+      library: data,
+    });
+  } catch (error) {
+    sendApiError(res, 500, "INTERNAL_ERROR", error.message);
+  }
+});
+
+app.get("/api/rooms/:libraryId/:room", async (req, res) => {
+  const library = LIBRARIES.find((lib) => lib.id === req.params.libraryId);
+  if (!library) {
+    return sendApiError(
+      res,
+      404,
+      "LIBRARY_NOT_FOUND",
+      `Unknown library: ${req.params.libraryId}`,
+    );
+  }
+
+  const dateStr = resolveDateParam(req, res);
+  if (!dateStr) return;
+
+  try {
+    const result = await getAllLibraryData(dateStr);
+    const data = result.data.find((lib) => lib.id === library.id);
+    const roomName = req.params.room.toLowerCase();
+    const room = data?.rooms?.find((r) => r.name.toLowerCase() === roomName);
+
+    if (!room) {
+      return sendApiError(
+        res,
+        404,
+        "ROOM_NOT_FOUND",
+        `Unknown room ${req.params.room} in ${library.id}`,
+        {
+          rooms: data?.rooms?.map((r) => r.name) ?? [],
+        },
+      );
+    }
+
+    setCacheValidators(
+      res,
+      `${library.id}-${room.name}-${dateStr}`,
+      result.fetchedAt,
+    );
+    res.json({
+      date: dateStr,
+      fetchedAt: new Date(result.fetchedAt).toISOString(),
+      stale: !!result.stale,
+      library: { id: library.id, name: library.name },
+      room,
+    });
+  } catch (error) {
+    sendApiError(res, 500, "INTERNAL_ERROR", error.message);
+  }
+});
+
+// Rooms with free blocks matching the site's filters, soonest and longest first:
+// GET /api/search?date=&from=&to=&minDuration=&libraries=&minCapacity=&amenities=
+app.get("/api/search", async (req, res) => {
+  const dateStr = resolveDateParam(req, res);
+  if (!dateStr) return;
+
+  const timeInfo = getTimeInfo();
+  const nowMinutes =
+    dateStr === timeInfo.dateStr ? timeInfo.hour * 60 + timeInfo.minute : null;
+
+  const { search, problems } = parseSearchQuery(req.query, {
+    libraryIds: LIBRARIES.map((lib) => lib.id),
+    nowMinutes,
+  });
+  if (!search) {
+    return sendApiError(res, 400, "INVALID_SEARCH", problems.join("; "), {
+      problems,
+    });
+  }
+
+  try {
+    const result = await getAllLibraryData(dateStr);
+    const matches = searchRooms(result.data, search, {
+      afterMinutes: nowMinutes,
+      date: dateStr,
+    });
+
+    // Free blocks shrink as the clock moves, so no validators here
+    res.setHeader("Cache-Control", "no-cache");
+    res.json({
+      date: dateStr,
+      fetchedAt: new Date(result.fetchedAt).toISOString(),
+      stale: !!result.stale,
+      search,
+      total: matches.length,
+      results: matches.slice(0, search.limit),
+      unavailable: result.data
+        .filter(
+          (lib) =>
+            lib.error &&
+            (!search.libraries.length || search.libraries.includes(lib.id)),
+        )
+        .map((lib) => ({ id: lib.id, name: lib.name, error: lib.error })),
+    });
+  } catch (error) {
+    sendApiError(res, 500, "INTERNAL_ERROR", error.message);
+  }
+});
+
+// Subscribable calendar of a library's free blocks over the 8-day window:
+// GET /api/feeds/:libraryId.ics?minDuration=
+app.get("/api/feeds/:libraryId.ics", async (req, res) => {
+  const library = LIBRARIES.find((lib) => lib.id === req.params.libraryId);
+  if (!library) {
+    return sendApiError(
+      res,
+      404,
+      "LIBRARY_NOT_FOUND",
+      `Unknown library: ${req.params.libraryId}`,
+    );
+  }
+
+  const { search, problems } = parseSearchQuery(
+    { libraries: library.id, minDuration: req.query.minDuration },
+    { libraryIds: [library.id] },
+  );
+  if (!search) {
+    return sendApiError(res, 400, "INVALID_SEARCH", problems.join("; "), {
+      problems,
+    });
+  }
+
+  try {
+    const timeInfo = getTimeInfo();
+    const stamp = new Date();
+    const events = [];
+
+    for (const dateStr of getNext8Days()) {
+      const result = await getAllLibraryData(dateStr);
+      const afterMinutes =
+        dateStr === timeInfo.dateStr
+          ? timeInfo.hour * 60 + timeInfo.minute
+          : null;
+
+      for (const { room, blocks } of searchRooms(result.data, search, {
+        afterMinutes,
+      })) {
+        for (const { start, end } of blocks) {
+          events.push(
+            buildFreeBlockEvent(
+              { library, room, date: dateStr, start, end },
+              { timeZone: TIME_ZONE, stamp },
+            ),
+          );
+        }
+      }
+    }
+
+    res.setHeader("Content-Type", "text/calendar; charset=utf-8");
+    res.setHeader(
+      "Content-Disposition",
+      `inline; filename="${library.id}.ics"`,
+    );
+    res.setHeader("Cache-Control", "no-cache");
+    res.send(
+      buildCalendar(events, { name: `${library.name} free study rooms` }),
+    );
+  } catch (error) {
+    sendApiError(res, 500, "INTERNAL_ERROR", error.message);
+  }
+});
+
+// Hours for any range (not just the 8-day window), e.g. a month or finals week:
+// GET /api/hours?library=&from=&to=
+const MAX_HOURS_RANGE_DAYS = 186;
+
+app.get("/api/hours", async (req, res) => {
+  // Real calendar dates only (2026-02-31 doesn't survive the round trip)
+  const isDate = (value) => {
+    if (typeof value !== "string" || !DATE_PARAM_RE.test(value)) return false;
+    const date = new Date(`${value}T12:00:00Z`);
+    return (
+      !Number.isNaN(date.getTime()) && date.toISOString().startsWith(value)
+    );
+  };
+
+  const from = req.query.from ?? getNext8Days()[0];
+  const to = req.query.to ?? (isDate(from) ? addDays(from, 27) : from);
+  if (!isDate(from) || !isDate(to)) {
+    return sendApiError(
+      res,
+      400,
+      "INVALID_DATE",
+      "from and to must be dates in YYYY-MM-DD format",
+    );
+  }
+  if (to < from || addDays(from, MAX_HOURS_RANGE_DAYS - 1) < to) {
+    return sendApiError(
+      res,
+      400,
+      "INVALID_RANGE",
+      `to must be on or after from, at most ${MAX_HOURS_RANGE_DAYS} days in all`,
+    );
+  }
+  const { earliest, latest } = getHoursWindow();
+  if (from < earliest || to > latest) {
+    return sendApiError(
+      res,
+      400,
+      "DATE_OUT_OF_RANGE",
+      `Hours are available from ${earliest} to ${latest}`,
+      { earliest, latest },
+    );
+  }
+
+  let libraries = LIBRARIES;
+  if (req.query.library) {
+    libraries = LIBRARIES.filter((lib) => lib.id === req.query.library);
+    if (libraries.length === 0) {
+      return sendApiError(
+        res,
+        404,
+        "LIBRARY_NOT_FOUND",
+        `Unknown library: ${req.query.library}`,
+      );
+    }
+  }
+
+  try {
+    const results = await Promise.all(
+      libraries.map(async (library) => ({
+        id: library.id,
+        name: library.name,
+        // Without an hoursWidget only the configured defaults are known
+        source: library.hoursWidget ? "libcal" : "default",
+        defaultHours: library.defaultHours,
+        days: library.hoursWidget
+          ? await getLibraryHoursRange(library.id, from, to)
+          : [],
+      })),
+    );
+
+    res.setHeader("Cache-Control", "no-cache");
+    res.json({ from, to, timeZone: TIME_ZONE, libraries: results });
+  } catch (error) {
+    sendApiError(res, 500, "INTERNAL_ERROR", error.message);
+  }
+});
+
+app.get("/api/analytics", (req, res) => {
+  const days = req.query.days === undefined ? 56 : Number(req.query.days);
+  if (!Number.isInteger(days) || days < 1 || days > 180) {
+    return sendApiError(
+      res,
+      400,
+      "INVALID_DAYS",
+      "days must be an integer from 1 to 180",
+    );
+  }
+
+  let libraries = LIBRARIES;
+  if (req.query.library) {
+    libraries = LIBRARIES.filter((lib) => lib.id === req.query.library);
+    if (libraries.length === 0) {
+      return sendApiError(
+        res,
+        404,
+        "LIBRARY_NOT_FOUND",
+        `Unknown library: ${req.query.library}`,
+      );
+    }
+  }
+
+  res.setHeader("Cache-Control", "no-cache");
+  res.json({
+    generatedAt: new Date().toISOString(),
+    ...bookingRecorder.summarize({ libraries, days }),
   });
 });
 
+// ------------------------------
+// Watch subscriptions (webhook notifications)
+// ------------------------------
+
+app.get("/api/watches", (req, res) => {
+  res.json({ ...watchNotifier.stats(), items: watchNotifier.list() });
+});
+
+app.post("/api/watches", async (req, res) => {
+  const { watch, problems } = validateWatch(req.body, {
+    libraryIds: LIBRARIES.map((lib) => lib.id),
+  });
+  if (!watch) {
+    return sendApiError(res, 400, "INVALID_WATCH", "Invalid watch", {
+      problems,
+    });
+  }
+
+  try {
+    // The token is only ever sent here; DELETE needs it back
+    res.status(201).json(await watchNotifier.add(watch));
+  } catch (error) {
+    sendApiError(res, 500, "INTERNAL_ERROR", error.message);
+  }
+});
+
+// ------------------------------
+// Web Push (saved searches from the browser)
+// ------------------------------
+
+app.get("/api/push/vapid-public-key", requirePush, (req, res) => {
+  res.json({ publicKey: pushSender.publicKey });
+});
+
+// Body: { subscription: PushSubscription JSON, search: same shape as a watch }
+app.post("/api/push/subscribe", requirePush, async (req, res) => {
+  const { subscription, search } = req.body || {};
+  const subscriptionProblems = validatePushSubscription(subscription);
+  const { watch, problems } = validateWatch(search, {
+    libraryIds: LIBRARIES.map((lib) => lib.id),
+  });
+  if (!watch || subscriptionProblems.length > 0) {
+    return sendApiError(
+      res,
+      400,
+      "INVALID_SUBSCRIPTION",
+      "Invalid push subscription",
+      {
+        problems: [...subscriptionProblems, ...problems],
+      },
+    );
+  }
+
+  try {
+    const { endpoint, keys } = subscription;
+    const { push, ...saved } = await watchNotifier.add({
+      ...watch,
+      push: { endpoint, keys },
+    });
+    res.status(201).json(saved);
+  } catch (error) {
+    sendApiError(res, 500, "INTERNAL_ERROR", error.message);
+  }
+});
+
+// Also used by the browser to cancel a push saved search. The body proves
+// ownership: { token } from when the watch was created, or { endpoint } of
+// the push subscription it notifies.
+app.delete("/api/watches/:id", async (req, res) => {
+  try {
+    const { token, endpoint } = req.body || {};
+    const outcome = await watchNotifier.remove(req.params.id, {
+      token,
+      endpoint,
+    });
+    if (outcome === "not_found") {
+      return sendApiError(
+        res,
+        404,
+        "WATCH_NOT_FOUND",
+        `Unknown watch: ${req.params.id}`,
+      );
+    }
+    if (outcome === "forbidden") {
+      return sendApiError(
+        res,
+        403,
+        "WATCH_FORBIDDEN",
+        "token (or the push subscription endpoint) does not match this watch",
+      );
+    }
+    res.status(204).end();
+  } catch (error) {
+    sendApiError(res, 500, "INTERNAL_ERROR", error.message);
+  }
+});
+
 // ------------------------------
 // Background refresh (keeps cache hot even with 0 visitors)
 // ------------------------------
@@ -977,14 +1552,33 @@ async function refreshAllDaysInBackground() {
 
   backgroundInFlight = (async () => {
     try {
-      const dayStrs = getNext8DaysNY();
+      const dayStrs = getNext8Days();
       console.log(`🔄 Background refresh: ${dayStrs.join(", ")}`);
 
+      // Forget per-library results for days that left the window
+      sources.prune(dayStrs[0]);
+      bookingRecorder.prune(dayStrs[0]);
+      watchNotifier.prune(dayStrs[0]);
+      liveStream.prune(dayStrs[0]);
+      for (const key of Object.keys(dataCache)) {
+        if (key !== "today" && key < dayStrs[0]) delete dataCache[key];
+      }
+
       await Promise.all(
         dayStrs.map(async (dateStr) => {
           try {
             // Force refresh so it updates even if TTL hasn't expired
-            await getAllLibraryData(dateStr, { force: true });
+            const result = await getAllLibraryData(dateStr, { force: true });
+            const now = getTimeInfo();
+            bookingRecorder.observe(dateStr, result.data, now);
+            watchNotifier
+              .evaluate(dateStr, result.data, now)
+              .catch((e) =>
+                console.warn(
+                  `⚠️ Watch evaluation failed for ${dateStr}:`,
+                  e.message,
+                ),
+              );
           } catch (e) {
             console.warn(`⚠️ Background refresh failed for ${dateStr}:`, e?.message || e);
           }
@@ -1002,22 +1596,89 @@ async function refreshAllDaysInBackground() {
   return backgroundInFlight;
 }
 
-// warm immediately on boot, then every minute
-refreshAllDaysInBackground();
-setInterval(refreshAllDaysInBackground, BACKGROUND_REFRESH_MS);
-
-
-// Start server
-app.listen(PORT, () => {
-  console.log(`🏛️  LibrarySpot running on http://localhost:${PORT}`);
-  console.log(`📊 Libraries: 18th Avenue, Thompson, FAES, Health Sciences`);
+// Restore snapshots from disk (if enabled) so the first visitors get data right away
+if (store.enabled) {
+  const dayStrs = getNext8Days();
+  const savedDays = store.loadAvailability(dayStrs[0]);
+  for (const [dateStr, entry] of Object.entries(savedDays)) {
+    if (!dayStrs.includes(dateStr)) continue;
+    dataCache[dateStr] = {
+      lastUpdated: entry.lastUpdated,
+      data: entry.data,
+      stale: true,
+    };
+    // Also the per-library fallback if the first live fetch fails
+    entry.data.forEach((lib) => sources.rememberGood(lib, dateStr));
+  }
+  // Hours weeks too: served marked stale until their first refresh
+  const savedHours = Object.fromEntries(
+    Object.entries(store.loadHours()).map(([cacheKey, entry]) => [
+      cacheKey,
+      { ...entry, stale: true },
+    ]),
+  );
+  hoursCache = { ...savedHours, ...hoursCache };
+  pruneHoursCache();
   console.log(
-    `🌐 Public: GET / (HTML + bootstrapped data, no browser /api calls)`,
+    `💾 Restored ${Object.keys(savedDays).length} day snapshot(s) from ${process.env.DATA_DIR}`,
   );
-  console.log(`🔒 Private (protect in Cloudflare Access): /api/*`);
-  console.log(`📡 Private endpoints:`);
-  console.log(`   POST /api/refresh       - Force refresh cache`);
-  console.log(`   GET  /api/health        - Health check`);
-});
+}
+
+// Only warm the cache and listen when run directly; the tests import this
+// module for the app and getAllLibraryData
+const isMainModule =
+  !!process.argv[1] && path.resolve(process.argv[1]) === __filename;
+
+if (isMainModule) {
+  // warm immediately on boot, then every minute
+  refreshAllDaysInBackground();
+  setInterval(refreshAllDaysInBackground, BACKGROUND_REFRESH_MS);
+
+  // Start server
+  app.listen(PORT, () => {
+    console.log(`🏛️  LibrarySpot running on http://localhost:${PORT}`);
+    console.log(`📊 Libraries: ${LIBRARIES.map((lib) => lib.name).join(", ")}`);
+    console.log(`🌐 Public: GET / (HTML + bootstrapped data)`);
+    console.log(`🌐 Called by the browser, keep public:`);
+    console.log(
+      `   GET  /api/time, /api/config, /api/stream, /api/hours, /api/analytics`,
+    );
+    console.log(
+      `   GET  /api/push/vapid-public-key, POST /api/push/subscribe, DELETE /api/watches/:id`,
+    );
+    console.log(`   GET  /api/feeds/:libraryId.ics (calendar subscriptions)`);
+    console.log(
+      `🔒 Operator only (safe to protect, e.g. with Cloudflare Access):`,
+    );
+    console.log(`   POST /api/refresh?date= - Force refresh one date`);
+    console.log(`   GET  /api/health        - Health check`);
+    console.log(
+      `   GET/POST /api/watches   - Webhook watches (webhook ${watchNotifier.enabled ? "enabled" : "disabled, set WEBHOOK_URL"})`,
+    );
+    console.log(`📖 Read-only JSON API:`);
+    console.log(
+      `   GET  /api/libraries                       - Libraries + date window`,
+    );
+    console.log(
+      `   GET  /api/libraries/:id?date=YYYY-MM-DD   - One library's rooms/slots`,
+    );
+    console.log(
+      `   GET  /api/rooms/:libraryId/:room?date=    - One room's slots`,
+    );
+    console.log(
+      `   GET  /api/search?date=&from=&minDuration= - Rooms with matching free blocks`,
+    );
+    console.log(
+      `   GET  /api/hours?library=&from=&to=        - Hours for any date range`,
+    );
+    console.log(
+      `   GET  /api/feeds/:libraryId.ics?minDuration= - Calendar feed of free blocks`,
+    );
+    console.log(
+      `   GET  /api/analytics?library=&days=        - Booking history analytics`,
+    );
+  });
+}
 
+export { getAllLibraryData };
 export default app;
\ No newline at end of file
@@ -0,0 +1,171 @@
+/**
+ * Direct LibCal spaces client (no browser)
+ *
+ * The LibCal spaces page (`/spaces?lid=..&gid=..`) is a shell: the room list
+ * is embedded in its HTML as `resources.push({ eid, title, capacity, ... })`
+ * calls, and the booking grid is loaded with a POST to
+ * `/spaces/availability/grid`, which answers with
+ *
+ *   { slots: [{ start: "2026-01-21 13:30:00", end: "...", itemId: 77591,
+ *               checksum: "...", className?: "s-lc-eq-checkout" }] }
+ *
+ * A slot without a className is bookable; booked, padding and closed slots
+ * carry one. Both are plain HTTP, so this returns the same rooms/slots shape
+ * the Puppeteer scraper produces in well under a second.
+ *
+ * Setting LIBCAL_BASE_URL sends every LibCal request (spaces page, grid and
+ * hours widget) to that origin instead of each library's domain, e.g. a local
+ * stand-in serving recorded pages.
+ */
+import { formatMinutes, slotMinutesOf } from "../shared/slots.js";
+
+const RESOURCES_TTL = 6 * 60 * 60 * 1000; // room lists rarely change
+const REQUEST_TIMEOUT_MS = 10000;
+
+const resourceCache = new Map(); // spaces URL -> { fetchedAt, resources }
+
+/**
+ * Rooms declared on a LibCal spaces page: [{ id, name, capacity }]
+ */
+export function parseLibCalResources(html) {
+  const resources = [];
+  for (const [, body] of html.matchAll(/resources\.push\(\{([\s\S]*?)\}\);/g)) {
+    const eid = body.match(/\beid:\s*(\d+)/)?.[1];
+    const title = body.match(/\btitle:\s*"((?:[^"\\]|\\.)*)"/)?.[1];
+    if (!eid || !title) continue;
+    const capacity = body.match(/\bcapacity:\s*(\d+)/)?.[1];
+    resources.push({
+      id: Number(eid),
+      name: JSON.parse(`"${title}"`).trim(),
+      capacity: capacity ? Number(capacity) : null,
+    });
+  }
+  return resources;
+}
+
+/**
+ * Group grid slots for one date into rooms: [{ name, capacity, slots: [{ time, available }] }]
+ */
+export function parseLibCalGrid(grid, resources, dateStr) {
+  const byId = new Map(resources.map((r) => [r.id, r]));
+  const rooms = new Map();
+
+  for (const slot of grid?.slots || []) {
+    const resource = byId.get(Number(slot.itemId));
+    const [day, clock] = String(slot.start).split(" ");
+    if (!resource || day !== dateStr || !clock) continue;
+
+    const [h, m] = clock.split(":").map(Number);
+    const time = formatMinutes(h * 60 + m);
+    const available = !slot.className;
+
+    if (!rooms.has(resource.id)) {
+      rooms.set(resource.id, {
+        name: resource.name,
+        capacity: resource.capacity,
+        slots: new Map(),
+      });
+    }
+    const room = rooms.get(resource.id);
+    // Same time twice (overlapping bookings): bookable if either says so
+    room.slots.set(time, (room.slots.get(time) ?? false) || available);
+  }
+
+  return [...rooms.values()]
+    .map((room) => ({
+      name: room.name,
+      capacity: room.capacity,
+      slots: [...room.slots.entries()]
+        .map(([time, available]) => ({ time, available }))
+        .sort((a, b) => slotMinutesOf(a) - slotMinutesOf(b)),
+    }))
+    .sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * Origin for requests to a LibCal instance ("https://hsl-osu.libcal.com")
+ */
+export function getLibCalOrigin(domain) {
+  return (process.env.LIBCAL_BASE_URL || `https://${domain}`).replace(
+    /\/+$/,
+    "",
+  );
+}
+
+/**
+ * URL to fetch a library's spaces page from (its `libcalUrl`, re-homed onto
+ * LIBCAL_BASE_URL when that is set)
+ */
+export function getSpacesUrl(library) {
+  if (!process.env.LIBCAL_BASE_URL) return library.libcalUrl;
+  const { pathname, search } = new URL(library.libcalUrl);
+  return `${getLibCalOrigin(library.libcal.domain)}${pathname}${search}`;
+}
+
+function nextDate(dateStr) {
+  const date = new Date(`${dateStr}T12:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + 1);
+  return date.toISOString().slice(0, 10);
+}
+
+async function getResources(libcalUrl) {
+  const cached = resourceCache.get(libcalUrl);
+  if (cached && Date.now() - cached.fetchedAt < RESOURCES_TTL) {
+    return cached.resources;
+  }
+
+  const response = await fetch(libcalUrl, {
+    signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS),
+  });
+  if (!response.ok) {
+    throw new Error(`LibCal spaces page returned HTTP ${response.status}`);
+  }
+  const resources = parseLibCalResources(await response.text());
+  if (resources.length === 0) {
+    throw new Error("No rooms found on the LibCal spaces page");
+  }
+
+  resourceCache.set(libcalUrl, { fetchedAt: Date.now(), resources });
+  return resources;
+}
+
+/**
+ * Fetch one date's rooms and slots for a LibCal library without a browser
+ * @param {Object} library - Library config with `libcal: { domain, lid, gid }` and `libcalUrl`
+ * @param {string} dateStr - YYYY-MM-DD
+ */
+export async function fetchLibCalGrid(library, dateStr) {
+  const { domain, lid, gid } = library.libcal;
+  const spacesUrl = getSpacesUrl(library);
+  const resources = await getResources(spacesUrl);
+
+  const body = new URLSearchParams({
+    lid: String(lid),
+    gid: String(gid),
+    eid: "-1",
+    seat: "0",
+    seatId: "0",
+    zone: "0",
+    start: dateStr,
+    end: nextDate(dateStr),
+    pageIndex: "0",
+    pageSize: String(Math.max(18, resources.length)),
+  });
+
+  const gridUrl = `${getLibCalOrigin(domain)}/spaces/availability/grid`;
+  const response = await fetch(gridUrl, {
+    method: "POST",
+    headers: {
+      "Content-Type": "application/x-www-form-urlencoded; charset=UTF-8",
+      "X-Requested-With": "XMLHttpRequest",
+      Referer: spacesUrl,
+    },
+    body,
+    signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS),
+  });
+  if (!response.ok) {
+    throw new Error(`LibCal grid returned HTTP ${response.status}`);
+  }
+
+  return parseLibCalGrid(await response.json(), resources, dateStr);
+}
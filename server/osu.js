@@ -0,0 +1,35 @@
+/**
+ * OSU room reservation API helpers
+ *
+ * The API answers `/locationsearch/<locationId>/<local midnight as ISO>` with
+ * one entry per room, each listing 30-minute timeslots in the library's local
+ * time ("07:30:00"). The base URL can be pointed elsewhere with
+ * OSU_API_BASE_URL (e.g. a local stand-in serving recorded responses).
+ */
+
+const DEFAULT_OSU_API_BASE_URL =
+  "https://content.osu.edu/v2/library/roomreservation/api/v1";
+
+// The room reservation site the API backs (its own page, not a per-room link)
+export const OSU_BOOKING_URL = "https://library.osu.edu/room-reservation";
+
+/**
+ * Availability URL for one location and day
+ * @param {number} locationId - OSU API location id
+ * @param {string} apiDateStr - Local midnight as an ISO instant
+ */
+export function getLocationSearchUrl(locationId, apiDateStr) {
+  const base = (
+    process.env.OSU_API_BASE_URL || DEFAULT_OSU_API_BASE_URL
+  ).replace(/\/+$/, "");
+  return `${base}/locationsearch/${locationId}/${apiDateStr}`;
+}
+
+/**
+ * Extract room name from OSU API roomName (e.g., "18th Avenue Library 126" -> "126")
+ */
+export function extractRoomNumber(roomName) {
+  // Match patterns like "045D", "126", etc. at the end
+  const match = roomName.match(/(\d+[A-Za-z]?)\s*$/);
+  return match ? match[1] : roomName;
+}
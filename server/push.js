@@ -0,0 +1,97 @@
+/**
+ * Web Push delivery for saved searches
+ *
+ * VAPID keys come from VAPID_PUBLIC_KEY / VAPID_PRIVATE_KEY, or are generated
+ * once and kept in DATA_DIR/vapid.json. Without either, a fresh key pair is
+ * generated per boot, which silently invalidates every browser subscription
+ * on restart, so a warning is logged.
+ */
+import fs from "fs";
+import path from "path";
+import webpush from "web-push";
+import { writeJsonAtomic } from "./store.js";
+
+function loadVapidKeys(dataDir) {
+  if (process.env.VAPID_PUBLIC_KEY && process.env.VAPID_PRIVATE_KEY) {
+    return {
+      publicKey: process.env.VAPID_PUBLIC_KEY,
+      privateKey: process.env.VAPID_PRIVATE_KEY,
+    };
+  }
+
+  const filePath = dataDir ? path.join(dataDir, "vapid.json") : null;
+  if (filePath && fs.existsSync(filePath)) {
+    return JSON.parse(fs.readFileSync(filePath, "utf-8"));
+  }
+
+  const keys = webpush.generateVAPIDKeys();
+  if (filePath) {
+    fs.mkdirSync(dataDir, { recursive: true });
+    writeJsonAtomic(filePath, keys).catch((error) =>
+      console.warn("⚠️ Failed to save VAPID keys:", error.message),
+    );
+    console.log(`🔑 Generated VAPID keys in ${filePath}`);
+  } else {
+    console.warn(
+      "⚠️ No VAPID keys configured and no DATA_DIR: push subscriptions won't survive a restart",
+    );
+  }
+  return keys;
+}
+
+/**
+ * Validate a browser PushSubscription (as JSON). Returns a list of problems.
+ */
+export function validatePushSubscription(subscription) {
+  if (!subscription || typeof subscription !== "object") {
+    return ["subscription is required"];
+  }
+  const problems = [];
+  try {
+    if (new URL(subscription.endpoint).protocol !== "https:") {
+      problems.push("subscription.endpoint must be an https URL");
+    }
+  } catch {
+    problems.push("subscription.endpoint must be an https URL");
+  }
+  if (
+    typeof subscription.keys?.p256dh !== "string" ||
+    typeof subscription.keys?.auth !== "string"
+  ) {
+    problems.push("subscription.keys must include p256dh and auth");
+  }
+  return problems;
+}
+
+/**
+ * @param {Object} options
+ * @param {string|null} options.dataDir - Where to keep generated VAPID keys
+ * @param {string} options.subject - VAPID contact (mailto: or https: URL)
+ */
+export function createPushSender({ dataDir = null, subject }) {
+  const keys = loadVapidKeys(dataDir);
+  webpush.setVapidDetails(subject, keys.publicKey, keys.privateKey);
+
+  return {
+    publicKey: keys.publicKey,
+
+    /**
+     * Send one notification. `gone` means the browser dropped the subscription.
+     */
+    async send(subscription, payload) {
+      try {
+        await webpush.sendNotification(subscription, JSON.stringify(payload), {
+          TTL: 60 * 60,
+        });
+        return { ok: true, gone: false };
+      } catch (error) {
+        const gone = error.statusCode === 404 || error.statusCode === 410;
+        return {
+          ok: false,
+          gone,
+          error: error.statusCode ? `HTTP ${error.statusCode}` : error.message,
+        };
+      }
+    },
+  };
+}
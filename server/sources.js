@@ -0,0 +1,246 @@
+/**
+ * Data-source adapter registry
+ *
+ * Every library config has a `type` that names the adapter that knows how to
+ * fetch it. An adapter looks like:
+ *
+ *   {
+ *     type: "osu-api",
+ *     ttlMs: 0,                       // per library+date cache (0 = always fetch)
+ *     concurrency: 4,                 // max fetches running at once for this adapter
+ *     fetch: async (library, dateStr) => normalizedLibrary,
+ *     healthcheck: async () => ({ ok: true, ... }),   // optional
+ *   }
+ *
+ * A normalized library is the library config plus:
+ *   { rooms: [{ name, capacity, floor, amenities, slots: [{ time, available }] }],
+ *     scrapedAt, isLive, error? }
+ *
+ * The registry adds `startMinutes` to every slot and sorts them by it, so
+ * adapters only have to provide a parseable `time` or `starttime`.
+ *
+ * Adding a library is a config entry; adding a new kind of upstream is one
+ * registerAdapter() call. Caching, de-duplication and concurrency limits are
+ * handled here so adapters only deal with their upstream.
+ *
+ * Failures never replace good data: the last successful result per library
+ * and date is kept, and served with `stale: true` (and its original
+ * scrapedAt) when the upstream errors. Adapters with a TTL are served
+ * stale-while-revalidate once the TTL passes.
+ */
+
+import { withSlotMinutes } from "../shared/slots.js";
+
+/**
+ * Create a promise queue that runs at most `concurrency` tasks at once
+ */
+export function createLimiter(concurrency = Infinity) {
+  let active = 0;
+  const queue = [];
+
+  const next = () => {
+    if (active >= concurrency || queue.length === 0) return;
+    active++;
+    const { task, resolve, reject } = queue.shift();
+    Promise.resolve()
+      .then(task)
+      .then(resolve, reject)
+      .finally(() => {
+        active--;
+        next();
+      });
+  };
+
+  const run = (task) =>
+    new Promise((resolve, reject) => {
+      queue.push({ task, resolve, reject });
+      next();
+    });
+
+  run.stats = () => ({ active, queued: queue.length, concurrency });
+  return run;
+}
+
+/**
+ * Build the error-shaped result every caller already understands
+ */
+function errorResult(library, message) {
+  return {
+    ...library,
+    rooms: [],
+    scrapedAt: new Date().toISOString(),
+    error: message,
+  };
+}
+
+/**
+ * Add numeric `startMinutes` to every slot of a fetched library
+ */
+function withRoomSlotMinutes(data) {
+  if (!Array.isArray(data?.rooms)) return data;
+  return {
+    ...data,
+    rooms: data.rooms.map((room) => ({
+      ...room,
+      slots: withSlotMinutes(room.slots),
+    })),
+  };
+}
+
+export function createSourceRegistry() {
+  const adapters = new Map();
+  const cache = new Map(); // `${libraryId}:${dateKey}` -> { lastUpdated, data }
+  const lastGood = new Map(); // `${libraryId}:${dateKey}` -> last result without an error
+  const inFlight = new Map();
+
+  const keyFor = (library, dateStr) => `${library.id}:${dateStr || "today"}`;
+
+  function registerAdapter(adapter) {
+    if (!adapter?.type || typeof adapter.fetch !== "function") {
+      throw new Error(
+        "Source adapter needs a type and a fetch(library, dateStr) function",
+      );
+    }
+    if (adapters.has(adapter.type)) {
+      throw new Error(`Source adapter "${adapter.type}" is already registered`);
+    }
+
+    adapters.set(adapter.type, {
+      ttlMs: 0,
+      concurrency: Infinity,
+      ...adapter,
+      limit: createLimiter(adapter.concurrency ?? Infinity),
+      stats: { lastSuccessAt: null, lastErrorAt: null, lastError: null },
+    });
+  }
+
+  function getAdapter(type) {
+    return adapters.get(type) || null;
+  }
+
+  /**
+   * Remember a successful result as the fallback for its library and date
+   */
+  function rememberGood(data, dateStr = null) {
+    if (!data || data.error || data.stale) return;
+    lastGood.set(keyFor(data, dateStr), data);
+  }
+
+  /**
+   * Run the adapter, falling back to the last good result on failure
+   */
+  function revalidate(adapter, library, dateStr, cacheKey) {
+    if (inFlight.has(cacheKey)) return inFlight.get(cacheKey);
+
+    const promise = adapter
+      .limit(() => adapter.fetch(library, dateStr))
+      .then(withRoomSlotMinutes)
+      .catch((error) => {
+        console.error(`Error fetching ${library.name}:`, error.message);
+        return errorResult(library, error.message);
+      })
+      .then((data) => {
+        if (data.error) {
+          adapter.stats.lastErrorAt = Date.now();
+          adapter.stats.lastError = data.error;
+
+          const good = lastGood.get(cacheKey);
+          if (good) {
+            console.warn(
+              `⚠️ Serving last good ${library.name} data for ${cacheKey} (from ${good.scrapedAt})`,
+            );
+            data = {
+              ...good,
+              isLive: false,
+              stale: true,
+              staleReason: data.error,
+            };
+          }
+        } else {
+          adapter.stats.lastSuccessAt = Date.now();
+          lastGood.set(cacheKey, data);
+        }
+        cache.set(cacheKey, { lastUpdated: Date.now(), data });
+        return data;
+      })
+      .finally(() => inFlight.delete(cacheKey));
+
+    inFlight.set(cacheKey, promise);
+    return promise;
+  }
+
+  /**
+   * Fetch one library for one date through its adapter (cached per adapter TTL)
+   */
+  async function fetchLibrary(library, dateStr = null) {
+    const adapter = adapters.get(library.type);
+    if (!adapter) {
+      return errorResult(
+        library,
+        `No source adapter for type "${library.type}"`,
+      );
+    }
+
+    const cacheKey = keyFor(library, dateStr);
+    const entry = cache.get(cacheKey);
+
+    if (entry && adapter.ttlMs > 0) {
+      if (Date.now() - entry.lastUpdated < adapter.ttlMs) {
+        console.log(`Using cached ${library.type} data for ${cacheKey}`);
+        return entry.data;
+      }
+
+      // Expired: answer with what we have and refresh in the background
+      revalidate(adapter, library, dateStr, cacheKey);
+      return entry.data;
+    }
+
+    return revalidate(adapter, library, dateStr, cacheKey);
+  }
+
+  /**
+   * Drop cached and last-good entries for dates before `oldestDate` (YYYY-MM-DD)
+   */
+  function prune(oldestDate) {
+    for (const map of [cache, lastGood]) {
+      for (const key of map.keys()) {
+        const dateKey = key.slice(key.lastIndexOf(":") + 1);
+        if (dateKey !== "today" && dateKey < oldestDate) map.delete(key);
+      }
+    }
+  }
+
+  /**
+   * Per-adapter status. With deep=true, also runs each adapter's healthcheck().
+   */
+  async function healthcheck({ deep = false } = {}) {
+    const out = {};
+    for (const [type, adapter] of adapters) {
+      const status = {
+        ttlMs: adapter.ttlMs,
+        ...adapter.limit.stats(),
+        ...adapter.stats,
+      };
+
+      if (deep && typeof adapter.healthcheck === "function") {
+        try {
+          status.check = await adapter.healthcheck();
+        } catch (error) {
+          status.check = { ok: false, error: error.message };
+        }
+      }
+
+      out[type] = status;
+    }
+    return out;
+  }
+
+  return {
+    registerAdapter,
+    getAdapter,
+    fetchLibrary,
+    rememberGood,
+    prune,
+    healthcheck,
+  };
+}
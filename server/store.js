@@ -0,0 +1,163 @@
+/**
+ * On-disk snapshot store (optional)
+ *
+ * When DATA_DIR is set, every successful availability fetch (per date) and
+ * every LibCal hours week is written as a JSON file, and reloaded on boot so
+ * a restart can serve the last known data immediately instead of waiting on
+ * Puppeteer and eight days of OSU API calls.
+ *
+ *   DATA_DIR/availability/2026-10-21.json   { savedAt, lastUpdated, data }
+ *   DATA_DIR/hours/thompson-2026-10-19.json { savedAt, lastUpdated, data }
+ */
+import fs from "fs";
+import fsp from "fs/promises";
+import path from "path";
+
+// Snapshot names become file names, so only these shapes are ever read or written
+const DATE_NAME_RE = /^\d{4}-\d{2}-\d{2}$/;
+const HOURS_NAME_RE = /^[a-z0-9][a-z0-9-]*-\d{4}-\d{2}-\d{2}$/;
+
+let tmpCounter = 0;
+
+/**
+ * Write JSON atomically (temp file + rename) so a crash never leaves half a file
+ */
+export async function writeJsonAtomic(filePath, value) {
+  const tmpPath = `${filePath}.${process.pid}.${tmpCounter++}.tmp`;
+  await fsp.writeFile(tmpPath, JSON.stringify(value));
+  await fsp.rename(tmpPath, filePath);
+}
+
+function readJsonDir(dir, nameRe) {
+  if (!fs.existsSync(dir)) return [];
+
+  const out = [];
+  for (const name of fs.readdirSync(dir)) {
+    if (!name.endsWith(".json")) continue;
+    if (!nameRe.test(name.slice(0, -".json".length))) continue;
+    try {
+      const value = JSON.parse(fs.readFileSync(path.join(dir, name), "utf-8"));
+      out.push([name.slice(0, -".json".length), value]);
+    } catch (error) {
+      console.warn(`⚠️ Skipping unreadable snapshot ${name}:`, error.message);
+    }
+  }
+  return out;
+}
+
+/**
+ * @param {string|null} dataDir - Directory for snapshots; falsy disables the store
+ */
+export function createSnapshotStore(dataDir) {
+  if (!dataDir) {
+    const noop = async () => {};
+    return {
+      enabled: false,
+      loadAvailability: () => ({}),
+      loadHours: () => ({}),
+      saveAvailability: noop,
+      saveHours: noop,
+      deleteHours: noop,
+    };
+  }
+
+  const availabilityDir = path.join(dataDir, "availability");
+  const hoursDir = path.join(dataDir, "hours");
+  fs.mkdirSync(availabilityDir, { recursive: true });
+  fs.mkdirSync(hoursDir, { recursive: true });
+
+  // Write `${name}.json` in dir, refusing any name that isn't a date/cache key
+  // (callers pass query-string values; "../x" must never become a path)
+  function save(dir, nameRe, what, name, entry) {
+    if (typeof name !== "string" || !nameRe.test(name)) {
+      console.warn(`⚠️ Refusing to save ${what} snapshot named ${name}`);
+      return Promise.resolve(false);
+    }
+    return writeJsonAtomic(path.join(dir, `${name}.json`), {
+      savedAt: Date.now(),
+      ...entry,
+    })
+      .then(() => true)
+      .catch((error) => {
+        console.warn(
+          `⚠️ Failed to save ${what} ${name} snapshot:`,
+          error.message,
+        );
+        return false;
+      });
+  }
+
+  return {
+    enabled: true,
+
+    /**
+     * Load saved availability keyed by date, skipping (and removing) dates before `oldestDate`
+     */
+    loadAvailability(oldestDate) {
+      const out = {};
+      for (const [dateStr, entry] of readJsonDir(
+        availabilityDir,
+        DATE_NAME_RE,
+      )) {
+        if (!entry?.data) continue;
+        if (oldestDate && dateStr < oldestDate) {
+          fs.rmSync(path.join(availabilityDir, `${dateStr}.json`), {
+            force: true,
+          });
+          continue;
+        }
+        out[dateStr] = entry;
+      }
+      return out;
+    },
+
+    /**
+     * Load saved hours weeks keyed by hoursCache key (`${libraryId}-${monday}`)
+     */
+    loadHours() {
+      const out = {};
+      for (const [cacheKey, entry] of readJsonDir(hoursDir, HOURS_NAME_RE)) {
+        if (entry?.data) out[cacheKey] = entry;
+      }
+      return out;
+    },
+
+    /**
+     * Save one date's availability; resolves false (nothing written) unless
+     * dateStr is YYYY-MM-DD
+     */
+    saveAvailability(dateStr, entry) {
+      return save(
+        availabilityDir,
+        DATE_NAME_RE,
+        "availability",
+        dateStr,
+        entry,
+      );
+    },
+
+    /**
+     * Save one hours week; resolves false unless cacheKey is `${libraryId}-${monday}`
+     */
+    saveHours(cacheKey, entry) {
+      return save(hoursDir, HOURS_NAME_RE, "hours", cacheKey, entry);
+    },
+
+    /**
+     * Remove one hours week's snapshot (same name rule as saveHours)
+     */
+    deleteHours(cacheKey) {
+      if (typeof cacheKey !== "string" || !HOURS_NAME_RE.test(cacheKey)) {
+        return Promise.resolve();
+      }
+      return fsp
+        .rm(path.join(hoursDir, `${cacheKey}.json`), { force: true })
+        .catch((error) => {
+          console.warn(
+            `⚠️ Failed to delete hours ${cacheKey} snapshot:`,
+            error.message,
+          );
+        });
+    },
+  };
+}
@@ -0,0 +1,144 @@
+/**
+ * Live availability stream (Server-Sent Events)
+ *
+ * Every fresh fetch for a date is published here, and connected clients get an
+ * `update` event with only the libraries whose data changed:
+ *
+ *   id: lq3x9c-42
+ *   event: update
+ *   data: { date, fetchedAt, stale, full, libraries: [...] }
+ *
+ * `full: true` means `libraries` is the complete list for that date (first
+ * publish, or a client catching up from scratch). Event ids are
+ * `${bootId}-${n}`; a client reconnecting with Last-Event-ID (or
+ * ?lastEventId=) from this process only receives what changed since, anything
+ * else gets every date in full.
+ */
+
+const HEARTBEAT_MS = 25 * 1000;
+
+export function createLiveStream() {
+  const bootId = Date.now().toString(36);
+  let seq = 0;
+
+  // dateStr -> { fetchedAt, stale, libraries: Map(id -> { json, changedAt }) }
+  const dates = new Map();
+  const clients = new Set();
+
+  const heartbeat = setInterval(() => {
+    for (const res of clients) res.write(": ping\n\n");
+  }, HEARTBEAT_MS);
+  heartbeat.unref();
+
+  function lastEventId() {
+    return `${bootId}-${seq}`;
+  }
+
+  // Sequence number from an id issued by this process, or null
+  function parseEventId(id) {
+    const [boot, n] = String(id || "").split("-");
+    const value = Number(n);
+    if (boot !== bootId || !Number.isInteger(value) || value > seq) return null;
+    return value;
+  }
+
+  function write(res, event, data, id = null) {
+    res.write(
+      `${id ? `id: ${id}\n` : ""}event: ${event}\ndata: ${JSON.stringify(data)}\n\n`,
+    );
+  }
+
+  // Update event for one date with the libraries changed after `since` (null = all)
+  function buildUpdate(dateStr, since) {
+    const entry = dates.get(dateStr);
+    const libraries = [...entry.libraries.values()]
+      .filter((lib) => since === null || lib.changedAt > since)
+      .map((lib) => JSON.parse(lib.json));
+    return {
+      date: dateStr,
+      fetchedAt: entry.fetchedAt,
+      stale: entry.stale,
+      full: since === null,
+      libraries,
+    };
+  }
+
+  /**
+   * Record a fresh result for a date and push what changed to every client
+   */
+  function publish(dateStr, { data, fetchedAt, stale = false }) {
+    const id = ++seq;
+    const previous = dates.get(dateStr);
+    const libraries = new Map();
+    const changed = [];
+
+    for (const library of data) {
+      const json = JSON.stringify(library);
+      const before = previous?.libraries.get(library.id);
+      if (before?.json === json) {
+        libraries.set(library.id, before);
+      } else {
+        libraries.set(library.id, { json, changedAt: id });
+        changed.push(library);
+      }
+    }
+    dates.set(dateStr, { fetchedAt, stale: !!stale, libraries });
+
+    // Unchanged data still moves fetchedAt forward, so always send something
+    const update = {
+      date: dateStr,
+      fetchedAt,
+      stale: !!stale,
+      full: !previous,
+      libraries: changed,
+    };
+    for (const res of clients) write(res, "update", update, `${bootId}-${id}`);
+  }
+
+  /**
+   * Express handler for GET /api/stream
+   */
+  function handler(req, res) {
+    res.writeHead(200, {
+      "Content-Type": "text/event-stream",
+      "Cache-Control": "no-cache, no-transform",
+      Connection: "keep-alive",
+      "X-Accel-Buffering": "no", // don't let nginx buffer the stream
+    });
+
+    const since = parseEventId(
+      req.get("Last-Event-ID") || req.query.lastEventId,
+    );
+    write(res, "hello", { serverNowMs: Date.now(), resumed: since !== null });
+
+    // Catch up on anything the client hasn't seen
+    const catchUpId = lastEventId();
+    for (const dateStr of [...dates.keys()].sort()) {
+      write(res, "update", buildUpdate(dateStr, since), catchUpId);
+    }
+
+    clients.add(res);
+    req.on("close", () => clients.delete(res));
+  }
+
+  /**
+   * Forget dates that left the window
+   */
+  function prune(oldestDate) {
+    for (const dateStr of dates.keys()) {
+      if (dateStr < oldestDate) dates.delete(dateStr);
+    }
+  }
+
+  return {
+    handler,
+    publish,
+    prune,
+    lastEventId,
+    stats: () => ({
+      clients: clients.size,
+      dates: dates.size,
+      lastEventId: lastEventId(),
+    }),
+  };
+}
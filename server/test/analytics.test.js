@@ -0,0 +1,72 @@
+import { describe, it, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { createBookingRecorder } from "../analytics.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const dataDir = fs.mkdtempSync(
+  path.join(os.tmpdir(), "library-spot-analytics-"),
+);
+const filePath = path.join(dataDir, "analytics", "bookings.jsonl");
+
+after(() => {
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+const library = (available) => ({
+  id: "thompson",
+  rooms: [{ name: "150", slots: [{ time: "2:00pm", available }] }],
+});
+
+// One pass sees the slot free, the next sees it taken
+function recordBooking(recorder, timestamp) {
+  const now = { timestamp, dateStr: "2026-10-20", hour: 9, minute: 0 };
+  recorder.observe("2026-10-20", [library(true)], now);
+  recorder.observe("2026-10-20", [library(false)], now);
+}
+
+const readLines = () => fs.readFileSync(filePath, "utf-8").trim().split("\n");
+
+describe("createBookingRecorder", () => {
+  it("records a slot flipping from available to taken", async () => {
+    const recorder = createBookingRecorder({ dataDir });
+    recordBooking(recorder, Date.now());
+    await recorder.prune("2026-10-20");
+
+    const summary = recorder.summarize({
+      libraries: [{ id: "thompson", name: "Thompson" }],
+    });
+    assert.equal(summary.totalBookings, 1);
+    assert.equal(summary.libraries[0].rooms[0].medianLeadMinutes, 300);
+    assert.equal(readLines().length, 1);
+  });
+
+  it("drops events past the history window and compacts the file", async () => {
+    const recorder = createBookingRecorder({ dataDir });
+    recordBooking(recorder, Date.now() - 200 * DAY_MS);
+    // Written as it happened, then pruned on the next pass
+    await recorder.prune("2026-10-20");
+    assert.equal(readLines().length, 1);
+    assert.equal(
+      recorder.summarize({ libraries: [], days: 365 }).totalBookings,
+      1,
+    );
+  });
+
+  it("skips expired lines on load and rewrites the file without them", async () => {
+    fs.appendFileSync(
+      filePath,
+      JSON.stringify({ libraryId: "thompson", bookedAt: 0 }) + "\n",
+    );
+    const recorder = createBookingRecorder({ dataDir });
+    assert.equal(
+      recorder.summarize({ libraries: [], days: 365 }).totalBookings,
+      1,
+    );
+    await recorder.prune("2026-10-20");
+    assert.equal(readLines().length, 1);
+    assert.ok(readLines().every((line) => JSON.parse(line).bookedAt > 0));
+  });
+});
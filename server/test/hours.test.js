@@ -0,0 +1,178 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import {
+  findLibCalIid,
+  getMondayOfWeek,
+  getWeekStarts,
+  parseRowHours,
+} from "../hours.js";
+
+const hoursGrid = fs.readFileSync(
+  new URL("./fixtures/libcal-hours-grid.html", import.meta.url),
+  "utf8",
+);
+
+describe("getMondayOfWeek", () => {
+  it("returns the same date for a Monday", () => {
+    assert.equal(getMondayOfWeek("2026-10-19"), "2026-10-19");
+  });
+
+  it("goes back to Monday mid-week", () => {
+    assert.equal(getMondayOfWeek("2026-10-22"), "2026-10-19");
+  });
+
+  it("treats Sunday as the end of the week", () => {
+    assert.equal(getMondayOfWeek("2026-10-25"), "2026-10-19");
+  });
+
+  it("crosses month and year boundaries", () => {
+    assert.equal(getMondayOfWeek("2026-11-01"), "2026-10-26");
+    assert.equal(getMondayOfWeek("2027-01-01"), "2026-12-28");
+  });
+});
+
+describe("getWeekStarts", () => {
+  it("returns one Monday for a range inside a week", () => {
+    assert.deepEqual(getWeekStarts("2026-10-20", "2026-10-25"), ["2026-10-19"]);
+  });
+
+  it("covers partial weeks at both ends", () => {
+    assert.deepEqual(getWeekStarts("2026-10-25", "2026-11-09"), [
+      "2026-10-19",
+      "2026-10-26",
+      "2026-11-02",
+      "2026-11-09",
+    ]);
+  });
+
+  it("steps across a DST change and a year boundary", () => {
+    assert.deepEqual(getWeekStarts("2026-10-31", "2026-11-02"), [
+      "2026-10-26",
+      "2026-11-02",
+    ]);
+    assert.deepEqual(getWeekStarts("2026-12-31", "2027-01-04"), [
+      "2026-12-28",
+      "2027-01-04",
+    ]);
+  });
+});
+
+describe("parseRowHours", () => {
+  it("reads a week of building hours keyed by date", () => {
+    const hours = parseRowHours(hoursGrid, "18th Avenue Library", "2026-10-19");
+    assert.deepEqual(Object.keys(hours), [
+      "2026-10-19",
+      "2026-10-20",
+      "2026-10-21",
+      "2026-10-22",
+      "2026-10-23",
+      "2026-10-24",
+      "2026-10-25",
+    ]);
+  });
+
+  it("keeps the note on 24 hour days", () => {
+    const hours = parseRowHours(hoursGrid, "18th Avenue Library", "2026-10-19");
+    assert.deepEqual(hours["2026-10-19"], {
+      open: 0,
+      close: 24,
+      openStr: "24 Hours",
+      closeStr: "",
+      note: "Current OSU ID req'd 12AM -7AM",
+    });
+    assert.equal(hours["2026-10-21"].note, null);
+  });
+
+  it("parses time ranges and treats a 12am close as midnight", () => {
+    const hours = parseRowHours(hoursGrid, "18th Avenue Library", "2026-10-19");
+    assert.deepEqual(hours["2026-10-23"], {
+      open: 0,
+      close: 22,
+      openStr: "12AM",
+      closeStr: "10PM",
+    });
+    assert.deepEqual(hours["2026-10-25"], {
+      open: 11,
+      close: 24,
+      openStr: "11AM",
+      closeStr: "12AM",
+    });
+  });
+
+  it("marks closed days", () => {
+    const hours = parseRowHours(
+      hoursGrid,
+      "18th Group Study Rooms",
+      "2026-10-19",
+    );
+    assert.equal(hours["2026-10-24"].closed, true);
+    assert.equal(hours["2026-10-24"].open, null);
+    assert.deepEqual(hours["2026-10-20"], {
+      open: 7.5,
+      close: 23.5,
+      openStr: "7:30AM",
+      closeStr: "11:30PM",
+    });
+  });
+
+  it("keeps LibCal's label for the day as the note", () => {
+    const row = (...cells) =>
+      `<table><tr><td>Main Library</td>${cells
+        .map((cell) => `<td>${cell}</td>`)
+        .join("")}</tr></table>`;
+    const hours = parseRowHours(
+      row(
+        '<span class="s-lc-closed">Closed</span> - Thanksgiving Break',
+        '<span class="s-lc-closed">Closed for event</span>',
+        '<span class="s-lc-time">10am &ndash; 4pm</span> (Reduced hours)',
+        '<span class="s-lc-closed">Closed</span>',
+        "By appointment",
+      ),
+      "Main Library",
+      "2026-11-23",
+    );
+    assert.equal(hours["2026-11-23"].note, "Thanksgiving Break");
+    assert.equal(hours["2026-11-23"].closed, true);
+    assert.equal(hours["2026-11-24"].note, "Closed for event");
+    assert.deepEqual(hours["2026-11-25"], {
+      open: 10,
+      close: 16,
+      openStr: "10AM",
+      closeStr: "4PM",
+      note: "Reduced hours",
+    });
+    assert.equal(hours["2026-11-26"].note, undefined);
+    assert.equal(hours["2026-11-27"].openStr, "Unknown");
+    assert.equal(hours["2026-11-27"].note, "By appointment");
+  });
+
+  it("reads the first location row when no row is named", () => {
+    const hours = parseRowHours(hoursGrid, null, "2026-10-19");
+    assert.equal(hours["2026-10-19"].openStr, "24 Hours");
+    assert.equal(hours["2026-10-23"].closeStr, "10PM");
+  });
+
+  it("returns null when the row isn't in the table", () => {
+    assert.equal(
+      parseRowHours(hoursGrid, "Nowhere Library", "2026-10-19"),
+      null,
+    );
+  });
+});
+
+describe("findLibCalIid", () => {
+  it("finds the iid in URLs and script settings", () => {
+    assert.equal(
+      findLibCalIid('load("/widget/hours/grid?iid=1731&format=html")'),
+      1731,
+    );
+    assert.equal(findLibCalIid('{ "iid": "5296", "lid": 0 }'), 5296);
+    assert.equal(findLibCalIid("springSpace.iid = 42;"), 42);
+  });
+
+  it("returns null without one", () => {
+    assert.equal(findLibCalIid("<html><body>Hours</body></html>"), null);
+    assert.equal(findLibCalIid("?liid=12"), null);
+  });
+});
@@ -0,0 +1,392 @@
+/**
+ * getAllLibraryData end to end against a local stand-in for the upstreams:
+ * the OSU API, the LibCal hours widget (and the hours page its iid is read
+ * from) and a LibCal spaces page + grid, all served from ./fixtures.
+ */
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import http from "http";
+import { getMondayOfWeek } from "../hours.js";
+import { addDays, getZonedDateStr } from "../../shared/time.js";
+
+const fixture = (name) =>
+  fs.readFileSync(new URL(`./fixtures/${name}`, import.meta.url), "utf8");
+
+const DATE = "2026-10-20"; // a Tuesday; its week starts Monday 2026-10-19
+
+const requests = [];
+let upstream;
+let result;
+
+function serveFixture(req, res) {
+  const url = new URL(req.url, "http://localhost");
+  requests.push({ method: req.method, path: url.pathname, query: url.search });
+
+  const send = (type, name) => {
+    res.writeHead(200, { "Content-Type": type });
+    res.end(fixture(name));
+  };
+
+  if (url.pathname.startsWith("/osu/locationsearch/")) {
+    return send("application/json", "osu-locationsearch.json");
+  }
+  if (url.pathname === "/libcal/hours") {
+    return send("text/html", "libcal-hours-page.html");
+  }
+  if (url.pathname === "/libcal/widget/hours/grid") {
+    // 1731 is the iid on libcal-hours-page.html, i.e. HSL's instance
+    return url.searchParams.get("iid") === "1731"
+      ? send("text/html", "libcal-hsl-hours-grid.html")
+      : send("text/html", "libcal-hours-grid.html");
+  }
+  if (url.pathname === "/libcal/spaces") {
+    return send("text/html", "libcal-spaces.html");
+  }
+  if (
+    req.method === "POST" &&
+    url.pathname === "/libcal/spaces/availability/grid"
+  ) {
+    return send("application/json", "libcal-availability-grid.json");
+  }
+  res.writeHead(404);
+  res.end();
+}
+
+before(async () => {
+  upstream = http.createServer(serveFixture);
+  await new Promise((resolve) => upstream.listen(0, "127.0.0.1", resolve));
+  const base = `http://127.0.0.1:${upstream.address().port}`;
+
+  process.env.LIBRARY_CONFIG = new URL(
+    "./fixtures/libraries.json",
+    import.meta.url,
+  ).pathname;
+  process.env.OSU_API_BASE_URL = `${base}/osu`;
+  process.env.LIBCAL_BASE_URL = `${base}/libcal`;
+  delete process.env.DATA_DIR;
+  delete process.env.WEBHOOK_URL;
+  delete process.env.VAPID_SUBJECT;
+
+  const { getAllLibraryData } = await import("../index.js");
+  result = await getAllLibraryData(DATE, { force: true });
+});
+
+after(() => {
+  upstream?.close();
+});
+
+describe("getAllLibraryData with recorded upstreams", () => {
+  it("returns every configured library in order without errors", () => {
+    assert.deepEqual(
+      result.data.map((lib) => lib.id),
+      ["18th-ave", "hsl"],
+    );
+    for (const lib of result.data) {
+      assert.equal(lib.error, undefined, `${lib.id}: ${lib.error}`);
+      assert.equal(lib.isLive, true);
+    }
+  });
+
+  it("asks the OSU API for local midnight and the hours widget for that week", () => {
+    const osu = requests.find((r) => r.path.startsWith("/osu/"));
+    assert.equal(
+      osu.path,
+      "/osu/locationsearch/16287/2026-10-20T04:00:00.000Z",
+    );
+    const hours = requests
+      .filter((r) => r.path === "/libcal/widget/hours/grid")
+      .map((r) => r.query)
+      .sort();
+    assert.deepEqual(hours, [
+      "?iid=1731&date=2026-10-19",
+      "?iid=5296&lid=16287&date=2026-10-19",
+    ]);
+    // HSL's iid comes from its hours page, looked up once
+    assert.equal(requests.filter((r) => r.path === "/libcal/hours").length, 1);
+  });
+
+  it("normalizes OSU API rooms", () => {
+    const lib = result.data.find((l) => l.id === "18th-ave");
+
+    // Hidden rooms are dropped; names sort numerically
+    assert.deepEqual(
+      lib.rooms.map((r) => r.name),
+      ["045D", "126"],
+    );
+
+    const [lowerLevel, room126] = lib.rooms;
+    // The API's room ids are kept for configured booking links
+    assert.equal(lowerLevel.roomId, 40931);
+    assert.equal(room126.roomId, 40946);
+    assert.equal(lowerLevel.floor, "LL");
+    assert.equal(lowerLevel.capacity, 4);
+    assert.deepEqual(lowerLevel.amenities, ["whiteboard"]);
+    // Closed slots are skipped, the rest sorted and given startMinutes
+    assert.deepEqual(lowerLevel.slots, [
+      {
+        time: "8:30am",
+        available: false,
+        starttime: "08:30:00",
+        startMinutes: 510,
+      },
+      {
+        time: "9:00am",
+        available: true,
+        starttime: "09:00:00",
+        startMinutes: 540,
+      },
+      {
+        time: "9:30am",
+        available: true,
+        starttime: "09:30:00",
+        startMinutes: 570,
+      },
+    ]);
+
+    assert.equal(room126.floor, 1);
+    assert.deepEqual(room126.amenities, [
+      "whiteboard",
+      "monitor",
+      "video-conf",
+    ]);
+    assert.deepEqual(
+      room126.slots.map((s) => [s.time, s.available]),
+      [
+        ["1:00pm", true],
+        ["1:30pm", true],
+        ["2:00pm", false],
+      ],
+    );
+  });
+
+  it("attaches building and reservation hours from the widget", () => {
+    const lib = result.data.find((l) => l.id === "18th-ave");
+    assert.equal(lib.hours.building.openStr, "24 Hours");
+    assert.equal(lib.hours.building.note, "Current OSU ID req'd 12AM -7AM");
+    assert.deepEqual(lib.hours.reservation, {
+      open: 7.5,
+      close: 23.5,
+      openStr: "7:30AM",
+      closeStr: "11:30PM",
+    });
+  });
+
+  it("attaches hours from the first location row when no row is named", () => {
+    const lib = result.data.find((l) => l.id === "hsl");
+    const tuesday = {
+      open: 7.5,
+      close: 19.75,
+      openStr: "7:30AM",
+      closeStr: "7:45PM",
+    };
+    assert.deepEqual(lib.hours, { building: tuesday, reservation: tuesday });
+  });
+
+  it("reads LibCal rooms from the spaces page and grid", () => {
+    const lib = result.data.find((l) => l.id === "hsl");
+    assert.deepEqual(lib.rooms, [
+      {
+        name: "360A",
+        capacity: 6, // roomInfo beats what LibCal reports
+        floor: 3,
+        amenities: ["whiteboard", "monitor"],
+        slots: [
+          { time: "9:00am", available: true, startMinutes: 540 },
+          { time: "9:30am", available: false, startMinutes: 570 },
+          { time: "10:00am", available: true, startMinutes: 600 },
+        ],
+      },
+      {
+        name: "360B",
+        capacity: 4,
+        floor: 3,
+        amenities: ["whiteboard", "monitor"],
+        slots: [
+          { time: "1:00pm", available: true, startMinutes: 780 },
+          { time: "1:30pm", available: true, startMinutes: 810 },
+        ],
+      },
+    ]);
+
+    const grid = requests.find(
+      (r) => r.path === "/libcal/spaces/availability/grid",
+    );
+    assert.equal(grid.method, "POST");
+    assert.ok(requests.some((r) => r.path === "/libcal/spaces"));
+  });
+
+  it("serves hours across weeks from GET /api/hours", async () => {
+    const { default: app } = await import("../index.js");
+    const server = app.listen(0, "127.0.0.1");
+    await new Promise((resolve) => server.once("listening", resolve));
+    const get = (query) =>
+      fetch(`http://127.0.0.1:${server.address().port}/api/hours${query}`);
+
+    try {
+      // Saturday to Tuesday of next week (the fixture grid fits any week)
+      const monday = addDays(
+        getMondayOfWeek(getZonedDateStr(new Date(), "America/New_York")),
+        7,
+      );
+      const dates = [5, 6, 7, 8].map((n) => addDays(monday, n));
+      const res = await get(
+        `?library=18th-ave&from=${dates[0]}&to=${dates[3]}`,
+      );
+      assert.equal(res.status, 200);
+      const body = await res.json();
+      assert.equal(body.libraries.length, 1);
+
+      const [lib] = body.libraries;
+      assert.equal(lib.source, "libcal");
+      assert.deepEqual(
+        lib.days.map((d) => [d.date, d.reservation?.openStr ?? null]),
+        [
+          [dates[0], "Closed"],
+          [dates[1], "11AM"],
+          [dates[2], "7:30AM"],
+          [dates[3], "7:30AM"],
+        ],
+      );
+      assert.ok(
+        requests.some(
+          (r) => r.query === `?iid=5296&lid=16287&date=${dates[2]}`,
+        ),
+      );
+
+      const hsl = await (
+        await get(`?library=hsl&from=${addDays(monday, 4)}&to=${dates[1]}`)
+      ).json();
+      assert.equal(hsl.libraries[0].source, "libcal");
+      assert.deepEqual(
+        hsl.libraries[0].days.map((d) => [
+          d.date,
+          d.building.openStr,
+          d.building.note ?? null,
+        ]),
+        [
+          [addDays(monday, 4), "Closed", "Fall Break"],
+          [dates[0], "10AM", null],
+          [dates[1], "12PM", null],
+        ],
+      );
+
+      const far = await get(`?from=${addDays(monday, 365)}`);
+      assert.equal(far.status, 400);
+      const farBody = await far.json();
+      assert.equal(farBody.code, "DATE_OUT_OF_RANGE");
+      assert.ok(farBody.earliest < monday && monday < farBody.latest);
+
+      const bad = await get("?from=2026-10-27&to=2026-10-24");
+      assert.equal(bad.status, 400);
+      assert.equal((await bad.json()).code, "INVALID_RANGE");
+    } finally {
+      server.close();
+    }
+  });
+
+  it("runs the osu-api healthcheck against the configured API", async () => {
+    const { default: app } = await import("../index.js");
+    const server = app.listen(0, "127.0.0.1");
+    await new Promise((resolve) => server.once("listening", resolve));
+
+    try {
+      const before = requests.length;
+      const res = await fetch(
+        `http://127.0.0.1:${server.address().port}/api/health?deep=1`,
+      );
+      const body = await res.json();
+      assert.deepEqual(body.sources["osu-api"].check, {
+        ok: true,
+        status: 200,
+      });
+      assert.ok(
+        requests
+          .slice(before)
+          .some((r) => r.path.startsWith("/osu/locationsearch/16287/")),
+      );
+    } finally {
+      server.close();
+    }
+  });
+
+  it("rejects a refresh for anything but a date in the window", async () => {
+    const { default: app } = await import("../index.js");
+    const server = app.listen(0, "127.0.0.1");
+    await new Promise((resolve) => server.once("listening", resolve));
+
+    try {
+      const before = requests.length;
+      for (const date of ["../../tmp/x", "2026-1-2", "1999-01-01"]) {
+        const res = await fetch(
+          `http://127.0.0.1:${server.address().port}/api/refresh?date=${encodeURIComponent(date)}`,
+          { method: "POST" },
+        );
+        assert.equal(res.status, 400, date);
+      }
+      assert.equal(requests.length, before);
+    } finally {
+      server.close();
+    }
+  });
+
+  it("turns push off without a VAPID_SUBJECT", async () => {
+    const { default: app } = await import("../index.js");
+    const server = app.listen(0, "127.0.0.1");
+    await new Promise((resolve) => server.once("listening", resolve));
+
+    try {
+      const res = await fetch(
+        `http://127.0.0.1:${server.address().port}/api/push/vapid-public-key`,
+      );
+      assert.equal(res.status, 503);
+      assert.equal((await res.json()).code, "PUSH_DISABLED");
+    } finally {
+      server.close();
+    }
+  });
+
+  it("serves a calendar feed of free blocks", async () => {
+    const { default: app } = await import("../index.js");
+    const { getDateWindow } = await import("../../shared/time.js");
+    const server = app.listen(0, "127.0.0.1");
+    await new Promise((resolve) => server.once("listening", resolve));
+
+    try {
+      const res = await fetch(
+        `http://127.0.0.1:${server.address().port}/api/feeds/18th-ave.ics?minDuration=60`,
+      );
+      assert.equal(res.status, 200);
+      assert.match(res.headers.get("content-type"), /^text\/calendar/);
+      const ics = await res.text();
+
+      // Every date in the window gets the recorded day; two days out is
+      // never cut short by the current time
+      const date = getDateWindow("America/New_York")[2];
+      assert.ok(
+        ics.includes(`UID:${date}-18th-ave-045D-until-600@library-spot`),
+      );
+      assert.ok(
+        ics.includes(`UID:${date}-18th-ave-126-until-840@library-spot`),
+      );
+      // 9:00–10:00 in 045D is one block, not one per slot
+      assert.equal(ics.split(`UID:${date}-18th-ave-045D-`).length, 2);
+      // Events link to the OSU reservation site (no per-room template by default)
+      assert.ok(
+        ics
+          .replace(/\r\n /g, "")
+          .includes(`URL:https://library.osu.edu/room-reservation\r\n`),
+      );
+    } finally {
+      server.close();
+    }
+  });
+
+  it("serves the next call for the date from cache", async () => {
+    const { getAllLibraryData } = await import("../index.js");
+    const before = requests.length;
+    const cached = await getAllLibraryData(DATE);
+    assert.equal(cached.cacheHit, true);
+    assert.equal(requests.length, before);
+  });
+});
@@ -0,0 +1,39 @@
+import { describe, it, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import { extractRoomNumber, getLocationSearchUrl } from "../osu.js";
+
+describe("extractRoomNumber", () => {
+  it("takes the room number off the end of the name", () => {
+    assert.equal(extractRoomNumber("18th Avenue Library 126"), "126");
+    assert.equal(extractRoomNumber("Thompson Library 045D"), "045D");
+  });
+
+  it("ignores trailing whitespace", () => {
+    assert.equal(extractRoomNumber("Science and Engineering 310  "), "310");
+  });
+
+  it("falls back to the full name when there is no number", () => {
+    assert.equal(extractRoomNumber("Reading Room"), "Reading Room");
+  });
+});
+
+describe("getLocationSearchUrl", () => {
+  afterEach(() => {
+    delete process.env.OSU_API_BASE_URL;
+  });
+
+  it("points at the OSU API by default", () => {
+    assert.equal(
+      getLocationSearchUrl(16287, "2026-10-20T04:00:00.000Z"),
+      "https://content.osu.edu/v2/library/roomreservation/api/v1/locationsearch/16287/2026-10-20T04:00:00.000Z",
+    );
+  });
+
+  it("uses OSU_API_BASE_URL when set", () => {
+    process.env.OSU_API_BASE_URL = "http://127.0.0.1:4000/osu/";
+    assert.equal(
+      getLocationSearchUrl(16287, "2026-10-20T04:00:00.000Z"),
+      "http://127.0.0.1:4000/osu/locationsearch/16287/2026-10-20T04:00:00.000Z",
+    );
+  });
+});
@@ -0,0 +1,64 @@
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { createSnapshotStore } from "../store.js";
+
+let dataDir;
+let store;
+
+before(() => {
+  dataDir = fs.mkdtempSync(path.join(os.tmpdir(), "library-spot-store-"));
+  store = createSnapshotStore(dataDir);
+});
+
+after(() => {
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+describe("createSnapshotStore", () => {
+  it("round-trips availability and hours snapshots", async () => {
+    const entry = { lastUpdated: 1, data: [{ id: "thompson" }] };
+    assert.equal(await store.saveAvailability("2026-10-20", entry), true);
+    assert.equal(await store.saveHours("18th-ave-2026-10-19", entry), true);
+
+    assert.deepEqual(
+      store.loadAvailability("2026-10-19")["2026-10-20"].data,
+      entry.data,
+    );
+    assert.deepEqual(store.loadHours()["18th-ave-2026-10-19"].data, entry.data);
+  });
+
+  it("refuses names that aren't dates or hours weeks", async () => {
+    const entry = { lastUpdated: 1, data: [] };
+    for (const name of ["../escape", "2026-10-20/../../x", "today", ""]) {
+      assert.equal(await store.saveAvailability(name, entry), false);
+    }
+    assert.equal(await store.saveHours("../2026-10-19", entry), false);
+    assert.equal(await store.saveHours("thompson", entry), false);
+
+    assert.equal(fs.existsSync(path.join(dataDir, "escape.json")), false);
+    assert.deepEqual(fs.readdirSync(path.join(dataDir, "availability")), [
+      "2026-10-20.json",
+    ]);
+  });
+
+  it("deletes hours snapshots by cache key only", async () => {
+    await store.deleteHours("../availability/2026-10-20");
+    assert.ok(
+      fs.existsSync(path.join(dataDir, "availability", "2026-10-20.json")),
+    );
+
+    await store.deleteHours("18th-ave-2026-10-19");
+    assert.deepEqual(store.loadHours(), {});
+  });
+
+  it("skips files with other names on load", () => {
+    fs.writeFileSync(
+      path.join(dataDir, "availability", "notes.json"),
+      JSON.stringify({ data: [] }),
+    );
+    assert.deepEqual(Object.keys(store.loadAvailability()), ["2026-10-20"]);
+  });
+});
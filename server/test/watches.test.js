@@ -0,0 +1,124 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import http from "http";
+import { createWatchNotifier, validateWatch } from "../watches.js";
+
+const libraryIds = ["thompson"];
+const newWatch = (input = {}) =>
+  validateWatch({ libraries: ["thompson"], ...input }, { libraryIds }).watch;
+
+// Thompson with one room, 150, free (or not) 9:00-10:00
+const room150 = (available) => ({
+  id: "thompson",
+  name: "Thompson Library",
+  rooms: [
+    {
+      name: "150",
+      slots: [
+        { time: "9:00am", available, startMinutes: 540 },
+        { time: "9:30am", available, startMinutes: 570 },
+      ],
+    },
+  ],
+});
+
+describe("createWatchNotifier", () => {
+  it("lists webhook watches without tokens and hides push watches", async () => {
+    const notifier = createWatchNotifier();
+    const webhook = await notifier.add(newWatch({ label: "evenings" }));
+    await notifier.add({
+      ...newWatch(),
+      push: { endpoint: "https://push.example/abc", keys: {} },
+    });
+
+    assert.match(webhook.token, /^[0-9a-f]{48}$/);
+    const items = notifier.list();
+    assert.deepEqual(
+      items.map((w) => [w.id, w.channel]),
+      [[webhook.id, "webhook"]],
+    );
+    assert.equal(items[0].token, undefined);
+  });
+
+  it("removes a watch only with its token or push endpoint", async () => {
+    const notifier = createWatchNotifier();
+    const webhook = await notifier.add(newWatch());
+    const push = await notifier.add({
+      ...newWatch(),
+      push: { endpoint: "https://push.example/abc", keys: {} },
+    });
+
+    assert.equal(await notifier.remove(webhook.id), "forbidden");
+    assert.equal(
+      await notifier.remove(webhook.id, { token: push.token }),
+      "forbidden",
+    );
+    assert.equal(
+      await notifier.remove(webhook.id, { token: webhook.token }),
+      "removed",
+    );
+    assert.equal(
+      await notifier.remove(webhook.id, { token: webhook.token }),
+      "not_found",
+    );
+
+    assert.equal(
+      await notifier.remove(push.id, { endpoint: "https://push.example/x" }),
+      "forbidden",
+    );
+    assert.equal(
+      await notifier.remove(push.id, { endpoint: "https://push.example/abc" }),
+      "removed",
+    );
+  });
+
+  it("drops a push watch once its subscription is gone", async () => {
+    const pushSender = {
+      send: async () => ({ ok: false, gone: true, error: "HTTP 410" }),
+    };
+    const notifier = createWatchNotifier({ pushSender });
+    await notifier.add({
+      ...newWatch(),
+      push: { endpoint: "https://push.example/abc", keys: {} },
+    });
+
+    const now = { dateStr: "2026-10-20", hour: 8, minute: 0 };
+    await notifier.evaluate("2026-10-20", [room150(false)], now);
+    await notifier.evaluate("2026-10-20", [room150(true)], now);
+
+    assert.equal(notifier.stats().pushWatches, 0);
+  });
+
+  it("doesn't resend a block while its delivery is in flight", async () => {
+    let posts = 0;
+    let release;
+    const released = new Promise((resolve) => (release = resolve));
+    const webhook = http.createServer(async (req, res) => {
+      posts++;
+      await released;
+      res.end();
+    });
+    await new Promise((resolve) => webhook.listen(0, "127.0.0.1", resolve));
+
+    try {
+      const notifier = createWatchNotifier({
+        webhookUrl: `http://127.0.0.1:${webhook.address().port}/`,
+      });
+      await notifier.add(newWatch());
+
+      const now = { dateStr: "2026-10-20", hour: 8, minute: 0 };
+      await notifier.evaluate("2026-10-20", [room150(false)], now);
+      const first = notifier.evaluate("2026-10-20", [room150(true)], now);
+      // The slot flaps closed and open again before the webhook answers
+      await notifier.evaluate("2026-10-20", [room150(false)], now);
+      await notifier.evaluate("2026-10-20", [room150(true)], now);
+      release();
+      await first;
+
+      assert.equal(posts, 1);
+      assert.equal(notifier.stats().sent, 1);
+    } finally {
+      webhook.close();
+    }
+  });
+});
@@ -0,0 +1,411 @@
+/**
+ * Watch subscriptions + webhook notifications
+ *
+ * A watch describes rooms someone is waiting for:
+ *
+ *   { id, label, libraries: ["thompson"], rooms: ["040A"], date: "2026-10-21",
+ *     from: 840, to: 1080, minDuration: 120 }
+ *
+ * (every filter is optional; from/to/minDuration are minutes). After each
+ * background refresh pass the new availability for a date is compared with
+ * the previous pass, and any free block that matches a watch and wasn't free
+ * before is posted to WEBHOOK_URL as Discord/Slack-compatible JSON
+ * ({ content, text }). Deliveries are retried with backoff and de-duplicated
+ * so a flapping slot doesn't spam the channel.
+ *
+ * Watches saved from the browser also carry a `push` subscription; those are
+ * delivered as Web Push notifications instead of to the webhook, and are
+ * dropped once the push service reports the subscription gone.
+ *
+ * Each new watch gets a random `token`, returned only when it is created.
+ * Removing a watch takes that token (or, for push watches, the browser's
+ * subscription endpoint), so one visitor can't cancel another's.
+ */
+import crypto from "crypto";
+import fs from "fs";
+import path from "path";
+import { writeJsonAtomic } from "./store.js";
+import { SLOT_MINUTES, formatMinutes, getFreeBlocks } from "../shared/slots.js";
+
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+const RETRY_DELAYS_MS = [1000, 4000, 16000];
+const DEDUPE_TTL_MS = 12 * 60 * 60 * 1000;
+const MAX_LINES_PER_MESSAGE = 15;
+
+const isSlotMinute = (v) =>
+  Number.isInteger(v) && v >= 0 && v <= 24 * 60 && v % SLOT_MINUTES === 0;
+
+/**
+ * Validate user input for a new watch. Returns { watch, problems }.
+ */
+export function validateWatch(input, { libraryIds }) {
+  const problems = [];
+  if (!input || typeof input !== "object") {
+    return { watch: null, problems: ["body must be a JSON object"] };
+  }
+
+  const {
+    label = null,
+    libraries = [],
+    rooms = [],
+    date = null,
+    from = null,
+    to = null,
+    minDuration = 60,
+  } = input;
+
+  if (label !== null && (typeof label !== "string" || label.length > 100)) {
+    problems.push("label must be a string of at most 100 characters");
+  }
+  if (
+    !Array.isArray(libraries) ||
+    libraries.some((id) => !libraryIds.includes(id))
+  ) {
+    problems.push(`libraries must be a list of: ${libraryIds.join(", ")}`);
+  }
+  if (
+    !Array.isArray(rooms) ||
+    rooms.some((r) => typeof r !== "string" || !r.trim())
+  ) {
+    problems.push("rooms must be a list of room names");
+  }
+  if (date !== null && (typeof date !== "string" || !DATE_RE.test(date))) {
+    problems.push("date must be YYYY-MM-DD (or omitted for any date)");
+  }
+  if (from !== null && !isSlotMinute(from)) {
+    problems.push(
+      "from must be minutes since midnight on a 30-minute boundary",
+    );
+  }
+  if (to !== null && !isSlotMinute(to)) {
+    problems.push("to must be minutes since midnight on a 30-minute boundary");
+  }
+  if (from !== null && to !== null && to <= from) {
+    problems.push("to must be after from");
+  }
+  if (!isSlotMinute(minDuration) || minDuration < SLOT_MINUTES) {
+    problems.push("minDuration must be a positive multiple of 30 minutes");
+  }
+
+  if (problems.length > 0) return { watch: null, problems };
+
+  return {
+    watch: {
+      id: crypto.randomUUID(),
+      label: label?.trim() || null,
+      libraries,
+      rooms: rooms.map((r) => r.trim()),
+      date,
+      from,
+      to,
+      minDuration,
+      createdAt: new Date().toISOString(),
+    },
+    problems,
+  };
+}
+
+// Constant-time comparison of a stored secret with one from a request
+function matchesSecret(expected, given) {
+  if (typeof expected !== "string" || typeof given !== "string") return false;
+  const a = Buffer.from(expected);
+  const b = Buffer.from(given);
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+function formatDuration(minutes) {
+  return minutes >= 60 ? `${minutes / 60}h` : `${minutes}min`;
+}
+
+function formatDateLabel(dateStr) {
+  return new Date(`${dateStr}T12:00:00Z`).toLocaleDateString("en-US", {
+    timeZone: "UTC",
+    weekday: "short",
+    month: "short",
+    day: "numeric",
+  });
+}
+
+/**
+ * @param {Object} options
+ * @param {string|null} options.dataDir - Where to persist watches (falsy = memory only)
+ * @param {string|null} options.webhookUrl - Where to POST notifications (falsy = disabled)
+ * @param {Object|null} options.pushSender - From createPushSender, for watches with a `push` subscription
+ */
+export function createWatchNotifier({
+  dataDir = null,
+  webhookUrl = null,
+  pushSender = null,
+} = {}) {
+  const filePath = dataDir ? path.join(dataDir, "watches.json") : null;
+  let watches = [];
+
+  if (filePath && fs.existsSync(filePath)) {
+    try {
+      watches = JSON.parse(fs.readFileSync(filePath, "utf-8"));
+      console.log(`🔔 Loaded ${watches.length} watch(es)`);
+    } catch (error) {
+      console.warn("⚠️ Could not read watches.json:", error.message);
+    }
+  }
+
+  const previous = new Map(); // dateStr -> { [libraryId]: library } from the last pass
+  const delivered = new Map(); // dedupe key -> deliveredAt
+  // Keys being delivered right now: retries take ~20s and the next pass
+  // for the same date mustn't send them again meanwhile
+  const pending = new Set();
+  const stats = {
+    sent: 0,
+    pushed: 0,
+    failed: 0,
+    lastDeliveryAt: null,
+    lastError: null,
+  };
+
+  const persist = () =>
+    filePath ? writeJsonAtomic(filePath, watches) : Promise.resolve();
+
+  /**
+   * Webhook watches, without their tokens. Push watches are someone's
+   * browser and are left out entirely.
+   */
+  function list() {
+    return watches
+      .filter((watch) => !watch.push)
+      .map(({ token, ...watch }) => ({ ...watch, channel: "webhook" }));
+  }
+
+  /**
+   * Save a watch; resolves to it with the `token` needed to remove it
+   */
+  async function add(watch) {
+    const saved = { ...watch, token: crypto.randomBytes(24).toString("hex") };
+    watches.push(saved);
+    await persist();
+    return saved;
+  }
+
+  /**
+   * Remove a watch if `proof` shows the caller created it: its token, or the
+   * push subscription endpoint it notifies
+   * @param {string} id
+   * @param {Object} proof - { token, endpoint }
+   * @returns {Promise<"removed"|"not_found"|"forbidden">}
+   */
+  async function remove(id, { token, endpoint } = {}) {
+    const watch = watches.find((w) => w.id === id);
+    if (!watch) return "not_found";
+
+    const owns =
+      matchesSecret(watch.token, token) ||
+      matchesSecret(watch.push?.endpoint, endpoint);
+    if (!owns) return "forbidden";
+
+    await drop(id);
+    return "removed";
+  }
+
+  // Delete a watch without proof of ownership (the server's own cleanup)
+  function drop(id) {
+    watches = watches.filter((w) => w.id !== id);
+    return persist();
+  }
+
+  /**
+   * POST one message, retrying network errors, 429 and 5xx with backoff
+   */
+  async function deliver(text) {
+    const body = JSON.stringify({ content: text, text });
+
+    for (let attempt = 0; ; attempt++) {
+      let retryAfterMs = null;
+      try {
+        const response = await fetch(webhookUrl, {
+          method: "POST",
+          headers: { "Content-Type": "application/json" },
+          body,
+          signal: AbortSignal.timeout(10000),
+        });
+        if (response.ok) return true;
+
+        const retryable = response.status === 429 || response.status >= 500;
+        stats.lastError = `HTTP ${response.status}`;
+        if (!retryable) return false;
+
+        const retryAfter = Number(response.headers.get("retry-after"));
+        if (retryAfter > 0) retryAfterMs = retryAfter * 1000;
+      } catch (error) {
+        stats.lastError = error.message;
+      }
+
+      if (attempt >= RETRY_DELAYS_MS.length) return false;
+      await new Promise((resolve) =>
+        setTimeout(resolve, retryAfterMs ?? RETRY_DELAYS_MS[attempt]),
+      );
+    }
+  }
+
+  function canDeliver(watch) {
+    return watch.push ? !!pushSender : !!webhookUrl;
+  }
+
+  /**
+   * Web Push payload for the service worker: { title, body, url, tag }
+   */
+  function buildPushPayload(watch, dateStr, matches) {
+    const [first] = matches;
+    const more = matches.length > 1 ? ` (+${matches.length - 1} more)` : "";
+    return {
+      title: `Room open ${formatDateLabel(dateStr)}${watch.label ? ` · ${watch.label}` : ""}`,
+      body: `${first.library.name} ${first.room.name} — ${formatMinutes(first.block.start)}–${formatMinutes(first.block.end)} (${formatDuration(first.block.duration)})${more}`,
+      url: first.library.bookingUrl || "/",
+      tag: `librarySpot-${watch.id}-${dateStr}`,
+    };
+  }
+
+  function buildMessage(watch, dateStr, matches) {
+    const title = watch.label ? ` (${watch.label})` : "";
+    const lines = matches
+      .slice(0, MAX_LINES_PER_MESSAGE)
+      .map(
+        ({ library, room, block }) =>
+          `• ${library.name} ${room.name} — ${formatMinutes(block.start)}–${formatMinutes(block.end)} (${formatDuration(block.duration)})` +
+          (library.bookingUrl ? ` ${library.bookingUrl}` : ""),
+      );
+    if (matches.length > MAX_LINES_PER_MESSAGE) {
+      lines.push(`…and ${matches.length - MAX_LINES_PER_MESSAGE} more`);
+    }
+    return `📚 LibrarySpot: room${matches.length === 1 ? "" : "s"} opened for ${formatDateLabel(dateStr)}${title}\n${lines.join("\n")}`;
+  }
+
+  /**
+   * Compare a fresh pass for one date with the previous pass and notify watches
+   * @param {string} dateStr - Date the data belongs to
+   * @param {Array} libraries - Normalized library results
+   * @param {Object} now - Current local time (getZonedTimeInfo): { dateStr, hour, minute }
+   */
+  async function evaluate(dateStr, libraries, now) {
+    const current = {};
+    for (const library of libraries) {
+      // Failed or last-known-good data can't tell us what just opened up
+      if (!library.error && !library.stale) current[library.id] = library;
+    }
+
+    const prev = previous.get(dateStr);
+    previous.set(dateStr, current);
+    if (!prev || !watches.some(canDeliver)) return;
+
+    const afterMinutes =
+      dateStr === now.dateStr ? now.hour * 60 + now.minute : null;
+    const nowMs = Date.now();
+    for (const [key, at] of delivered) {
+      if (nowMs - at > DEDUPE_TTL_MS) delivered.delete(key);
+    }
+
+    for (const watch of [...watches]) {
+      if (!canDeliver(watch)) continue;
+      if (watch.date && watch.date !== dateStr) continue;
+
+      const roomFilter = watch.rooms.map((r) => r.toLowerCase());
+      const options = {
+        from: watch.from,
+        to: watch.to,
+        minDuration: watch.minDuration,
+        afterMinutes,
+      };
+      const matches = [];
+
+      for (const library of Object.values(current)) {
+        if (watch.libraries.length && !watch.libraries.includes(library.id))
+          continue;
+        const prevLibrary = prev[library.id];
+        if (!prevLibrary) continue;
+
+        for (const room of library.rooms || []) {
+          if (
+            roomFilter.length &&
+            !roomFilter.includes(room.name.toLowerCase())
+          )
+            continue;
+
+          const prevRoom = prevLibrary.rooms?.find((r) => r.name === room.name);
+          const prevBlocks = prevRoom ? getFreeBlocks(prevRoom, options) : [];
+
+          for (const block of getFreeBlocks(room, options)) {
+            const wasFree = prevBlocks.some(
+              (p) => p.start <= block.start && p.end >= block.end,
+            );
+            if (wasFree) continue;
+
+            const key = `${watch.id}|${dateStr}|${library.id}|${room.name}|${block.start}-${block.end}`;
+            if (delivered.has(key) || pending.has(key)) continue;
+            matches.push({ library, room, block, key });
+          }
+        }
+      }
+
+      if (matches.length === 0) continue;
+
+      for (const { key } of matches) pending.add(key);
+      let ok;
+      try {
+        if (watch.push) {
+          const result = await pushSender.send(
+            watch.push,
+            buildPushPayload(watch, dateStr, matches),
+          );
+          ok = result.ok;
+          if (result.ok) stats.pushed++;
+          else stats.lastError = result.error;
+          if (result.gone) {
+            console.log(
+              `🔕 Push subscription gone, removing watch ${watch.id}`,
+            );
+            await drop(watch.id);
+            continue;
+          }
+        } else {
+          ok = await deliver(buildMessage(watch, dateStr, matches));
+        }
+      } finally {
+        for (const { key } of matches) pending.delete(key);
+      }
+
+      if (ok) {
+        stats.sent++;
+        stats.lastDeliveryAt = new Date().toISOString();
+        for (const { key } of matches) delivered.set(key, Date.now());
+      } else {
+        stats.failed++;
+        console.warn(
+          `⚠️ ${watch.push ? "Push" : "Webhook"} delivery failed for watch ${watch.id}: ${stats.lastError}`,
+        );
+      }
+    }
+  }
+
+  /**
+   * Forget snapshots for dates that left the window
+   */
+  function prune(oldestDate) {
+    for (const dateStr of previous.keys()) {
+      if (dateStr < oldestDate) previous.delete(dateStr);
+    }
+  }
+
+  return {
+    enabled: !!webhookUrl,
+    list,
+    add,
+    remove,
+    evaluate,
+    prune,
+    stats: () => ({
+      watches: watches.length,
+      pushWatches: watches.filter((w) => w.push).length,
+      enabled: !!webhookUrl,
+      pushEnabled: !!pushSender,
+      ...stats,
+    }),
+  };
+}
@@ -0,0 +1,59 @@
+/**
+ * Booking links shared by the client and the calendar feed
+ *
+ * A library may configure a `bookingUrlTemplate` that deep-links one room at
+ * a date and start time, e.g.
+ *
+ *   https://rooms.example.edu/reserve?room={roomId}&date={date}&time={start}
+ *
+ * Placeholders: {locationId} (the library's), {roomId} (the room's, as kept
+ * from the OSU API), {date} (YYYY-MM-DD) and {start} ("HH:MM"). None is
+ * configured by default: the OSU reservation site's deep-link format isn't
+ * confirmed, so OSU rooms only get the site itself. getRoomBookingUrl() is
+ * the deep link alone (null without one); getBookingUrl() falls back to the
+ * library's `bookingUrl`.
+ */
+import { formatStarttime } from "./slots.js";
+
+/**
+ * The library's bookingUrlTemplate filled in for one room, or null when
+ * there's no template or a placeholder can't be filled
+ * @param {Object} library - { bookingUrlTemplate, locationId }
+ * @param {Object} [target]
+ * @param {Object} [target.room] - { roomId }
+ * @param {string} [target.date] - YYYY-MM-DD
+ * @param {number} [target.start] - Minutes since midnight
+ * @returns {string|null}
+ */
+export function getRoomBookingUrl(library, { room, date, start } = {}) {
+  if (!library?.bookingUrlTemplate || room?.roomId == null) return null;
+
+  const values = {
+    locationId: library.locationId,
+    roomId: room.roomId,
+    date,
+    start: Number.isFinite(start) ? formatStarttime(start).slice(0, 5) : null,
+  };
+  let missing = false;
+  const url = library.bookingUrlTemplate.replace(/\{(\w+)\}/g, (_, key) => {
+    const value = values[key];
+    if (value === undefined || value === null || value === "") {
+      missing = true;
+      return "";
+    }
+    // ":" is valid in paths and queries and keeps "09:00" readable
+    return encodeURIComponent(value).replace(/%3A/gi, ":");
+  });
+  // A half-filled deep link is worse than none
+  return missing ? null : url;
+}
+
+/**
+ * The room's deep link, else the library's `bookingUrl` (null without either)
+ * @param {Object} library - { bookingUrl, bookingUrlTemplate, locationId }
+ * @param {Object} [target] - As for getRoomBookingUrl()
+ * @returns {string|null}
+ */
+export function getBookingUrl(library, target) {
+  return getRoomBookingUrl(library, target) ?? (library?.bookingUrl || null);
+}
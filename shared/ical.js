@@ -0,0 +1,128 @@
+/**
+ * iCalendar (RFC 5545) output for free blocks, shared by the feed endpoint
+ * (GET /api/feeds/:libraryId.ics) and the client's "Add to calendar"
+ *
+ * Blocks are in the library's wall-clock time; events are written in UTC
+ * (through zonedTimeToUtc), so calendars need no VTIMEZONE and DST is
+ * handled by the tz database.
+ */
+import { getBookingUrl } from "./booking.js";
+import { formatMinutes } from "./slots.js";
+import { zonedTimeToUtc } from "./time.js";
+
+const PRODID = "-//LibrarySpot//Free study rooms//EN";
+const MAX_LINE_OCTETS = 75;
+
+/**
+ * 2026-10-20T18:00:00.000Z -> "20261020T180000Z"
+ */
+export function formatIcsDate(date) {
+  return date
+    .toISOString()
+    .replace(/\.\d{3}/, "")
+    .replace(/[-:]/g, "");
+}
+
+/**
+ * Escape a TEXT value: backslashes, semicolons, commas and newlines
+ */
+export function escapeIcsText(text) {
+  return String(text)
+    .replace(/\\/g, "\\\\")
+    .replace(/;/g, "\\;")
+    .replace(/,/g, "\\,")
+    .replace(/\r?\n/g, "\\n");
+}
+
+const utf8Length = (char) => {
+  const code = char.codePointAt(0);
+  return code < 0x80 ? 1 : code < 0x800 ? 2 : code < 0x10000 ? 3 : 4;
+};
+
+// Lines longer than 75 octets continue on the next line after a space
+function foldLine(line) {
+  const parts = [];
+  let current = "";
+  let octets = 0;
+  for (const char of line) {
+    const size = utf8Length(char);
+    // Continuation lines start with a space, which counts toward the limit
+    const limit = parts.length === 0 ? MAX_LINE_OCTETS : MAX_LINE_OCTETS - 1;
+    if (octets + size > limit) {
+      parts.push(current);
+      current = "";
+      octets = 0;
+    }
+    current += char;
+    octets += size;
+  }
+  parts.push(current);
+  return parts.join("\r\n ");
+}
+
+/**
+ * VEVENT lines for one free block
+ * @param {Object} block
+ * @param {Object} block.library - Library config/data ({ id, name, address, bookingUrl, timeZone })
+ * @param {Object} block.room - { name, roomId }
+ * @param {string} block.date - YYYY-MM-DD in the library's time zone
+ * @param {number} block.start - Minutes since the library's local midnight
+ * @param {number} block.end
+ * @param {Object} options
+ * @param {string} options.timeZone - Used when the library has no `timeZone`
+ * @param {Date} options.stamp - DTSTAMP (when the calendar was generated)
+ * @returns {string[]}
+ */
+export function buildFreeBlockEvent(
+  { library, room, date, start, end },
+  { timeZone = "America/New_York", stamp = new Date() } = {},
+) {
+  const zone = library.timeZone || timeZone;
+  const libraryName = library.shortName || library.name;
+  const when = `${formatMinutes(start)}–${formatMinutes(end)}`;
+  const bookingUrl = getBookingUrl(library, { room, date, start });
+
+  return [
+    "BEGIN:VEVENT",
+    // Keyed on the block's end, which (unlike its start) stays put as today's
+    // past slots are trimmed, so refreshed feeds update instead of duplicating
+    `UID:${date}-${library.id}-${String(room.name).replace(/[^\w-]/g, "_")}-until-${end}@library-spot`,
+    `DTSTAMP:${formatIcsDate(stamp)}`,
+    `DTSTART:${formatIcsDate(zonedTimeToUtc(date, start, zone))}`,
+    `DTEND:${formatIcsDate(zonedTimeToUtc(date, end, zone))}`,
+    `SUMMARY:${escapeIcsText(`Room ${room.name} free (${libraryName})`)}`,
+    `LOCATION:${escapeIcsText(
+      [`${library.name}, Room ${room.name}`, library.address]
+        .filter(Boolean)
+        .join(", "),
+    )}`,
+    `DESCRIPTION:${escapeIcsText(
+      `Room ${room.name} at ${library.name} is free ${when}.` +
+        (bookingUrl ? `\nBook: ${bookingUrl}` : ""),
+    )}`,
+    ...(bookingUrl ? [`URL:${bookingUrl}`] : []),
+    // Free time shouldn't show as busy
+    "TRANSP:TRANSPARENT",
+    "END:VEVENT",
+  ];
+}
+
+/**
+ * A VCALENDAR document (CRLF line endings, folded) from buildFreeBlockEvent() results
+ * @param {string[][]} events
+ * @param {Object} options
+ * @param {string} options.name - Calendar name shown by subscribing clients
+ */
+export function buildCalendar(events, { name } = {}) {
+  const lines = [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    `PRODID:${PRODID}`,
+    "CALSCALE:GREGORIAN",
+    "METHOD:PUBLISH",
+    ...(name ? [`X-WR-CALNAME:${escapeIcsText(name)}`] : []),
+    ...events.flat(),
+    "END:VCALENDAR",
+  ];
+  return lines.map(foldLine).join("\r\n") + "\r\n";
+}
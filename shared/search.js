@@ -0,0 +1,222 @@
+/**
+ * Room search shared by GET /api/search and the client
+ *
+ * A search mirrors the site's filters:
+ *
+ *   { libraries: ["thompson"], from: 840, to: 1080, minDuration: 120,
+ *     minCapacity: 4, amenities: ["monitor"] }
+ *
+ * (from/to/minDuration are minutes; every field is optional). Rooms match
+ * when they meet the capacity/amenity filters and have at least one free
+ * block of `minDuration` inside [from, to). With from and to but no
+ * minDuration the whole range must be free, like the site's time filter.
+ */
+import { getBookingUrl } from "./booking.js";
+import {
+  SLOT_MINUTES,
+  floorToSlot,
+  formatMinutes,
+  getFreeBlocks,
+  parseTimeToMinutes,
+} from "./slots.js";
+
+const MAX_LIMIT = 100;
+const DEFAULT_LIMIT = 20;
+
+// "a,b" or ["a", "b"] (repeated query params) -> ["a", "b"]
+function toList(value) {
+  if (value === undefined || value === null || value === "") return [];
+  return (Array.isArray(value) ? value : [value])
+    .flatMap((v) => String(v).split(","))
+    .map((v) => v.trim())
+    .filter(Boolean);
+}
+
+// "840", "2pm", "14:00" -> 840; null if it isn't a time of day
+function toMinutes(value) {
+  const text = String(value).trim();
+  if (/^\d+$/.test(text)) {
+    const minutes = Number(text);
+    return minutes <= 24 * 60 ? minutes : null;
+  }
+  return parseTimeToMinutes(text);
+}
+
+/**
+ * Parse and validate search query params (strings, as Express or
+ * URLSearchParams give them). Returns { search, problems }.
+ * @param {Object} query - Raw params
+ * @param {Object} options
+ * @param {string[]} options.libraryIds - Known library ids
+ * @param {number|null} options.nowMinutes - Current local time, for `from=now` (null when the date isn't today)
+ */
+export function parseSearchQuery(query, { libraryIds, nowMinutes = null }) {
+  const problems = [];
+
+  const libraries = toList(query.libraries);
+  const unknown = libraries.filter((id) => !libraryIds.includes(id));
+  if (unknown.length > 0) {
+    problems.push(
+      `unknown libraries: ${unknown.join(", ")} (known: ${libraryIds.join(", ")})`,
+    );
+  }
+
+  let from = null;
+  if (query.from === "now") {
+    if (nowMinutes === null) problems.push("from=now only works for today");
+    else from = floorToSlot(nowMinutes);
+  } else if (query.from !== undefined && query.from !== "") {
+    from = toMinutes(query.from);
+    if (from === null) {
+      problems.push('from must be a time ("2pm", "14:00") or minutes');
+    }
+  }
+
+  let to = null;
+  if (query.to !== undefined && query.to !== "") {
+    to = toMinutes(query.to);
+    if (to === null) {
+      problems.push('to must be a time ("6pm", "18:00") or minutes');
+    }
+  }
+  if (from !== null && to !== null && to <= from) {
+    problems.push("to must be after from");
+  }
+
+  let minDuration = null;
+  if (query.minDuration !== undefined && query.minDuration !== "") {
+    minDuration = Number(query.minDuration);
+    if (
+      !Number.isInteger(minDuration) ||
+      minDuration < SLOT_MINUTES ||
+      minDuration % SLOT_MINUTES !== 0
+    ) {
+      problems.push("minDuration must be a positive multiple of 30 minutes");
+    }
+  }
+
+  let minCapacity = null;
+  if (query.minCapacity !== undefined && query.minCapacity !== "") {
+    minCapacity = Number(query.minCapacity);
+    if (!Number.isInteger(minCapacity) || minCapacity < 1) {
+      problems.push("minCapacity must be a positive integer");
+    }
+  }
+
+  const amenities = toList(query.amenities).map((a) => a.toLowerCase());
+
+  let limit = DEFAULT_LIMIT;
+  if (query.limit !== undefined && query.limit !== "") {
+    limit = Number(query.limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+      problems.push(`limit must be an integer from 1 to ${MAX_LIMIT}`);
+    }
+  }
+
+  if (problems.length > 0) return { search: null, problems };
+
+  return {
+    search: {
+      libraries,
+      from,
+      to,
+      minDuration:
+        minDuration ??
+        (from !== null && to !== null ? to - from : SLOT_MINUTES),
+      minCapacity,
+      amenities,
+      limit,
+    },
+    problems,
+  };
+}
+
+/**
+ * Whether a room meets the capacity and amenity filters. Rooms with an
+ * unknown capacity don't pass a capacity filter.
+ */
+export function roomMatchesFilters(
+  room,
+  { minCapacity = null, amenities = [] },
+) {
+  if (minCapacity !== null && !(room.capacity >= minCapacity)) return false;
+  const roomAmenities = (room.amenities || []).map((a) => a.toLowerCase());
+  return amenities.every((a) => roomAmenities.includes(a));
+}
+
+/**
+ * Rooms matching a search with their free blocks, soonest start first and
+ * then longest block
+ * @param {Array} libraries - Normalized libraries for one date
+ * @param {Object} search - From parseSearchQuery()
+ * @param {Object} options
+ * @param {number|null} options.afterMinutes - Current local time when the date is today (drops past slots)
+ * @param {string|null} options.date - YYYY-MM-DD, for each room's booking link
+ * @returns {Array<{ library, room, blocks: Array<{ start, end, duration, startTime, endTime }> }>}
+ */
+export function searchRooms(
+  libraries,
+  search,
+  { afterMinutes = null, date = null } = {},
+) {
+  const {
+    libraries: libraryFilter = [],
+    from = null,
+    to = null,
+    minDuration = SLOT_MINUTES,
+  } = search;
+  const results = [];
+
+  libraries.forEach((library, libraryIndex) => {
+    if (libraryFilter.length && !libraryFilter.includes(library.id)) return;
+
+    for (const room of library.rooms || []) {
+      if (!roomMatchesFilters(room, search)) continue;
+
+      const blocks = getFreeBlocks(room, {
+        from,
+        to,
+        minDuration,
+        afterMinutes,
+      }).map(({ start, end, duration }) => ({
+        start,
+        end,
+        duration,
+        startTime: formatMinutes(start),
+        endTime: formatMinutes(end),
+      }));
+      if (blocks.length === 0) continue;
+
+      results.push({
+        library: {
+          id: library.id,
+          name: library.name,
+          shortName: library.shortName || library.name,
+          bookingUrl: library.bookingUrl || null,
+        },
+        room: {
+          name: room.name,
+          roomId: room.roomId ?? null,
+          bookingUrl: getBookingUrl(library, { room, date }),
+          capacity: room.capacity ?? null,
+          floor: room.floor ?? null,
+          amenities: room.amenities || [],
+        },
+        blocks,
+        libraryIndex,
+      });
+    }
+  });
+
+  const longest = (result) => Math.max(...result.blocks.map((b) => b.duration));
+
+  return results
+    .sort(
+      (a, b) =>
+        a.blocks[0].start - b.blocks[0].start ||
+        longest(b) - longest(a) ||
+        a.libraryIndex - b.libraryIndex ||
+        a.room.name.localeCompare(b.room.name, undefined, { numeric: true }),
+    )
+    .map(({ libraryIndex, ...result }) => result);
+}
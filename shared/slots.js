@@ -0,0 +1,233 @@
+/**
+ * Slot math shared by the server (server/*.js) and the client (src/App.jsx)
+ *
+ * Keep this file free of Node and browser APIs: the server imports it
+ * directly and Vite bundles it into the client. Slots are 30 minutes long and
+ * are labelled by upstreams either as an OSU `starttime` ("14:30:00") or a
+ * LibCal `time` ("2:30pm"). The server adds `startMinutes` (minutes since the
+ * library's local midnight) to every slot, so the client reads numbers
+ * instead of parsing those strings.
+ */
+
+export const SLOT_MINUTES = 30;
+
+/**
+ * Minutes since midnight for "2:30pm", "2:30 PM", "11pm" or "14:30[:00]",
+ * or null if the string isn't a time
+ */
+export function parseTimeToMinutes(timeStr) {
+  const text = String(timeStr ?? "").trim();
+
+  const twelveHour = text.match(/^(\d{1,2})(?::(\d{2}))?\s*([ap])\.?m\.?$/i);
+  if (twelveHour) {
+    let hour = parseInt(twelveHour[1]);
+    const minute = twelveHour[2] ? parseInt(twelveHour[2]) : 0;
+    if (hour < 1 || hour > 12 || minute > 59) return null;
+    const period = twelveHour[3].toLowerCase();
+    if (period === "p" && hour !== 12) hour += 12;
+    if (period === "a" && hour === 12) hour = 0;
+    return hour * 60 + minute;
+  }
+
+  const twentyFourHour = text.match(/^(\d{1,2}):(\d{2})(?::\d{2})?$/);
+  if (twentyFourHour) {
+    const hour = parseInt(twentyFourHour[1]);
+    const minute = parseInt(twentyFourHour[2]);
+    if (hour > 23 || minute > 59) return null;
+    return hour * 60 + minute;
+  }
+
+  return null;
+}
+
+/**
+ * Decimal hours for a time string ("7:30am" -> 7.5), or null
+ */
+export function parseTimeToHours(timeStr) {
+  const minutes = parseTimeToMinutes(timeStr);
+  return minutes === null ? null : minutes / 60;
+}
+
+/**
+ * Format minutes since midnight as "2:30pm"
+ */
+export function formatMinutes(minutes) {
+  const hour = Math.floor(minutes / 60) % 24;
+  const minute = minutes % 60;
+  const h = hour > 12 ? hour - 12 : hour === 0 ? 12 : hour;
+  const period = hour >= 12 ? "pm" : "am";
+  return `${h}:${String(minute).padStart(2, "0")}${period}`;
+}
+
+/**
+ * Format minutes since midnight as an OSU-style starttime ("14:30:00")
+ */
+export function formatStarttime(minutes) {
+  const hh = String(Math.floor(minutes / 60) % 24).padStart(2, "0");
+  const mm = String(minutes % 60).padStart(2, "0");
+  return `${hh}:${mm}:00`;
+}
+
+/**
+ * Start of the slot a time falls in (8:46pm -> 8:30pm)
+ */
+export function floorToSlot(minutes) {
+  return minutes - (minutes % SLOT_MINUTES);
+}
+
+/**
+ * Minutes since midnight for a slot, or null if its time can't be parsed
+ */
+export function slotMinutesOf(slot) {
+  if (Number.isFinite(slot.startMinutes)) return slot.startMinutes;
+  return parseTimeToMinutes(slot.starttime ?? slot.time);
+}
+
+/**
+ * Slots with `startMinutes` filled in, sorted by start time
+ */
+export function withSlotMinutes(slots = []) {
+  return slots
+    .map((slot) => ({ ...slot, startMinutes: slotMinutesOf(slot) }))
+    .sort((a, b) => (a.startMinutes ?? 0) - (b.startMinutes ?? 0));
+}
+
+/**
+ * Whether a slot starting at `startMinutes` has already ended at `currentMinutes`
+ */
+export function isSlotPast(startMinutes, currentMinutes) {
+  return startMinutes + SLOT_MINUTES <= currentMinutes;
+}
+
+/**
+ * Whether a slot start passes the time filters
+ * @param {number|null} startMinutes - Slot start (null never passes)
+ * @param {Object} options
+ * @param {number|null} options.from - Only slots starting at/after this (minutes)
+ * @param {number|null} options.to - Only slots starting before this (minutes)
+ * @param {number|null} options.afterMinutes - Skip slots that end at/before this (today's past slots)
+ */
+export function isSlotInWindow(
+  startMinutes,
+  { from = null, to = null, afterMinutes = null } = {},
+) {
+  if (startMinutes === null) return false;
+  if (afterMinutes !== null && isSlotPast(startMinutes, afterMinutes)) {
+    return false;
+  }
+  if (from !== null && startMinutes < from) return false;
+  if (to !== null && startMinutes >= to) return false;
+  return true;
+}
+
+/**
+ * Contiguous runs of available slots in a room
+ * @param {Object} room - Room with slots
+ * @param {Object} options
+ * @param {number|null} options.from - Only consider slots starting at/after this (minutes)
+ * @param {number|null} options.to - Only consider slots starting before this (minutes)
+ * @param {number} options.minDuration - Minimum block length in minutes
+ * @param {number|null} options.afterMinutes - Skip slots that end at/before this (today's past slots)
+ * @returns {Array<{ start: number, end: number, duration: number, slots: Array }>}
+ */
+export function getFreeBlocks(
+  room,
+  {
+    from = null,
+    to = null,
+    minDuration = SLOT_MINUTES,
+    afterMinutes = null,
+  } = {},
+) {
+  const free = (room.slots || [])
+    .filter((slot) => slot.available)
+    .map((slot) => ({ slot, start: slotMinutesOf(slot) }))
+    .filter(({ start }) => isSlotInWindow(start, { from, to, afterMinutes }))
+    .sort((a, b) => a.start - b.start);
+
+  const blocks = [];
+  let run = [];
+
+  const close = () => {
+    if (run.length === 0) return;
+    const start = run[0].start;
+    const end = run[run.length - 1].start + SLOT_MINUTES;
+    if (end - start >= minDuration) {
+      blocks.push({
+        start,
+        end,
+        duration: end - start,
+        slots: run.map(({ slot }) => slot),
+      });
+    }
+    run = [];
+  };
+
+  for (const entry of free) {
+    const prev = run[run.length - 1];
+    // Duplicate start times (overlapping upstream rows) count once
+    if (prev && entry.start === prev.start) continue;
+    if (prev && entry.start !== prev.start + SLOT_MINUTES) close();
+    run.push(entry);
+  }
+  close();
+
+  return blocks;
+}
+
+// Past slots only matter for today
+const pastCutoff = (currentMinutes, isToday) =>
+  isToday ? currentMinutes : null;
+
+/**
+ * Whether every 30-minute slot in [startMinutes, endMinutes) is free
+ * (and, for today, not already over)
+ */
+export function roomHasEntireBlockFree(
+  room,
+  startMinutes,
+  endMinutes,
+  currentMinutes,
+  isToday,
+) {
+  return (
+    getFreeBlocks(room, {
+      from: startMinutes,
+      to: endMinutes,
+      minDuration: endMinutes - startMinutes,
+      afterMinutes: pastCutoff(currentMinutes, isToday),
+    }).length > 0
+  );
+}
+
+/**
+ * Whether a room has `requiredMinutes` of consecutive free slots
+ */
+export function roomHasConsecutiveFree(
+  room,
+  requiredMinutes,
+  currentMinutes,
+  isToday,
+) {
+  return (
+    getFreeBlocks(room, {
+      minDuration: requiredMinutes,
+      afterMinutes: pastCutoff(currentMinutes, isToday),
+    }).length > 0
+  );
+}
+
+/**
+ * Runs of consecutive free slots at least `requiredMinutes` long, as arrays of slots
+ */
+export function getConsecutiveFreeBlocks(
+  room,
+  requiredMinutes,
+  currentMinutes,
+  isToday,
+) {
+  return getFreeBlocks(room, {
+    minDuration: requiredMinutes,
+    afterMinutes: pastCutoff(currentMinutes, isToday),
+  }).map((block) => block.slots);
+}
@@ -0,0 +1,88 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { getBookingUrl, getRoomBookingUrl } from "../booking.js";
+
+const thompson = {
+  id: "thompson",
+  locationId: 16286,
+  bookingUrl: "https://library.osu.edu/room-reservation",
+  bookingUrlTemplate:
+    "https://rooms.example.edu/reserve?location={locationId}&room={roomId}&date={date}&time={start}",
+};
+
+describe("getBookingUrl", () => {
+  it("fills the room, date and start time into the template", () => {
+    assert.equal(
+      getBookingUrl(thompson, {
+        room: { roomId: 40931 },
+        date: "2026-10-20",
+        start: 540,
+      }),
+      "https://rooms.example.edu/reserve?location=16286&room=40931&date=2026-10-20&time=09:00",
+    );
+  });
+
+  it("encodes values", () => {
+    const library = {
+      ...thompson,
+      bookingUrlTemplate: "https://example.edu/space/{roomId}?d={date}",
+    };
+    assert.equal(
+      getBookingUrl(library, { room: { roomId: "a b" }, date: "2026-10-20" }),
+      "https://example.edu/space/a%20b?d=2026-10-20",
+    );
+  });
+
+  it("falls back to bookingUrl when a placeholder can't be filled", () => {
+    assert.equal(
+      getBookingUrl(thompson, { room: { roomId: 40931 }, date: "2026-10-20" }),
+      thompson.bookingUrl,
+    );
+    assert.equal(
+      getBookingUrl(thompson, {
+        room: { roomId: null },
+        date: "2026-10-20",
+        start: 540,
+      }),
+      thompson.bookingUrl,
+    );
+  });
+
+  it("uses bookingUrl without a template, or null without either", () => {
+    const hsl = { bookingUrl: "https://hsl-osu.libcal.com/reserve/study" };
+    assert.equal(
+      getBookingUrl(hsl, { room: { roomId: 1 }, date: "2026-10-20", start: 0 }),
+      hsl.bookingUrl,
+    );
+    assert.equal(getBookingUrl({}, { room: { roomId: 1 } }), null);
+  });
+});
+
+describe("getRoomBookingUrl", () => {
+  it("is the filled template, or null instead of the library's page", () => {
+    assert.equal(
+      getRoomBookingUrl(thompson, {
+        room: { roomId: 40931 },
+        date: "2026-10-20",
+        start: 540,
+      }),
+      "https://rooms.example.edu/reserve?location=16286&room=40931&date=2026-10-20&time=09:00",
+    );
+    assert.equal(
+      getRoomBookingUrl(thompson, {
+        room: { roomId: 40931 },
+        date: "2026-10-20",
+      }),
+      null,
+    );
+    const { bookingUrlTemplate, ...osu } = thompson;
+    assert.equal(
+      getRoomBookingUrl(osu, {
+        room: { roomId: 40931 },
+        date: "2026-10-20",
+        start: 540,
+      }),
+      null,
+    );
+  });
+});
@@ -0,0 +1,170 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import {
+  buildCalendar,
+  buildFreeBlockEvent,
+  escapeIcsText,
+  formatIcsDate,
+} from "../ical.js";
+
+const thompson = {
+  id: "thompson",
+  name: "Thompson Library",
+  shortName: "Thompson",
+  address: "1858 Neil Ave, Columbus, OH",
+  timeZone: "America/New_York",
+};
+const stamp = new Date("2026-10-19T12:00:00Z");
+
+describe("formatIcsDate", () => {
+  it("writes UTC basic format", () => {
+    assert.equal(
+      formatIcsDate(new Date("2026-10-20T18:30:00.000Z")),
+      "20261020T183000Z",
+    );
+  });
+});
+
+describe("escapeIcsText", () => {
+  it("escapes separators, backslashes and newlines", () => {
+    assert.equal(
+      escapeIcsText("Neil Ave, Columbus; a\\b\nnext"),
+      "Neil Ave\\, Columbus\\; a\\\\b\\nnext",
+    );
+  });
+});
+
+describe("buildFreeBlockEvent", () => {
+  it("converts library wall-clock minutes to UTC across DST", () => {
+    const summer = buildFreeBlockEvent(
+      {
+        library: thompson,
+        room: { name: "150" },
+        date: "2026-10-20",
+        start: 840,
+        end: 960,
+      },
+      { stamp },
+    );
+    assert.ok(summer.includes("DTSTART:20261020T180000Z")); // 2pm EDT
+    assert.ok(summer.includes("DTEND:20261020T200000Z"));
+
+    const winter = buildFreeBlockEvent(
+      {
+        library: thompson,
+        room: { name: "150" },
+        date: "2026-11-02",
+        start: 840,
+        end: 960,
+      },
+      { stamp },
+    );
+    assert.ok(winter.includes("DTSTART:20261102T190000Z")); // 2pm EST
+  });
+
+  it("names the room, library address and booking link", () => {
+    const lines = buildFreeBlockEvent(
+      {
+        library: { ...thompson, bookingUrl: "https://example.edu/book" },
+        room: { name: "150" },
+        date: "2026-10-20",
+        start: 840,
+        end: 960,
+      },
+      { stamp },
+    );
+    assert.deepEqual(lines, [
+      "BEGIN:VEVENT",
+      "UID:2026-10-20-thompson-150-until-960@library-spot",
+      "DTSTAMP:20261019T120000Z",
+      "DTSTART:20261020T180000Z",
+      "DTEND:20261020T200000Z",
+      "SUMMARY:Room 150 free (Thompson)",
+      "LOCATION:Thompson Library\\, Room 150\\, 1858 Neil Ave\\, Columbus\\, OH",
+      "DESCRIPTION:Room 150 at Thompson Library is free 2:00pm–4:00pm.\\nBook: https://example.edu/book",
+      "URL:https://example.edu/book",
+      "TRANSP:TRANSPARENT",
+      "END:VEVENT",
+    ]);
+  });
+
+  it("links to the room's reservation page at the block's start", () => {
+    const lines = buildFreeBlockEvent(
+      {
+        library: {
+          ...thompson,
+          locationId: 16286,
+          bookingUrl: "https://example.edu/book",
+          bookingUrlTemplate:
+            "https://example.edu/book?room={roomId}&date={date}&time={start}",
+        },
+        room: { name: "150", roomId: 40931 },
+        date: "2026-10-20",
+        start: 840,
+        end: 960,
+      },
+      { stamp },
+    );
+    assert.ok(
+      lines.includes(
+        "URL:https://example.edu/book?room=40931&date=2026-10-20&time=14:00",
+      ),
+    );
+  });
+
+  it("keeps the UID when the block's start is trimmed", () => {
+    const uid = (start) =>
+      buildFreeBlockEvent(
+        {
+          library: thompson,
+          room: { name: "150" },
+          date: "2026-10-20",
+          start,
+          end: 960,
+        },
+        { stamp },
+      ).find((line) => line.startsWith("UID:"));
+    assert.equal(uid(840), uid(900));
+  });
+
+  it("falls back to the given time zone", () => {
+    const { timeZone, ...library } = thompson;
+    const lines = buildFreeBlockEvent(
+      {
+        library,
+        room: { name: "150" },
+        date: "2026-10-20",
+        start: 840,
+        end: 870,
+      },
+      { timeZone: "America/Los_Angeles", stamp },
+    );
+    assert.ok(lines.includes("DTSTART:20261020T210000Z"));
+  });
+});
+
+describe("buildCalendar", () => {
+  it("wraps events with CRLF line endings", () => {
+    const ics = buildCalendar([["BEGIN:VEVENT", "END:VEVENT"]], {
+      name: "Thompson, free rooms",
+    });
+    assert.ok(ics.startsWith("BEGIN:VCALENDAR\r\nVERSION:2.0\r\n"));
+    assert.ok(ics.includes("X-WR-CALNAME:Thompson\\, free rooms\r\n"));
+    assert.ok(ics.endsWith("BEGIN:VEVENT\r\nEND:VEVENT\r\nEND:VCALENDAR\r\n"));
+  });
+
+  it("folds lines longer than 75 octets", () => {
+    const ics = buildCalendar([[`DESCRIPTION:${"é".repeat(60)}`]]);
+    const lines = ics.split("\r\n");
+    const start = lines.findIndex((l) => l.startsWith("DESCRIPTION:"));
+    assert.ok(lines[start + 1].startsWith(" "));
+    for (const line of lines) {
+      assert.ok(Buffer.byteLength(line) <= 75, line);
+    }
+    // Unfolding restores the original line
+    assert.equal(
+      ics.replace(/\r\n /g, "").split("\r\n")[start],
+      `DESCRIPTION:${"é".repeat(60)}`,
+    );
+  });
+});
@@ -0,0 +1,267 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import {
+  parseSearchQuery,
+  roomMatchesFilters,
+  searchRooms,
+} from "../search.js";
+
+const libraryIds = ["thompson", "hsl"];
+const at = (h, m = 0) => h * 60 + m;
+
+const slotsFrom = (start, free) =>
+  free.map((available, i) => ({
+    startMinutes: start + i * 30,
+    time: "",
+    available,
+  }));
+
+const libraries = [
+  {
+    id: "thompson",
+    name: "Thompson Library",
+    shortName: "Thompson",
+    rooms: [
+      {
+        name: "150",
+        capacity: 8,
+        floor: 1,
+        amenities: ["whiteboard", "monitor"],
+        // 2:00-3:00pm free, 3:00 booked, 3:30-5:30pm free
+        slots: slotsFrom(at(14), [true, true, false, true, true, true, true]),
+      },
+      {
+        name: "040A",
+        capacity: 4,
+        floor: "LL",
+        amenities: ["whiteboard"],
+        // 2:00-5:00pm free
+        slots: slotsFrom(at(14), [true, true, true, true, true, true]),
+      },
+    ],
+  },
+  {
+    id: "hsl",
+    name: "Health Sciences Library",
+    bookingUrl: "https://example.libcal.com/spaces",
+    rooms: [
+      {
+        name: "360A",
+        capacity: null,
+        amenities: [],
+        // 1:00-2:00pm free
+        slots: slotsFrom(at(13), [true, true, false]),
+      },
+    ],
+  },
+];
+
+describe("parseSearchQuery", () => {
+  it("defaults to any free slot in any library", () => {
+    assert.deepEqual(parseSearchQuery({}, { libraryIds }), {
+      search: {
+        libraries: [],
+        from: null,
+        to: null,
+        minDuration: 30,
+        minCapacity: null,
+        amenities: [],
+        limit: 20,
+      },
+      problems: [],
+    });
+  });
+
+  it("accepts times, minutes and comma-separated or repeated lists", () => {
+    const { search } = parseSearchQuery(
+      {
+        from: "2pm",
+        to: "1080",
+        libraries: ["thompson", "hsl"],
+        amenities: "Whiteboard,monitor",
+        minCapacity: "4",
+        minDuration: "120",
+        limit: "5",
+      },
+      { libraryIds },
+    );
+    assert.equal(search.from, at(14));
+    assert.equal(search.to, at(18));
+    assert.deepEqual(search.libraries, ["thompson", "hsl"]);
+    assert.deepEqual(search.amenities, ["whiteboard", "monitor"]);
+    assert.equal(search.minCapacity, 4);
+    assert.equal(search.minDuration, 120);
+    assert.equal(search.limit, 5);
+  });
+
+  it("requires the whole range when from and to are set without minDuration", () => {
+    const { search } = parseSearchQuery(
+      { from: "14:00", to: "16:00" },
+      { libraryIds },
+    );
+    assert.equal(search.minDuration, 120);
+  });
+
+  it("resolves from=now to the current slot, only for today", () => {
+    assert.equal(
+      parseSearchQuery({ from: "now" }, { libraryIds, nowMinutes: at(14, 47) })
+        .search.from,
+      at(14, 30),
+    );
+    assert.deepEqual(
+      parseSearchQuery({ from: "now" }, { libraryIds }).problems,
+      ["from=now only works for today"],
+    );
+  });
+
+  it("collects every problem", () => {
+    const { search, problems } = parseSearchQuery(
+      {
+        libraries: "thompson,nope",
+        from: "later",
+        to: "25:00",
+        minDuration: "45",
+        minCapacity: "0",
+        limit: "500",
+      },
+      { libraryIds },
+    );
+    assert.equal(search, null);
+    assert.equal(problems.length, 6);
+    assert.match(problems[0], /unknown libraries: nope/);
+  });
+
+  it("rejects a range that ends before it starts", () => {
+    assert.deepEqual(
+      parseSearchQuery({ from: "6pm", to: "2pm" }, { libraryIds }).problems,
+      ["to must be after from"],
+    );
+  });
+});
+
+describe("roomMatchesFilters", () => {
+  const room = libraries[0].rooms[0];
+
+  it("checks capacity and every requested amenity", () => {
+    assert.equal(roomMatchesFilters(room, { minCapacity: 8 }), true);
+    assert.equal(roomMatchesFilters(room, { minCapacity: 9 }), false);
+    assert.equal(roomMatchesFilters(room, { amenities: ["monitor"] }), true);
+    assert.equal(
+      roomMatchesFilters(room, { amenities: ["monitor", "video-conf"] }),
+      false,
+    );
+  });
+
+  it("doesn't pass rooms of unknown capacity through a capacity filter", () => {
+    const hslRoom = libraries[1].rooms[0];
+    assert.equal(roomMatchesFilters(hslRoom, { minCapacity: 1 }), false);
+    assert.equal(roomMatchesFilters(hslRoom, {}), true);
+  });
+});
+
+describe("searchRooms", () => {
+  const search = (query, options) =>
+    searchRooms(
+      libraries,
+      parseSearchQuery(query, { libraryIds }).search,
+      options,
+    );
+  const summary = (results) =>
+    results.map((r) => [
+      r.library.id,
+      r.room.name,
+      r.blocks.map((b) => `${b.startTime}-${b.endTime}`),
+    ]);
+
+  it("ranks by soonest start, then longest block", () => {
+    assert.deepEqual(summary(search({})), [
+      ["hsl", "360A", ["1:00pm-2:00pm"]],
+      ["thompson", "040A", ["2:00pm-5:00pm"]],
+      ["thompson", "150", ["2:00pm-3:00pm", "3:30pm-5:30pm"]],
+    ]);
+  });
+
+  it("keeps only blocks of at least minDuration", () => {
+    assert.deepEqual(summary(search({ minDuration: "120" })), [
+      ["thompson", "040A", ["2:00pm-5:00pm"]],
+      ["thompson", "150", ["3:30pm-5:30pm"]],
+    ]);
+  });
+
+  it("needs the whole from-to range free when no minDuration is given", () => {
+    assert.deepEqual(summary(search({ from: "2pm", to: "4pm" })), [
+      ["thompson", "040A", ["2:00pm-4:00pm"]],
+    ]);
+  });
+
+  it("drops slots that already ended today", () => {
+    assert.deepEqual(
+      summary(search({ minDuration: "90" }, { afterMinutes: at(15, 40) })),
+      [
+        ["thompson", "150", ["3:30pm-5:30pm"]],
+        ["thompson", "040A", ["3:30pm-5:00pm"]],
+      ],
+    );
+  });
+
+  it("applies library, capacity and amenity filters", () => {
+    assert.deepEqual(
+      summary(search({ libraries: "thompson", amenities: "monitor" })).map(
+        ([, room]) => room,
+      ),
+      ["150"],
+    );
+    assert.deepEqual(
+      summary(search({ minCapacity: "5" })).map(([, room]) => room),
+      ["150"],
+    );
+  });
+
+  it("returns room and library details with each result", () => {
+    const [first] = search({ libraries: "hsl" });
+    assert.deepEqual(first.library, {
+      id: "hsl",
+      name: "Health Sciences Library",
+      shortName: "Health Sciences Library",
+      bookingUrl: "https://example.libcal.com/spaces",
+    });
+    assert.deepEqual(first.room, {
+      name: "360A",
+      roomId: null,
+      bookingUrl: "https://example.libcal.com/spaces",
+      capacity: null,
+      floor: null,
+      amenities: [],
+    });
+    assert.deepEqual(first.blocks, [
+      {
+        start: at(13),
+        end: at(14),
+        duration: 60,
+        startTime: "1:00pm",
+        endTime: "2:00pm",
+      },
+    ]);
+  });
+
+  it("links each room through the library's bookingUrlTemplate", () => {
+    const withTemplate = [
+      {
+        ...libraries[0],
+        bookingUrl: "https://example.edu/book",
+        bookingUrlTemplate:
+          "https://example.edu/book?room={roomId}&date={date}",
+        rooms: [{ ...libraries[0].rooms[1], roomId: 40931 }],
+      },
+    ];
+    const [result] = searchRooms(
+      withTemplate,
+      parseSearchQuery({}, { libraryIds }).search,
+      { date: "2026-10-20" },
+    );
+    assert.equal(
+      result.room.bookingUrl,
+      "https://example.edu/book?room=40931&date=2026-10-20",
+    );
+  });
+});
@@ -0,0 +1,266 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import {
+  floorToSlot,
+  formatMinutes,
+  formatStarttime,
+  getConsecutiveFreeBlocks,
+  getFreeBlocks,
+  isSlotInWindow,
+  isSlotPast,
+  parseTimeToHours,
+  parseTimeToMinutes,
+  roomHasConsecutiveFree,
+  roomHasEntireBlockFree,
+  slotMinutesOf,
+  withSlotMinutes,
+} from "../slots.js";
+
+// 9:00am-12:00pm; 10:30am is booked
+const room = {
+  slots: [
+    { time: "9:00am", available: true },
+    { time: "9:30am", available: true },
+    { time: "10:00am", available: true },
+    { time: "10:30am", available: false },
+    { time: "11:00am", available: true },
+    { time: "11:30am", available: true },
+  ],
+};
+
+const at = (h, m = 0) => h * 60 + m;
+
+describe("parseTimeToMinutes", () => {
+  it("parses LibCal slot times", () => {
+    assert.equal(parseTimeToMinutes("9:30am"), at(9, 30));
+    assert.equal(parseTimeToMinutes("2:00pm"), at(14));
+  });
+
+  it("parses hours-widget times with spaces, caps or no minutes", () => {
+    assert.equal(parseTimeToMinutes("7:30 AM"), at(7, 30));
+    assert.equal(parseTimeToMinutes("11pm"), at(23));
+    assert.equal(parseTimeToMinutes("11:45PM"), at(23, 45));
+  });
+
+  it("parses OSU starttimes", () => {
+    assert.equal(parseTimeToMinutes("14:00:00"), at(14));
+    assert.equal(parseTimeToMinutes("07:30"), at(7, 30));
+  });
+
+  it("maps 12am and 12pm", () => {
+    assert.equal(parseTimeToMinutes("12:00am"), 0);
+    assert.equal(parseTimeToMinutes("12:30pm"), at(12, 30));
+    assert.equal(parseTimeToMinutes("00:00:00"), 0);
+  });
+
+  it("returns null for anything else", () => {
+    assert.equal(parseTimeToMinutes("noon"), null);
+    assert.equal(parseTimeToMinutes("Closed"), null);
+    assert.equal(parseTimeToMinutes("13:00pm"), null);
+    assert.equal(parseTimeToMinutes("24:00:00"), null);
+    assert.equal(parseTimeToMinutes(""), null);
+    assert.equal(parseTimeToMinutes(null), null);
+  });
+});
+
+describe("parseTimeToHours", () => {
+  it("returns decimal hours", () => {
+    assert.equal(parseTimeToHours("7:30am"), 7.5);
+    assert.equal(parseTimeToHours("11:45PM"), 23.75);
+    assert.equal(parseTimeToHours("12am"), 0);
+  });
+
+  it("returns null for closed or unparseable input", () => {
+    assert.equal(parseTimeToHours("Closed"), null);
+    assert.equal(parseTimeToHours(undefined), null);
+  });
+});
+
+describe("formatMinutes / formatStarttime / floorToSlot", () => {
+  it("formats slot labels", () => {
+    assert.equal(formatMinutes(at(7, 30)), "7:30am");
+    assert.equal(formatMinutes(at(14)), "2:00pm");
+    assert.equal(formatMinutes(0), "12:00am");
+    assert.equal(formatMinutes(at(12, 30)), "12:30pm");
+    assert.equal(formatMinutes(at(24)), "12:00am");
+  });
+
+  it("formats OSU starttimes", () => {
+    assert.equal(formatStarttime(at(7, 30)), "07:30:00");
+    assert.equal(formatStarttime(at(20, 30)), "20:30:00");
+  });
+
+  it("round-trips through parseTimeToMinutes", () => {
+    for (let m = 0; m < at(24); m += 30) {
+      assert.equal(parseTimeToMinutes(formatMinutes(m)), m);
+      assert.equal(parseTimeToMinutes(formatStarttime(m)), m);
+    }
+  });
+
+  it("floors to the start of the slot", () => {
+    assert.equal(floorToSlot(at(20, 46)), at(20, 30));
+    assert.equal(floorToSlot(at(9)), at(9));
+    assert.equal(floorToSlot(at(9, 29)), at(9));
+  });
+});
+
+describe("slotMinutesOf / withSlotMinutes", () => {
+  it("prefers startMinutes, then starttime, then time", () => {
+    assert.equal(slotMinutesOf({ startMinutes: 600, time: "1:00pm" }), 600);
+    assert.equal(
+      slotMinutesOf({ starttime: "14:30:00", time: "x" }),
+      at(14, 30),
+    );
+    assert.equal(slotMinutesOf({ time: "2:30pm" }), at(14, 30));
+    assert.equal(slotMinutesOf({ time: "soon" }), null);
+  });
+
+  it("adds startMinutes and sorts", () => {
+    assert.deepEqual(
+      withSlotMinutes([
+        { time: "1:00pm", available: true },
+        { time: "9:30am", available: false },
+      ]),
+      [
+        { time: "9:30am", available: false, startMinutes: at(9, 30) },
+        { time: "1:00pm", available: true, startMinutes: at(13) },
+      ],
+    );
+  });
+});
+
+describe("isSlotPast / isSlotInWindow", () => {
+  it("treats a slot as past once it has ended", () => {
+    assert.equal(isSlotPast(at(9), at(9, 29)), false);
+    assert.equal(isSlotPast(at(9), at(9, 30)), true);
+  });
+
+  it("applies from, to and the past cutoff", () => {
+    assert.equal(isSlotInWindow(at(10)), true);
+    assert.equal(isSlotInWindow(at(10), { from: at(10), to: at(11) }), true);
+    assert.equal(isSlotInWindow(at(11), { from: at(10), to: at(11) }), false);
+    assert.equal(isSlotInWindow(at(9, 30), { from: at(10) }), false);
+    assert.equal(isSlotInWindow(at(10), { afterMinutes: at(10, 15) }), true);
+    assert.equal(isSlotInWindow(at(10), { afterMinutes: at(10, 30) }), false);
+  });
+
+  it("never passes an unparseable slot", () => {
+    assert.equal(isSlotInWindow(null), false);
+  });
+});
+
+describe("getFreeBlocks", () => {
+  it("returns start, end, duration and the slots of each run", () => {
+    const blocks = getFreeBlocks(room, { minDuration: 60 });
+    assert.deepEqual(
+      blocks.map(({ start, end, duration }) => [start, end, duration]),
+      [
+        [at(9), at(10, 30), 90],
+        [at(11), at(12), 60],
+      ],
+    );
+    assert.deepEqual(
+      blocks[1].slots.map((s) => s.time),
+      ["11:00am", "11:30am"],
+    );
+  });
+
+  it("counts duplicate start times once", () => {
+    const doubled = {
+      slots: [...room.slots, { time: "9:00am", available: true }],
+    };
+    assert.equal(
+      getFreeBlocks(doubled, { minDuration: 90 })[0].slots.length,
+      3,
+    );
+  });
+});
+
+describe("roomHasEntireBlockFree", () => {
+  it("is true when every slot in the range is open", () => {
+    assert.equal(
+      roomHasEntireBlockFree(room, at(9), at(10, 30), 0, false),
+      true,
+    );
+  });
+
+  it("is false when a slot in the range is booked", () => {
+    assert.equal(roomHasEntireBlockFree(room, at(10), at(11), 0, false), false);
+  });
+
+  it("is false when the range runs past the room's slots", () => {
+    assert.equal(roomHasEntireBlockFree(room, at(11), at(13), 0, false), false);
+  });
+
+  it("treats slots that already ended today as unavailable", () => {
+    assert.equal(
+      roomHasEntireBlockFree(room, at(9), at(10), at(9, 45), true),
+      false,
+    );
+    // Same time on another day doesn't matter
+    assert.equal(
+      roomHasEntireBlockFree(room, at(9), at(10), at(9, 45), false),
+      true,
+    );
+  });
+
+  it("is false for rooms without slots", () => {
+    assert.equal(
+      roomHasEntireBlockFree({ slots: [] }, at(9), at(10), 0, false),
+      false,
+    );
+  });
+});
+
+describe("roomHasConsecutiveFree", () => {
+  it("finds a long enough run", () => {
+    assert.equal(roomHasConsecutiveFree(room, 90, 0, false), true);
+  });
+
+  it("is false when no run is long enough", () => {
+    assert.equal(roomHasConsecutiveFree(room, 120, 0, false), false);
+  });
+
+  it("ignores slots that already ended today", () => {
+    // 9:00 and 9:30 are over, leaving 10:00 alone before the booking
+    assert.equal(roomHasConsecutiveFree(room, 90, at(10), true), false);
+    assert.equal(roomHasConsecutiveFree(room, 60, at(10), true), true);
+  });
+
+  it("accepts a single slot for 30 minutes", () => {
+    const single = { slots: [{ time: "3:00pm", available: true }] };
+    assert.equal(roomHasConsecutiveFree(single, 30, 0, false), true);
+  });
+});
+
+describe("getConsecutiveFreeBlocks", () => {
+  const times = (blocks) => blocks.map((block) => block.map((s) => s.time));
+
+  it("splits available slots into runs at least as long as required", () => {
+    assert.deepEqual(times(getConsecutiveFreeBlocks(room, 60, 0, false)), [
+      ["9:00am", "9:30am", "10:00am"],
+      ["11:00am", "11:30am"],
+    ]);
+    assert.deepEqual(times(getConsecutiveFreeBlocks(room, 90, 0, false)), [
+      ["9:00am", "9:30am", "10:00am"],
+    ]);
+  });
+
+  it("sorts out-of-order slots first", () => {
+    const shuffled = { slots: [...room.slots].reverse() };
+    assert.deepEqual(
+      times(getConsecutiveFreeBlocks(shuffled, 60, 0, false)),
+      times(getConsecutiveFreeBlocks(room, 60, 0, false)),
+    );
+  });
+
+  it("drops slots that already ended today", () => {
+    assert.deepEqual(times(getConsecutiveFreeBlocks(room, 30, at(11), true)), [
+      ["11:00am", "11:30am"],
+    ]);
+  });
+
+  it("returns nothing for rooms without slots", () => {
+    assert.deepEqual(getConsecutiveFreeBlocks({}, 30, 0, false), []);
+  });
+});
@@ -0,0 +1,181 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import {
+  addDays,
+  formatUtcOffset,
+  getDateWindow,
+  getTimeZoneOffsetMinutes,
+  getZonedDateStr,
+  getZonedTimeInfo,
+  zonedTimeToUtc,
+} from "../time.js";
+
+const NY = "America/New_York";
+const LA = "America/Los_Angeles";
+
+// 2026 US transitions: DST starts Sun Mar 8 at 2:00 EST (07:00Z),
+// ends Sun Nov 1 at 2:00 EDT (06:00Z)
+
+describe("getTimeZoneOffsetMinutes", () => {
+  it("switches from EST to EDT at 07:00Z on March 8", () => {
+    assert.equal(
+      getTimeZoneOffsetMinutes(new Date("2026-03-08T06:59:59Z"), NY),
+      -300,
+    );
+    assert.equal(
+      getTimeZoneOffsetMinutes(new Date("2026-03-08T07:00:00Z"), NY),
+      -240,
+    );
+  });
+
+  it("switches from EDT to EST at 06:00Z on November 1", () => {
+    assert.equal(
+      getTimeZoneOffsetMinutes(new Date("2026-11-01T05:59:59Z"), NY),
+      -240,
+    );
+    assert.equal(
+      getTimeZoneOffsetMinutes(new Date("2026-11-01T06:00:00Z"), NY),
+      -300,
+    );
+  });
+
+  it("handles zones without DST and half-hour offsets", () => {
+    assert.equal(
+      getTimeZoneOffsetMinutes(new Date("2026-07-01T00:00:00Z"), "UTC"),
+      0,
+    );
+    assert.equal(
+      getTimeZoneOffsetMinutes(
+        new Date("2026-07-01T00:00:00Z"),
+        "Asia/Kolkata",
+      ),
+      330,
+    );
+  });
+});
+
+describe("formatUtcOffset", () => {
+  it("formats signed hours and minutes", () => {
+    assert.equal(formatUtcOffset(-240), "-04:00");
+    assert.equal(formatUtcOffset(330), "+05:30");
+    assert.equal(formatUtcOffset(0), "+00:00");
+  });
+});
+
+describe("zonedTimeToUtc", () => {
+  it("gives local midnight at 05:00Z in EST and 04:00Z in EDT", () => {
+    const midnight = (dateStr) => zonedTimeToUtc(dateStr, 0, NY).toISOString();
+    assert.equal(midnight("2026-01-15"), "2026-01-15T05:00:00.000Z");
+    assert.equal(midnight("2026-07-01"), "2026-07-01T04:00:00.000Z");
+  });
+
+  it("is right on both sides of the March transition", () => {
+    const midnight = (dateStr) => zonedTimeToUtc(dateStr, 0, NY).toISOString();
+    assert.equal(midnight("2026-03-07"), "2026-03-07T05:00:00.000Z");
+    // Midnight on the 8th is still EST; the change happens at 2am
+    assert.equal(midnight("2026-03-08"), "2026-03-08T05:00:00.000Z");
+    assert.equal(midnight("2026-03-09"), "2026-03-09T04:00:00.000Z");
+    // 3:00am on the 8th is already EDT
+    assert.equal(
+      zonedTimeToUtc("2026-03-08", 3 * 60, NY).toISOString(),
+      "2026-03-08T07:00:00.000Z",
+    );
+  });
+
+  it("is right on both sides of the November transition", () => {
+    const midnight = (dateStr) => zonedTimeToUtc(dateStr, 0, NY).toISOString();
+    assert.equal(midnight("2026-10-31"), "2026-10-31T04:00:00.000Z");
+    // Midnight on the 1st is still EDT
+    assert.equal(midnight("2026-11-01"), "2026-11-01T04:00:00.000Z");
+    assert.equal(midnight("2026-11-02"), "2026-11-02T05:00:00.000Z");
+    assert.equal(
+      zonedTimeToUtc("2026-11-01", 12 * 60, NY).toISOString(),
+      "2026-11-01T17:00:00.000Z",
+    );
+  });
+
+  it("works for other zones", () => {
+    assert.equal(
+      zonedTimeToUtc("2026-07-01", 0, LA).toISOString(),
+      "2026-07-01T07:00:00.000Z",
+    );
+  });
+});
+
+describe("getZonedDateStr / getDateWindow", () => {
+  it("uses the zone's calendar date, not UTC's", () => {
+    // 03:30Z on Nov 1 is 11:30pm Oct 31 in New York and 8:30pm in LA
+    const instant = new Date("2026-11-01T03:30:00Z");
+    assert.equal(getZonedDateStr(instant, NY), "2026-10-31");
+    assert.equal(getZonedDateStr(instant, LA), "2026-10-31");
+    assert.equal(getZonedDateStr(instant, "UTC"), "2026-11-01");
+  });
+
+  it("starts the window at the zone's today", () => {
+    // 04:30Z on Mar 9 is 12:30am Mar 9 in New York but Mar 8 in LA
+    const now = Date.parse("2026-03-09T04:30:00Z");
+    assert.equal(getDateWindow(NY, { now })[0], "2026-03-09");
+    assert.equal(getDateWindow(LA, { now })[0], "2026-03-08");
+  });
+
+  it("has 8 consecutive dates across a DST change", () => {
+    const now = Date.parse("2026-03-05T15:00:00Z");
+    assert.deepEqual(getDateWindow(NY, { now }), [
+      "2026-03-05",
+      "2026-03-06",
+      "2026-03-07",
+      "2026-03-08",
+      "2026-03-09",
+      "2026-03-10",
+      "2026-03-11",
+      "2026-03-12",
+    ]);
+    assert.deepEqual(
+      getDateWindow(NY, { now: Date.parse("2026-10-29T15:00:00Z") }).slice(
+        2,
+        5,
+      ),
+      ["2026-10-31", "2026-11-01", "2026-11-02"],
+    );
+  });
+
+  it("addDays crosses month and year boundaries", () => {
+    assert.equal(addDays("2026-02-28", 1), "2026-03-01");
+    assert.equal(addDays("2026-12-31", 1), "2027-01-01");
+  });
+});
+
+describe("getZonedTimeInfo", () => {
+  it("reports EDT right after the spring-forward gap", () => {
+    const info = getZonedTimeInfo(NY, Date.parse("2026-03-08T07:45:00Z"));
+    assert.equal(info.dateStr, "2026-03-08");
+    assert.equal(info.hour, 3);
+    assert.equal(info.minute, 45);
+    assert.equal(info.isDST, true);
+    assert.equal(info.abbreviation, "EDT");
+    assert.equal(info.utcOffset, "-04:00");
+    assert.deepEqual(info.slot, {
+      starttime: "03:30:00",
+      time: "3:30am",
+      startMinutes: 210,
+      endMinutes: 240,
+    });
+  });
+
+  it("reports EST for the repeated 1am hour after fall-back", () => {
+    const first = getZonedTimeInfo(NY, Date.parse("2026-11-01T05:30:00Z"));
+    const second = getZonedTimeInfo(NY, Date.parse("2026-11-01T06:30:00Z"));
+    assert.equal(first.hour, 1);
+    assert.equal(second.hour, 1);
+    assert.equal(first.abbreviation, "EDT");
+    assert.equal(second.abbreviation, "EST");
+    assert.equal(second.isDST, false);
+    assert.equal(second.utcOffsetMinutes, -300);
+  });
+
+  it("reports midnight as hour 0", () => {
+    const info = getZonedTimeInfo(NY, Date.parse("2026-01-15T05:00:00Z"));
+    assert.equal(info.hour, 0);
+    assert.equal(info.slot.time, "12:00am");
+  });
+});
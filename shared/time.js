@@ -0,0 +1,161 @@
+/**
+ * Time zone helpers
+ *
+ * Libraries report slots in their local wall-clock time, but the server may
+ * run in UTC and visitors anywhere. Everything here takes an IANA time zone
+ * and goes through Intl, so DST transitions come from the tz database rather
+ * than a hardcoded offset (the OSU API date used to be `${date}T05:00:00Z`
+ * year-round, which is only right for EST).
+ */
+import {
+  SLOT_MINUTES,
+  floorToSlot,
+  formatMinutes,
+  formatStarttime,
+} from "./slots.js";
+
+const partsFormatters = new Map();
+
+function getPartsFormatter(timeZone) {
+  if (!partsFormatters.has(timeZone)) {
+    partsFormatters.set(
+      timeZone,
+      new Intl.DateTimeFormat("en-US", {
+        timeZone,
+        hourCycle: "h23",
+        year: "numeric",
+        month: "2-digit",
+        day: "2-digit",
+        hour: "2-digit",
+        minute: "2-digit",
+        second: "2-digit",
+      }),
+    );
+  }
+  return partsFormatters.get(timeZone);
+}
+
+/**
+ * Wall-clock fields of an instant in a time zone: { year, month, day, hour, minute, second }
+ */
+export function getZonedParts(date, timeZone) {
+  return getPartsFormatter(timeZone)
+    .formatToParts(date)
+    .reduce((acc, p) => {
+      if (p.type !== "literal") acc[p.type] = Number(p.value);
+      return acc;
+    }, {});
+}
+
+/**
+ * Get the UTC offset (in minutes) of a timezone at a given instant.
+ * Negative west of UTC, e.g. -240 for EDT and -300 for EST.
+ */
+export function getTimeZoneOffsetMinutes(date, timeZone) {
+  const parts = getZonedParts(date, timeZone);
+  const wallAsUtc = Date.UTC(
+    parts.year,
+    parts.month - 1,
+    parts.day,
+    parts.hour,
+    parts.minute,
+    parts.second,
+  );
+  return Math.round(
+    (wallAsUtc - Math.floor(date.getTime() / 1000) * 1000) / 60000,
+  );
+}
+
+/**
+ * Format an offset in minutes as "+HH:MM" / "-HH:MM"
+ */
+export function formatUtcOffset(offsetMinutes) {
+  const sign = offsetMinutes < 0 ? "-" : "+";
+  const abs = Math.abs(offsetMinutes);
+  const hh = String(Math.floor(abs / 60)).padStart(2, "0");
+  const mm = String(abs % 60).padStart(2, "0");
+  return `${sign}${hh}:${mm}`;
+}
+
+/**
+ * Calendar date (YYYY-MM-DD) of an instant in a time zone
+ */
+export function getZonedDateStr(date, timeZone) {
+  const { year, month, day } = getZonedParts(date, timeZone);
+  return `${year}-${String(month).padStart(2, "0")}-${String(day).padStart(2, "0")}`;
+}
+
+/**
+ * YYYY-MM-DD `days` calendar days after `dateStr` (no time zone involved)
+ */
+export function addDays(dateStr, days) {
+  const date = new Date(`${dateStr}T12:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + days);
+  return date.toISOString().slice(0, 10);
+}
+
+/**
+ * The instant a wall-clock time happens in a time zone, e.g.
+ * zonedTimeToUtc("2026-07-01", 0, "America/New_York") -> 2026-07-01T04:00:00Z
+ * @param {string} dateStr - YYYY-MM-DD
+ * @param {number} minutes - Minutes since local midnight
+ */
+export function zonedTimeToUtc(dateStr, minutes, timeZone) {
+  const [year, month, day] = dateStr.split("-").map(Number);
+  const wall = Date.UTC(year, month - 1, day, 0, minutes);
+  // Second pass corrects the guess when a DST change falls between the two
+  let ts = wall - getTimeZoneOffsetMinutes(new Date(wall), timeZone) * 60000;
+  ts = wall - getTimeZoneOffsetMinutes(new Date(ts), timeZone) * 60000;
+  return new Date(ts);
+}
+
+/**
+ * Today plus the following days, as local dates in a time zone
+ */
+export function getDateWindow(timeZone, { days = 8, now = Date.now() } = {}) {
+  const today = getZonedDateStr(new Date(now), timeZone);
+  return Array.from({ length: days }, (_, i) => addDays(today, i));
+}
+
+/**
+ * Snapshot of the current local time: date, 30-minute slot and UTC offset/DST state
+ */
+export function getZonedTimeInfo(timeZone, nowMs = Date.now()) {
+  const now = new Date(nowMs);
+  const { hour, minute } = getZonedParts(now, timeZone);
+
+  const slotStartMinutes = floorToSlot(hour * 60 + minute);
+
+  // DST is in effect when the offset is ahead of the year's standard (winter) offset
+  const offsetMinutes = getTimeZoneOffsetMinutes(now, timeZone);
+  const year = now.getUTCFullYear();
+  const standardOffset = Math.min(
+    getTimeZoneOffsetMinutes(new Date(Date.UTC(year, 0, 1)), timeZone),
+    getTimeZoneOffsetMinutes(new Date(Date.UTC(year, 6, 1)), timeZone),
+  );
+
+  const abbreviation = new Intl.DateTimeFormat("en-US", {
+    timeZone,
+    timeZoneName: "short",
+  })
+    .formatToParts(now)
+    .find((p) => p.type === "timeZoneName")?.value;
+
+  return {
+    timestamp: nowMs,
+    timeZone,
+    dateStr: getZonedDateStr(now, timeZone),
+    hour,
+    minute,
+    slot: {
+      starttime: formatStarttime(slotStartMinutes),
+      time: formatMinutes(slotStartMinutes),
+      startMinutes: slotStartMinutes,
+      endMinutes: slotStartMinutes + SLOT_MINUTES,
+    },
+    utcOffset: formatUtcOffset(offsetMinutes),
+    utcOffsetMinutes: offsetMinutes,
+    isDST: offsetMinutes > standardOffset,
+    abbreviation,
+  };
+}
@@ -1,4 +1,16 @@
-import React, { useState, useEffect, useMemo } from "react";
+import React, { useState, useEffect, useMemo, useRef } from "react";
+import {
+  SLOT_MINUTES,
+  formatMinutes,
+  getConsecutiveFreeBlocks,
+  isSlotInWindow,
+  roomHasConsecutiveFree,
+  roomHasEntireBlockFree,
+  slotMinutesOf,
+} from "../shared/slots.js";
+import { roomMatchesFilters } from "../shared/search.js";
+import { buildCalendar, buildFreeBlockEvent } from "../shared/ical.js";
+import { getRoomBookingUrl } from "../shared/booking.js";
 
 // Use Vite env var if provided, otherwise default to "" (same-origin)
 // This makes production calls go to /api/... (proxied by nginx)
@@ -7,7 +19,8 @@ const API_BASE = (import.meta.env.VITE_API_BASE || "").replace(/\/$/, "");
 // Helper to avoid double slashes
 const apiUrl = (path) => `${API_BASE}${path.startsWith("/") ? "" : "/"}${path}`;
 
-// Server-injected bootstrap (SSR-ish). If present, we should not call /api/* from the browser.
+// Server-injected bootstrap (SSR-ish). If present, room data comes from here
+// instead of /api/* (only the clock re-syncs via /api/time).
 const BOOTSTRAP =
   (typeof window !== "undefined" && window.__LIBRARYSPOT_INITIAL__) || null;
 
@@ -18,316 +31,266 @@ const BOOT_SERVER_NOW_MS = BOOTSTRAP?.serverNowMs || null;
 const INITIAL =
   typeof window !== "undefined" ? window.__LIBRARYSPOT_INITIAL__ : null;
 
-// Library operating hours (for reservations)
-// Note: Building hours may differ from reservation hours
-const LIBRARY_HOURS = {
-  "18th-ave": {
-    open: 7.5,
-    close: 23.5,
-    name: "7:30 AM - 11:30 PM",
-    building: "24 hours",
-  },
-  thompson: {
-    open: 11,
-    close: 23.5,
-    name: "11:00 AM - 11:30 PM",
-    building: "7:30 AM - 12:00 AM",
-  },
-  faes: {
-    open: 8,
-    close: 18,
-    name: "8:00 AM - 6:00 PM",
-    building: "8:00 AM - 6:00 PM",
-  },
-  hsl: {
-    // HSL has variable hours - this is just a fallback
-    open: 7.5,
-    close: 19.75,
-    name: "Variable",
-    building: "See schedule",
-  },
-};
-
-// HSL weekly hours - based on actual schedule from hsl.osu.edu/about/hours
-// Week of January 19-25, 2026
-const HSL_HOURS_DATA = {
-  // Week starting Jan 19
-  "2026-01-19": { open: "10am", close: "5:45pm", note: "MLK Day" },
-  "2026-01-20": { open: "7:30am", close: "7:45pm" },
-  "2026-01-21": { open: "7:30am", close: "7:45pm" },
-  "2026-01-22": { open: "7:30am", close: "7:45pm" },
-  "2026-01-23": { open: "7:30am", close: "5:45pm" },
-  "2026-01-24": { open: "10am", close: "5:45pm" },
-  "2026-01-25": { open: "12pm", close: "7:45pm" },
-  // Week starting Jan 26
-  "2026-01-26": { open: "7:30am", close: "7:45pm" },
-  "2026-01-27": { open: "7:30am", close: "7:45pm" },
-  "2026-01-28": { open: "7:30am", close: "7:45pm" },
-  "2026-01-29": { open: "7:30am", close: "7:45pm" },
-  "2026-01-30": { open: "7:30am", close: "5:45pm" },
-  "2026-01-31": { open: "10am", close: "5:45pm" },
-  "2026-02-01": { open: "12pm", close: "7:45pm" },
-};
-
-// Regular weekly pattern (fallback)
-const HSL_DEFAULT_HOURS = {
-  0: { open: "12pm", close: "7:45pm" }, // Sunday
-  1: { open: "7:30am", close: "7:45pm" }, // Monday
-  2: { open: "7:30am", close: "7:45pm" }, // Tuesday
-  3: { open: "7:30am", close: "7:45pm" }, // Wednesday
-  4: { open: "7:30am", close: "7:45pm" }, // Thursday
-  5: { open: "7:30am", close: "5:45pm" }, // Friday
-  6: { open: "10am", close: "5:45pm" }, // Saturday
-};
+// Library metadata (names, icons, default hours) comes from the server's
+// library config, injected into the bootstrap or fetched from /api/config
+const BOOT_LIBRARY_CONFIG = BOOTSTRAP?.config?.libraries || null;
+// Deployment time zone: the server's "today" and clock, not the visitor's
+const BOOT_TIME_ZONE = BOOTSTRAP?.config?.timeZone || "America/New_York";
+
+// Reservation hours to use until LibCal hours are known
+function getDefaultHours(library) {
+  const hours = library.defaultHours;
+  if (!hours) return { open: 0, close: 24 };
+  return {
+    open: hours.open,
+    close: hours.close,
+    name: hours.label,
+    building: hours.building,
+  };
+}
 
-// Get HSL hours for a specific date
-function getHslHours(dateStr) {
-  // Check specific date first
-  if (HSL_HOURS_DATA[dateStr]) {
-    return HSL_HOURS_DATA[dateStr];
+// Reservation hours for a library: LibCal hours from the API when known,
+// otherwise the configured defaults
+function getReservationHours(library) {
+  const hours = getDefaultHours(library);
+  const reservationHours = library.hours?.reservation;
+  if (reservationHours?.closed) {
+    return { ...hours, open: 0, close: 0, name: "Closed", closed: true };
+  }
+  if (
+    reservationHours &&
+    reservationHours.open !== null &&
+    reservationHours.close !== null
+  ) {
+    return {
+      ...hours,
+      open: reservationHours.open,
+      close: reservationHours.close,
+      name: `${reservationHours.openStr || ""} - ${reservationHours.closeStr || ""}`,
+      note: reservationHours.note,
+    };
   }
-  // Fall back to regular weekly pattern
-  const date = new Date(dateStr + "T12:00:00");
-  const dayOfWeek = date.getDay();
-  return HSL_DEFAULT_HOURS[dayOfWeek];
+  return hours;
 }
 
-// Parse time like "7:30am" to decimal hours
-function parseHslTime(timeStr) {
-  const match = timeStr.match(/(\d+):?(\d*)(am|pm)/i);
-  if (!match) return 0;
-  let h = parseInt(match[1]);
-  const m = parseInt(match[2] || 0);
-  if (match[3].toLowerCase() === "pm" && h !== 12) h += 12;
-  if (match[3].toLowerCase() === "am" && h === 12) h = 0;
-  return h + m / 60;
+// Whether a library is closed all day, already closed or not yet open.
+// Only "past closing" counts as closed today: before opening we still
+// want to show the day's availability.
+function getOpenStatus(hours, isToday, currentHour) {
+  const isClosedForDay = hours.closed === true;
+  return {
+    isClosedForDay,
+    isPastClosing: isToday && (isClosedForDay || currentHour >= hours.close),
+    isBeforeOpening: isToday && !isClosedForDay && currentHour < hours.open,
+  };
 }
 
-const FALLBACK_LIBRARIES = [
-  {
-    id: "18th-ave",
-    name: "18th Avenue Library",
-    address: "175 W. 18th Ave, Columbus, OH",
-    rooms: [],
-  },
-  {
-    id: "thompson",
-    name: "Thompson Library",
-    address: "1858 Neil Ave, Columbus, OH",
-    rooms: [],
-  },
-  {
-    id: "faes",
-    name: "FAES Library",
-    fullName: "Food, Agricultural, and Environmental Sciences Library",
-    address: "2120 Fyffe Rd, Columbus, OH",
-    rooms: [],
-  },
-  {
-    id: "hsl",
-    name: "Health Sciences Library",
-    subtitle: "(University Hospital)",
-    address: "376 W. 10th Ave, Columbus, OH",
-    bookingUrl: "https://hsl-osu.libcal.com/spaces?lid=694&gid=24674",
-    rooms: [],
-  },
-];
-
-// Library filter options
-const LIBRARY_OPTIONS = [
-  { id: "18th-ave", name: "18th Avenue", icon: "📚" },
-  { id: "thompson", name: "Thompson", icon: "🏛️" },
-  { id: "faes", name: "FAES", icon: "🌿" },
-  { id: "hsl", name: "Health Sciences", icon: "🏥" },
-];
+// Holidays and special closures from LibCal's hours for the date:
+// { closed, reduced, note } or null on a regular day. "Reduced" means
+// shorter reservation hours than the library's usual `defaultHours`.
+// A 24-hour day's note is a standing access rule, not an exception.
+function getHoursException(library) {
+  const { building, reservation } = library.hours || {};
+  const note =
+    reservation?.note ||
+    (building?.openStr !== "24 Hours" ? building?.note : null) ||
+    null;
+
+  if (reservation?.closed || building?.closed) {
+    return { closed: true, reduced: false, note };
+  }
+  const usual = library.defaultHours;
+  if (
+    usual &&
+    reservation &&
+    reservation.open !== null &&
+    reservation.close !== null &&
+    (reservation.open > usual.open || reservation.close < usual.close)
+  ) {
+    return { closed: false, reduced: true, note };
+  }
+  return note ? { closed: false, reduced: false, note } : null;
+}
 
-// Library icons mapping
-const LIBRARY_ICONS = {
-  "18th-ave": "📚",
-  thompson: "🏛️",
-  faes: "🌿",
-  hsl: "🏥",
-};
+// How often the client re-syncs its clock with /api/time
+const TIME_SYNC_INTERVAL_MS = 5 * 60 * 1000;
 
-const DEFAULT_LIBRARY_FILTER = ["18th-ave", "thompson", "faes"]; // HSL unchecked by default
+// Live updates: reconnect backoff for /api/stream (doubles per failure, with jitter)
+const STREAM_RETRY_BASE_MS = 1000;
+const STREAM_RETRY_MAX_MS = 60 * 1000;
 
 const AMENITY_ICONS = { whiteboard: "📝", monitor: "🖥️", "video-conf": "📹" };
+const AMENITY_LABELS = {
+  whiteboard: "Whiteboard",
+  monitor: "Monitor",
+  "video-conf": "Video conferencing",
+};
 
-// Time options for filter (30-min intervals from 7am to 11:30pm)
-const TIME_OPTIONS = [];
-for (let h = 7; h <= 23; h++) {
-  for (let m = 0; m < 60; m += 30) {
-    if (h === 23 && m > 30) continue; // Stop at 11:30pm
-    const hour = h > 12 ? h - 12 : h === 0 ? 12 : h;
-    const period = h >= 12 ? "PM" : "AM";
-    const label = `${hour}:${m.toString().padStart(2, "0")} ${period}`;
-    const value = h * 60 + m; // Minutes since midnight
-    TIME_OPTIONS.push({ label, value });
-  }
-}
+// Minimum group size options for the capacity filter
+const GROUP_SIZE_OPTIONS = [2, 4, 6, 8, 10, 12];
+
+// Filters survive reloads (localStorage) and travel in links (query string).
+// Both use the same flat shape:
+//   { start, end, duration, libraries, minCapacity, amenities }
+const FILTERS_KEY = "librarySpot.filters";
+
+// Query params, e.g. ?date=2026-10-21&from=840&to=960&libs=thompson,faes&open=thompson
+const FILTER_URL_PARAMS = [
+  "from",
+  "to",
+  "duration",
+  "libs",
+  "capacity",
+  "amenities",
+];
 
-function formatTimeDisplay(timeStr) {
-  return timeStr.replace(/([ap]m)/i, " $1").toUpperCase();
+// Flat filter values (possibly hand-edited or stale) -> validated filter state
+function normalizeFilters(raw) {
+  const slotMinute = (v) =>
+    Number.isInteger(v) && v >= 0 && v <= 24 * 60 && v % SLOT_MINUTES === 0
+      ? v
+      : null;
+  const strings = (v) =>
+    Array.isArray(v) ? v.filter((x) => typeof x === "string" && x) : null;
+
+  const start = slotMinute(raw.start);
+  let end = slotMinute(raw.end);
+  if (start !== null && end !== null && end <= start) end = null;
+
+  return {
+    timeFilter: { start, end },
+    durationFilter: DURATION_OPTIONS.some((o) => o.value === raw.duration)
+      ? raw.duration
+      : null,
+    libraryFilter: strings(raw.libraries),
+    capacityFilter:
+      Number.isInteger(raw.minCapacity) && raw.minCapacity > 0
+        ? raw.minCapacity
+        : null,
+    amenityFilter: strings(raw.amenities) || [],
+  };
 }
 
-// Parse time string (e.g., "2:30pm") to minutes since midnight
-function parseTimeToMinutes(timeStr) {
-  const match = timeStr.match(/^(\d{1,2}):(\d{2})([ap]m)$/i);
-  if (!match) return null;
-  let [, hourStr, minStr, period] = match;
-  let hour = parseInt(hourStr);
-  const minute = parseInt(minStr);
-  if (period.toLowerCase() === "pm" && hour !== 12) hour += 12;
-  if (period.toLowerCase() === "am" && hour === 12) hour = 0;
-  return hour * 60 + minute;
+function readSavedFilters() {
+  try {
+    return normalizeFilters(
+      JSON.parse(localStorage.getItem(FILTERS_KEY)) || {},
+    );
+  } catch {
+    // Private mode or a corrupt entry: start with no filters
+    return normalizeFilters({});
+  }
 }
 
-// Check if room has ALL slots free in a given time range
-function roomHasEntireBlockFree(
-  room,
-  startMinutes,
-  endMinutes,
-  currentMinutes,
-  isToday,
-) {
-  if (!room.slots || room.slots.length === 0) return false;
-
-  // Get all slots in the time range
-  const slotsInRange = room.slots.filter((slot) => {
-    const slotMinutes = parseTimeToMinutes(slot.time);
-    if (slotMinutes === null) return false;
-    return slotMinutes >= startMinutes && slotMinutes < endMinutes;
-  });
-
-  // Check if we have all expected slots (every 30 min) and all are available
-  const expectedSlotCount = (endMinutes - startMinutes) / 30;
-  if (slotsInRange.length < expectedSlotCount) return false;
+function writeSavedFilters(filters) {
+  try {
+    localStorage.setItem(FILTERS_KEY, JSON.stringify(filters));
+  } catch {
+    // Storage full or disabled; filters just won't persist
+  }
+}
 
-  // All slots must be available (and not in the past for today)
-  return slotsInRange.every((slot) => {
-    if (!slot.available) return false;
-    if (isToday) {
-      const slotMinutes = parseTimeToMinutes(slot.time);
-      if (slotMinutes !== null && slotMinutes + 30 <= currentMinutes)
-        return false;
-    }
-    return true;
-  });
+function readUrlState(search) {
+  const params = new URLSearchParams(search);
+  const number = (key) =>
+    /^\d+$/.test(params.get(key) ?? "") ? Number(params.get(key)) : null;
+  const list = (key) =>
+    params.has(key)
+      ? params
+          .get(key)
+          .split(",")
+          .map((v) => v.trim())
+          .filter(Boolean)
+      : null;
+
+  return {
+    date: params.get("date"),
+    expanded: list("open") || [],
+    hasFilters: FILTER_URL_PARAMS.some((key) => params.has(key)),
+    filters: normalizeFilters({
+      start: number("from"),
+      end: number("to"),
+      duration: number("duration"),
+      libraries: list("libs"),
+      minCapacity: number("capacity"),
+      amenities: list("amenities"),
+    }),
+  };
 }
 
-// Check if room has X consecutive minutes of free slots
-function roomHasConsecutiveFree(
-  room,
-  requiredMinutes,
-  currentMinutes,
-  isToday,
-) {
-  if (!room.slots || room.slots.length === 0) return false;
-
-  // Get available future slots sorted by time
-  const availableSlots = room.slots
-    .filter((slot) => {
-      if (!slot.available) return false;
-      if (isToday) {
-        const slotMinutes = parseTimeToMinutes(slot.time);
-        if (slotMinutes !== null && slotMinutes + 30 <= currentMinutes)
-          return false;
-      }
-      return true;
-    })
-    .map((slot) => parseTimeToMinutes(slot.time))
-    .filter((m) => m !== null)
-    .sort((a, b) => a - b);
-
-  if (availableSlots.length === 0) return false;
-
-  // Find consecutive sequences
-  const requiredSlots = requiredMinutes / 30;
-  let consecutiveCount = 1;
-
-  for (let i = 1; i < availableSlots.length; i++) {
-    if (availableSlots[i] === availableSlots[i - 1] + 30) {
-      consecutiveCount++;
-      if (consecutiveCount >= requiredSlots) return true;
-    } else {
-      consecutiveCount = 1;
-    }
+// Query string for the current view; defaults (today, no filters) are left out
+function buildUrlSearch({ date, isDefaultDate, filters, expanded }) {
+  const params = new URLSearchParams();
+  if (!isDefaultDate) params.set("date", date);
+  if (filters.start !== null) params.set("from", filters.start);
+  if (filters.end !== null) params.set("to", filters.end);
+  if (filters.duration !== null) params.set("duration", filters.duration);
+  if (filters.libraries !== null) {
+    params.set("libs", filters.libraries.join(","));
+  }
+  if (filters.minCapacity !== null) {
+    params.set("capacity", filters.minCapacity);
   }
+  if (filters.amenities.length > 0) {
+    params.set("amenities", filters.amenities.join(","));
+  }
+  if (expanded.length > 0) params.set("open", expanded.join(","));
 
-  return consecutiveCount >= requiredSlots;
+  // Keep the commas in lists readable
+  const search = params.toString().replace(/%2C/g, ",");
+  return search ? `?${search}` : "";
 }
 
-// Get all consecutive free blocks of required duration
-function getConsecutiveFreeBlocks(
-  room,
-  requiredMinutes,
-  currentMinutes,
-  isToday,
-) {
-  if (!room.slots || room.slots.length === 0) return [];
-
-  // Get available future slots sorted by time
-  const availableSlots = room.slots
-    .filter((slot) => {
-      if (!slot.available) return false;
-      if (isToday) {
-        const slotMinutes = parseTimeToMinutes(slot.time);
-        if (slotMinutes !== null && slotMinutes + 30 <= currentMinutes)
-          return false;
-      }
-      return true;
-    })
-    .sort((a, b) => {
-      const aMin = parseTimeToMinutes(a.time) || 0;
-      const bMin = parseTimeToMinutes(b.time) || 0;
-      return aMin - bMin;
-    });
-
-  if (availableSlots.length === 0) return [];
-
-  const requiredSlots = requiredMinutes / 30;
-  const blocks = [];
-  let currentBlock = [availableSlots[0]];
-
-  for (let i = 1; i < availableSlots.length; i++) {
-    const prevMinutes = parseTimeToMinutes(availableSlots[i - 1].time);
-    const currMinutes = parseTimeToMinutes(availableSlots[i].time);
-
-    if (currMinutes === prevMinutes + 30) {
-      currentBlock.push(availableSlots[i]);
-    } else {
-      // End of consecutive block
-      if (currentBlock.length >= requiredSlots) {
-        blocks.push([...currentBlock]);
-      }
-      currentBlock = [availableSlots[i]];
-    }
-  }
-
-  // Check last block
-  if (currentBlock.length >= requiredSlots) {
-    blocks.push(currentBlock);
-  }
+// A link's filters win over the ones remembered in this browser
+function getInitialViewState(dates) {
+  const url = readUrlState(window.location.search);
+  return {
+    date: dates.includes(url.date) ? url.date : dates[0],
+    expanded: url.expanded,
+    filters: url.hasFilters ? url.filters : readSavedFilters(),
+  };
+}
 
-  return blocks;
+// Time options for filter (30-min intervals from 7am to 11:30pm)
+const TIME_OPTIONS = [];
+for (let value = 7 * 60; value <= 23 * 60 + 30; value += SLOT_MINUTES) {
+  // value is minutes since midnight
+  TIME_OPTIONS.push({ label: formatTimeDisplay(formatMinutes(value)), value });
 }
 
-// Generate array of next 8 days (today + 7 days ahead)
-function getNext8Days() {
-  const days = [];
-  const today = new Date();
+// "just now", "1 minute ago", "42 minutes ago", "3 hours ago"
+function formatAge(isoTime) {
+  const minutes = Math.max(
+    0,
+    Math.round((Date.now() - new Date(isoTime).getTime()) / 60000),
+  );
+  if (minutes < 1) return "just now";
+  if (minutes < 60) return `${minutes} minute${minutes === 1 ? "" : "s"} ago`;
+  const hours = Math.round(minutes / 60);
+  return `${hours} hour${hours === 1 ? "" : "s"} ago`;
+}
 
-  for (let i = 0; i < 8; i++) {
-    const date = new Date(today);
-    date.setDate(today.getDate() + i);
+function formatTimeDisplay(timeStr) {
+  return timeStr.replace(/([ap]m)/i, " $1").toUpperCase();
+}
 
-    // Use local date, not UTC (toISOString converts to UTC which can shift the date)
-    const year = date.getFullYear();
-    const month = String(date.getMonth() + 1).padStart(2, "0");
-    const day = String(date.getDate()).padStart(2, "0");
-    const dateStr = `${year}-${month}-${day}`;
+// Today + 7 days in a time zone (only until the server's date list arrives)
+function getLocalDates(timeZone) {
+  const today = new Date().toLocaleDateString("en-CA", { timeZone });
+  const base = new Date(`${today}T12:00:00Z`);
+  return Array.from({ length: 8 }, (_, i) => {
+    const date = new Date(base);
+    date.setUTCDate(base.getUTCDate() + i);
+    return date.toISOString().slice(0, 10);
+  });
+}
 
-    days.push({
+// Day picker entries for the server's date window (YYYY-MM-DD strings).
+// Dates are labelled at noon UTC so the visitor's own zone can't shift them.
+function buildDays(dateStrs) {
+  return dateStrs.map((dateStr, i) => {
+    const date = new Date(`${dateStr}T12:00:00Z`);
+    return {
       date: date,
       dateStr: dateStr,
       label:
@@ -335,104 +298,48 @@ function getNext8Days() {
           ? "Today"
           : i === 1
             ? "Tomorrow"
-            : date.toLocaleDateString("en-US", { weekday: "short" }),
+            : date.toLocaleDateString("en-US", {
+                timeZone: "UTC",
+                weekday: "short",
+              }),
       fullLabel: date.toLocaleDateString("en-US", {
+        timeZone: "UTC",
         weekday: "short",
         month: "short",
         day: "numeric",
       }),
-    });
-  }
-  return days;
+    };
+  });
 }
 
-// HSL Hours Display Component - clean 7-day view
-function HslHoursDisplay({ selectedDate }) {
-  const days = [];
-  const today = new Date();
-
-  for (let i = 0; i < 7; i++) {
-    const date = new Date(today);
-    date.setDate(today.getDate() + i);
-
-    // Use local date, not UTC
-    const year = date.getFullYear();
-    const month = String(date.getMonth() + 1).padStart(2, "0");
-    const day = String(date.getDate()).padStart(2, "0");
-    const dateStr = `${year}-${month}-${day}`;
-
-    const hours = getHslHours(dateStr);
-    const isSelected = dateStr === selectedDate;
-    const dayName =
-      i === 0
-        ? "Today"
-        : date.toLocaleDateString("en-US", { weekday: "short" });
-
-    days.push({ dateStr, dayName, hours, isSelected, dayNum: date.getDate() });
-  }
-
+function DatePicker({ selectedDate, onDateChange, days, dayExceptions }) {
   return (
-    <div className="bg-slate-700/30 rounded-lg p-3 mb-4">
-      <p className="text-xs text-slate-400 mb-2 font-medium">
-        HSL Hours This Week
-      </p>
-      <div className="grid grid-cols-7 gap-1">
-        {days.map((day) => (
-          <div
+    <div className="flex gap-2 overflow-x-auto pb-2">
+      {days.map((day) => {
+        const exception = dayExceptions[day.dateStr];
+        return (
+          <button
             key={day.dateStr}
-            className={`text-center p-2 rounded-md transition-all ${
-              day.isSelected
-                ? "bg-indigo-600/40 ring-1 ring-indigo-500"
-                : "bg-slate-800/50"
+            onClick={() => onDateChange(day.dateStr)}
+            title={exception?.summary}
+            className={`flex-shrink-0 px-4 py-2 rounded-lg text-sm font-medium transition-all ${
+              selectedDate === day.dateStr
+                ? "bg-indigo-600 text-white"
+                : "bg-slate-800 text-slate-300 hover:bg-slate-700"
             }`}
           >
-            <div
-              className={`text-xs font-medium ${day.isSelected ? "text-indigo-300" : "text-slate-400"}`}
-            >
-              {day.dayName}
-            </div>
-            <div
-              className={`text-[10px] mt-1 ${day.isSelected ? "text-slate-200" : "text-slate-500"}`}
-            >
-              {day.hours.open}
-            </div>
-            <div
-              className={`text-[10px] ${day.isSelected ? "text-slate-200" : "text-slate-500"}`}
-            >
-              {day.hours.close}
-            </div>
-            {day.hours.note && (
+            <div>{day.label}</div>
+            <div className="text-xs opacity-70">{day.date.getDate()}</div>
+            {exception && (
               <div
-                className="text-[9px] text-amber-400 mt-0.5 truncate"
-                title={day.hours.note}
+                className={`text-[10px] mt-0.5 ${exception.allClosed ? "text-slate-400" : "text-amber-400"}`}
               >
-                {day.hours.note}
+                {exception.allClosed ? "Closed" : "Reduced"}
               </div>
             )}
-          </div>
-        ))}
-      </div>
-    </div>
-  );
-}
-
-function DatePicker({ selectedDate, onDateChange, days }) {
-  return (
-    <div className="flex gap-2 overflow-x-auto pb-2">
-      {days.map((day) => (
-        <button
-          key={day.dateStr}
-          onClick={() => onDateChange(day.dateStr)}
-          className={`flex-shrink-0 px-4 py-2 rounded-lg text-sm font-medium transition-all ${
-            selectedDate === day.dateStr
-              ? "bg-indigo-600 text-white"
-              : "bg-slate-800 text-slate-300 hover:bg-slate-700"
-          }`}
-        >
-          <div>{day.label}</div>
-          <div className="text-xs opacity-70">{day.date.getDate()}</div>
-        </button>
-      ))}
+          </button>
+        );
+      })}
     </div>
   );
 }
@@ -557,10 +464,10 @@ function DurationFilter({ duration, onDurationChange, onClear }) {
   );
 }
 
-function LibraryFilter({ selectedLibraries, onToggle }) {
+function LibraryFilter({ libraries, selectedLibraries, onToggle }) {
   return (
     <div className="flex flex-wrap items-center gap-2">
-      {LIBRARY_OPTIONS.map((lib) => {
+      {libraries.map((lib) => {
         const isSelected = selectedLibraries.includes(lib.id);
         return (
           <button
@@ -572,16 +479,97 @@ function LibraryFilter({ selectedLibraries, onToggle }) {
                 : "bg-slate-800/50 border-slate-700 text-slate-400 hover:border-slate-600 hover:text-slate-300"
             }`}
           >
-            <span className="text-base">{lib.icon}</span>
-            <span className="text-sm font-medium">{lib.name}</span>
+            <span className="text-base">{lib.icon || "🏛️"}</span>
+            <span className="text-sm font-medium">
+              {lib.shortName || lib.name}
+            </span>
+            {isSelected && <span className="text-indigo-400 text-xs">✓</span>}
+          </button>
+        );
+      })}
+    </div>
+  );
+}
+
+function RoomFeatureFilter({
+  capacity,
+  amenities,
+  availableAmenities,
+  onCapacityChange,
+  onToggleAmenity,
+  onClear,
+}) {
+  return (
+    <div className="flex flex-wrap items-center gap-3">
+      <div className="flex items-center gap-2">
+        <label className="text-sm text-slate-400">Group size:</label>
+        <select
+          value={capacity ?? ""}
+          onChange={(e) =>
+            onCapacityChange(e.target.value ? parseInt(e.target.value) : null)
+          }
+          className="bg-slate-800 border border-slate-700 rounded-lg px-3 py-2 text-sm text-white focus:outline-none focus:border-indigo-500"
+        >
+          <option value="">Any</option>
+          {GROUP_SIZE_OPTIONS.map((size) => (
+            <option key={size} value={size}>
+              {size}+ people
+            </option>
+          ))}
+        </select>
+      </div>
+
+      {availableAmenities.map((amenity) => {
+        const isSelected = amenities.includes(amenity);
+        return (
+          <button
+            key={amenity}
+            onClick={() => onToggleAmenity(amenity)}
+            className={`flex items-center gap-1 px-3 py-2 rounded-lg border text-sm transition-all ${
+              isSelected
+                ? "bg-indigo-600/20 border-indigo-500 text-white"
+                : "bg-slate-800/50 border-slate-700 text-slate-400 hover:border-slate-600 hover:text-slate-300"
+            }`}
+          >
+            {AMENITY_ICONS[amenity] && <span>{AMENITY_ICONS[amenity]}</span>}
+            <span>{AMENITY_LABELS[amenity] || amenity}</span>
             {isSelected && <span className="text-indigo-400 text-xs">✓</span>}
           </button>
         );
       })}
+
+      {(capacity !== null || amenities.length > 0) && (
+        <button
+          onClick={onClear}
+          className="text-sm text-slate-400 hover:text-white px-2 py-1"
+        >
+          Clear
+        </button>
+      )}
     </div>
   );
 }
 
+// Save one free block as an .ics file the visitor can open in their calendar
+function downloadBlockIcs({ library, room, date, start, end }) {
+  const ics = buildCalendar([
+    buildFreeBlockEvent(
+      { library, room, date, start, end },
+      { timeZone: BOOT_TIME_ZONE },
+    ),
+  ]);
+  const url = URL.createObjectURL(new Blob([ics], { type: "text/calendar" }));
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = `${library.id}-${room.name}-${date}.ics`;
+  // Firefox only downloads from links in the document, and may not have
+  // read the blob yet when click() returns, so keep the URL alive a while
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 60 * 1000);
+}
+
 function TimeSlotGrid({
   slots,
   currentTime,
@@ -590,6 +578,8 @@ function TimeSlotGrid({
   timeFilter,
   durationFilter,
   room,
+  library,
+  selectedDate,
 }) {
   if (isClosed) {
     return <p className="text-sm text-slate-500 italic">Closed</p>;
@@ -603,6 +593,20 @@ function TimeSlotGrid({
 
   const currentMinutes = currentTime.hour * 60 + currentTime.minute;
 
+  // Past slots (today only) and the time filter, for isSlotInWindow()
+  const slotWindow = {
+    from: timeFilter.start,
+    to: timeFilter.end,
+    afterMinutes: isToday ? currentMinutes : null,
+  };
+
+  // A deep link to reserve this room from a slot, if the library has a
+  // bookingUrlTemplate (the library-wide page is linked from its header)
+  const bookingUrlAt = (start) =>
+    library
+      ? getRoomBookingUrl(library, { room, date: selectedDate, start })
+      : null;
+
   // If duration filter is active, show only consecutive free blocks
   if (durationFilter !== null && room) {
     const blocks = getConsecutiveFreeBlocks(
@@ -625,16 +629,12 @@ function TimeSlotGrid({
         {blocks.map((block, blockIdx) => {
           const startTime = block[0].time;
           const endSlot = block[block.length - 1];
-          const endMinutes = parseTimeToMinutes(endSlot.time) + 30;
-          const endHour = Math.floor(endMinutes / 60);
-          const endMin = endMinutes % 60;
-          const endPeriod = endHour >= 12 ? "pm" : "am";
-          const endHourDisplay =
-            endHour > 12 ? endHour - 12 : endHour === 0 ? 12 : endHour;
-          const endTime = `${endHourDisplay}:${endMin.toString().padStart(2, "0")}${endPeriod}`;
-          const duration = block.length * 30;
+          const endMinutes = slotMinutesOf(endSlot) + SLOT_MINUTES;
+          const endTime = formatMinutes(endMinutes);
+          const duration = block.length * SLOT_MINUTES;
           const durationStr =
             duration >= 60 ? `${duration / 60}h` : `${duration}min`;
+          const bookingUrl = bookingUrlAt(slotMinutesOf(block[0]));
 
           return (
             <div
@@ -645,9 +645,39 @@ function TimeSlotGrid({
                 <span className="text-emerald-400 font-medium">
                   {formatTimeDisplay(startTime)} - {formatTimeDisplay(endTime)}
                 </span>
-                <span className="text-xs text-emerald-300 bg-emerald-600/30 px-2 py-0.5 rounded">
-                  {durationStr}
-                </span>
+                <div className="flex items-center gap-2">
+                  {library && (
+                    <button
+                      onClick={() =>
+                        downloadBlockIcs({
+                          library,
+                          room,
+                          date: selectedDate,
+                          start: slotMinutesOf(block[0]),
+                          end: endMinutes,
+                        })
+                      }
+                      className="text-xs text-emerald-300 hover:text-white"
+                      title="Add to calendar (.ics)"
+                    >
+                      📅 Add to calendar
+                    </button>
+                  )}
+                  {bookingUrl && (
+                    <a
+                      href={bookingUrl}
+                      target="_blank"
+                      rel="noopener noreferrer"
+                      className="text-xs text-indigo-300 hover:text-white"
+                      title={`Reserve from ${formatTimeDisplay(startTime)}`}
+                    >
+                      Book →
+                    </a>
+                  )}
+                  <span className="text-xs text-emerald-300 bg-emerald-600/30 px-2 py-0.5 rounded">
+                    {durationStr}
+                  </span>
+                </div>
               </div>
               <div className="flex flex-wrap gap-1 mt-2">
                 {block.map((slot, idx) => (
@@ -668,25 +698,10 @@ function TimeSlotGrid({
 
   // Normal display - filter slots based on time
   const filteredSlots = slots.filter((slot) => {
-    const slotMinutes = parseTimeToMinutes(slot.time);
+    const slotMinutes = slotMinutesOf(slot);
     if (slotMinutes === null) return true;
-
-    const slotEndMinutes = slotMinutes + 30;
-
-    // Filter out past slots for today
-    if (isToday && slotEndMinutes <= currentMinutes) {
-      return false;
-    }
-
-    // If time filter is set, only show slots in that range
-    if (timeFilter.start !== null && slotMinutes < timeFilter.start) {
-      return false;
-    }
-    if (timeFilter.end !== null && slotMinutes >= timeFilter.end) {
-      return false;
-    }
-
-    return true;
+    // Hide past slots for today; with a time filter, only show that range
+    return isSlotInWindow(slotMinutes, slotWindow);
   });
 
   if (filteredSlots.length === 0) {
@@ -705,30 +720,44 @@ function TimeSlotGrid({
   }
 
   // Check if a slot is in the highlighted range
-  const isInFilterRange = (slotTime) => {
+  const isInFilterRange = (slot) => {
     if (timeFilter.start === null || timeFilter.end === null) return false;
-    const slotMinutes = parseTimeToMinutes(slotTime);
-    return (
-      slotMinutes !== null &&
-      slotMinutes >= timeFilter.start &&
-      slotMinutes < timeFilter.end
-    );
+    return isSlotInWindow(slotMinutesOf(slot), {
+      from: timeFilter.start,
+      to: timeFilter.end,
+    });
   };
 
   return (
     <div className="flex flex-wrap gap-1">
       {filteredSlots.map((slot, idx) => {
-        const inRange = isInFilterRange(slot.time);
-        return (
+        const inRange = isInFilterRange(slot);
+        const className = `px-2 py-1 text-xs rounded ${
+          slot.available
+            ? inRange
+              ? "bg-emerald-500 text-white ring-2 ring-emerald-300"
+              : "bg-emerald-600 text-white"
+            : "bg-slate-700 text-slate-500"
+        }`;
+        // Free slots deep-link to a reservation at that start time, if any
+        const bookingUrl = slot.available
+          ? bookingUrlAt(slotMinutesOf(slot))
+          : null;
+        return bookingUrl ? (
+          <a
+            key={idx}
+            href={bookingUrl}
+            target="_blank"
+            rel="noopener noreferrer"
+            className={`${className} hover:bg-emerald-500`}
+            title="Available - click to book"
+          >
+            {formatTimeDisplay(slot.time)}
+          </a>
+        ) : (
           <div
             key={idx}
-            className={`px-2 py-1 text-xs rounded ${
-              slot.available
-                ? inRange
-                  ? "bg-emerald-500 text-white ring-2 ring-emerald-300"
-                  : "bg-emerald-600 text-white"
-                : "bg-slate-700 text-slate-500"
-            }`}
+            className={className}
             title={slot.available ? "Available" : "Booked"}
           >
             {formatTimeDisplay(slot.time)}
@@ -739,50 +768,204 @@ function TimeSlotGrid({
   );
 }
 
+// ------------------------------
+// Web Push saved searches ("Notify me")
+// ------------------------------
+
+const PUSH_SUPPORTED =
+  typeof window !== "undefined" &&
+  "serviceWorker" in navigator &&
+  "PushManager" in window &&
+  "Notification" in window;
+
+// search key -> watch id, so buttons remember what this browser subscribed to
+const SAVED_SEARCHES_KEY = "librarySpot.savedSearches";
+
+function readSavedSearches() {
+  try {
+    return JSON.parse(localStorage.getItem(SAVED_SEARCHES_KEY)) || {};
+  } catch {
+    return {};
+  }
+}
+
+function writeSavedSearches(saved) {
+  localStorage.setItem(SAVED_SEARCHES_KEY, JSON.stringify(saved));
+}
+
+// Saved searches are { id, token }; older ones are a bare watch id
+function getSavedWatch(searchKey) {
+  const entry = readSavedSearches()[searchKey];
+  if (!entry) return null;
+  return typeof entry === "string" ? { id: entry, token: null } : entry;
+}
+
+// VAPID keys are URL-safe base64; PushManager wants raw bytes
+function urlBase64ToUint8Array(base64String) {
+  const padding = "=".repeat((4 - (base64String.length % 4)) % 4);
+  const base64 = (base64String + padding).replace(/-/g, "+").replace(/_/g, "/");
+  return Uint8Array.from(atob(base64), (c) => c.charCodeAt(0));
+}
+
+async function getPushSubscription() {
+  const permission = await Notification.requestPermission();
+  if (permission !== "granted") throw new Error("Notifications are blocked");
+
+  await navigator.serviceWorker.register("/sw.js");
+  const registration = await navigator.serviceWorker.ready;
+  const existing = await registration.pushManager.getSubscription();
+  if (existing) return existing;
+
+  const res = await fetch(apiUrl("/api/push/vapid-public-key"));
+  if (!res.ok) throw new Error(`HTTP ${res.status}`);
+  const { publicKey } = await res.json();
+
+  return registration.pushManager.subscribe({
+    userVisibleOnly: true,
+    applicationServerKey: urlBase64ToUint8Array(publicKey),
+  });
+}
+
+// This browser's push subscription endpoint, without asking for permission.
+// getRegistration() rather than `ready`, which never settles once the
+// worker has been unregistered.
+async function getPushEndpoint() {
+  const registration = await navigator.serviceWorker?.getRegistration();
+  if (!registration) return null;
+  const subscription = await registration.pushManager.getSubscription();
+  return subscription?.endpoint ?? null;
+}
+
+// Saved search in the shape the server's watches use (from/to/minDuration in minutes)
+function buildSavedSearch({
+  libraries,
+  rooms = [],
+  date,
+  timeFilter,
+  durationFilter,
+  defaultDuration,
+}) {
+  const { start, end } = timeFilter;
+  return {
+    libraries,
+    rooms,
+    date,
+    from: start,
+    to: start !== null ? end : null,
+    minDuration:
+      durationFilter ??
+      (start !== null && end !== null ? end - start : defaultDuration),
+  };
+}
+
+function NotifyButton({ search, label = "Notify me", className = "" }) {
+  const searchKey = JSON.stringify(search);
+  const [watch, setWatch] = useState(() => getSavedWatch(searchKey));
+  const watchId = watch?.id || null;
+  const [status, setStatus] = useState("idle"); // "idle" | "working" | "error"
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    setWatch(getSavedWatch(searchKey));
+    setStatus("idle");
+    setError(null);
+  }, [searchKey]);
+
+  if (!PUSH_SUPPORTED) return null;
+
+  const toggle = async () => {
+    setStatus("working");
+    setError(null);
+    try {
+      const saved = readSavedSearches();
+      if (watchId) {
+        // Prove it's ours: the token from subscribing, or (saved before
+        // tokens) this browser's push subscription
+        const proof = watch.token
+          ? { token: watch.token }
+          : { endpoint: await getPushEndpoint() };
+        const res = await fetch(apiUrl(`/api/watches/${watchId}`), {
+          method: "DELETE",
+          headers: { "Content-Type": "application/json" },
+          body: JSON.stringify(proof),
+        });
+        if (!res.ok && res.status !== 404)
+          throw new Error(`HTTP ${res.status}`);
+        delete saved[searchKey];
+        setWatch(null);
+      } else {
+        const subscription = await getPushSubscription();
+        const res = await fetch(apiUrl("/api/push/subscribe"), {
+          method: "POST",
+          headers: { "Content-Type": "application/json" },
+          body: JSON.stringify({ subscription, search }),
+        });
+        const body = await res.json().catch(() => ({}));
+        if (!res.ok) throw new Error(body.error || `HTTP ${res.status}`);
+        saved[searchKey] = { id: body.id, token: body.token };
+        setWatch(saved[searchKey]);
+      }
+      writeSavedSearches(saved);
+      setStatus("idle");
+    } catch (err) {
+      setError(err.message);
+      setStatus("error");
+    }
+  };
+
+  return (
+    <button
+      onClick={toggle}
+      disabled={status === "working"}
+      title={
+        error
+          ? `Couldn't update notification: ${error}`
+          : watchId
+            ? "You'll get a notification when this opens up. Click to stop."
+            : "Get a browser notification when this opens up"
+      }
+      className={`text-xs px-2 py-1 rounded-md border transition-all disabled:opacity-50 ${
+        watchId
+          ? "bg-indigo-600/20 border-indigo-500 text-indigo-300"
+          : status === "error"
+            ? "border-red-500/50 text-red-400"
+            : "border-slate-600 text-slate-400 hover:text-white hover:border-slate-500"
+      } ${className}`}
+    >
+      {status === "working"
+        ? "…"
+        : watchId
+          ? "🔔 Notifying"
+          : status === "error"
+            ? "⚠️ Retry"
+            : `🔕 ${label}`}
+    </button>
+  );
+}
+
 function RoomCard({
   room,
+  library,
+  selectedDate,
   currentTime,
   isToday,
   isClosed,
   timeFilter,
   durationFilter,
 }) {
-  const parseTime = (timeStr) => {
-    const match = timeStr.match(/^(\d{1,2}):(\d{2})([ap]m)$/i);
-    if (!match) return null;
-    let [, hourStr, minStr, period] = match;
-    let hour = parseInt(hourStr);
-    const minute = parseInt(minStr);
-    if (period.toLowerCase() === "pm" && hour !== 12) hour += 12;
-    if (period.toLowerCase() === "am" && hour === 12) hour = 0;
-    return { hour, minute, total: hour * 60 + minute };
-  };
-
   const currentMinutes = currentTime.hour * 60 + currentTime.minute;
 
-  // Filter slots based on time and time filter
-  const relevantSlots =
-    room.slots?.filter((slot) => {
-      const parsed = parseTime(slot.time);
-      if (!parsed) return false;
-
-      const slotEndMinutes = parsed.total + 30;
-
-      // Filter out past slots for today
-      if (isToday && slotEndMinutes <= currentMinutes) {
-        return false;
-      }
-
-      // Apply time filter
-      if (timeFilter.start !== null && parsed.total < timeFilter.start) {
-        return false;
-      }
-      if (timeFilter.end !== null && parsed.total >= timeFilter.end) {
-        return false;
-      }
+  // Past slots (today only) and the time filter, for isSlotInWindow()
+  const slotWindow = {
+    from: timeFilter.start,
+    to: timeFilter.end,
+    afterMinutes: isToday ? currentMinutes : null,
+  };
 
-      return true;
-    }) || [];
+  const relevantSlots =
+    room.slots?.filter((slot) =>
+      isSlotInWindow(slotMinutesOf(slot), slotWindow),
+    ) || [];
 
   const availableCount = isClosed
     ? 0
@@ -797,13 +980,27 @@ function RoomCard({
       ? getConsecutiveFreeBlocks(room, durationFilter, currentMinutes, isToday)
       : [];
 
+  // Deep link to reserve this room at the next free slot, if the library has one
+  const bookingUrl = isClosed
+    ? null
+    : getRoomBookingUrl(library, {
+        room,
+        date: selectedDate,
+        start: nextAvailable ? slotMinutesOf(nextAvailable) : undefined,
+      });
+
   return (
     <div className="bg-slate-800 rounded-lg p-4 border border-slate-700">
       <div className="flex justify-between items-start mb-3">
         <div>
           <h3 className="font-semibold text-white">Room {room.name}</h3>
           <p className="text-sm text-slate-400">
-            Floor {room.floor} • {room.capacity} people
+            {[
+              room.floor != null && `Floor ${room.floor}`,
+              room.capacity != null && `${room.capacity} people`,
+            ]
+              .filter(Boolean)
+              .join(" • ")}
           </p>
         </div>
         <div className="text-right">
@@ -847,6 +1044,27 @@ function RoomCard({
             {AMENITY_ICONS[a] || a}
           </span>
         ))}
+        <NotifyButton
+          className="ml-auto"
+          search={buildSavedSearch({
+            libraries: [library.id],
+            rooms: [room.name],
+            date: selectedDate,
+            timeFilter,
+            durationFilter,
+            defaultDuration: 30,
+          })}
+        />
+        {bookingUrl && (
+          <a
+            href={bookingUrl}
+            target="_blank"
+            rel="noopener noreferrer"
+            className="text-xs px-2 py-1 rounded-md bg-indigo-600 hover:bg-indigo-500 text-white transition-all"
+          >
+            Book →
+          </a>
+        )}
       </div>
 
       <TimeSlotGrid
@@ -857,6 +1075,8 @@ function RoomCard({
         timeFilter={timeFilter}
         durationFilter={durationFilter}
         room={room}
+        library={library}
+        selectedDate={selectedDate}
       />
     </div>
   );
@@ -870,52 +1090,27 @@ function LibrarySection({
   isToday,
   timeFilter,
   durationFilter,
+  roomFilter,
   selectedDate,
 }) {
-  const isHSL = library.id === "hsl";
-
-  const parseTime = (timeStr) => {
-    const match = timeStr.match(/^(\d{1,2}):(\d{2})([ap]m)$/i);
-    if (!match) return null;
-    let [, hourStr, minStr, period] = match;
-    let hour = parseInt(hourStr);
-    const minute = parseInt(minStr);
-    if (period.toLowerCase() === "pm" && hour !== 12) hour += 12;
-    if (period.toLowerCase() === "am" && hour === 12) hour = 0;
-    return { hour, minute, total: hour * 60 + minute };
-  };
-
   const currentMinutes = currentTime.hour * 60 + currentTime.minute;
+
+  // Past slots (today only) and the time filter, for isSlotInWindow()
+  const slotWindow = {
+    from: timeFilter.start,
+    to: timeFilter.end,
+    afterMinutes: isToday ? currentMinutes : null,
+  };
   const currentHour = currentTime.hour + currentTime.minute / 60;
 
-  // Get library hours - prefer API hours over defaults
-  let hours = LIBRARY_HOURS[library.id] || { open: 0, close: 24 };
+  // Reservation hours drive filtering/availability logic
+  const hours = getReservationHours(library);
   let buildingHoursStr = null;
 
-  // Use hours from API if available (dynamically fetched from LibCal)
-  // API now returns { building: {...}, reservation: {...} }
-  if (library.hours && !isHSL) {
-    const reservationHours = library.hours.reservation;
+  // Building hours from the API are only for display
+  // API returns { building: {...}, reservation: {...} }
+  if (library.hours) {
     const buildingHours = library.hours.building;
-
-    // Use reservation hours for filtering/availability logic
-    if (reservationHours) {
-      if (reservationHours.closed) {
-        hours = { ...hours, open: 0, close: 0, name: "Closed", closed: true };
-      } else if (
-        reservationHours.open !== null &&
-        reservationHours.close !== null
-      ) {
-        hours = {
-          ...hours,
-          open: reservationHours.open,
-          close: reservationHours.close,
-          name: `${reservationHours.openStr || ""} - ${reservationHours.closeStr || ""}`,
-        };
-      }
-    }
-
-    // Get building hours for display
     if (buildingHours) {
       if (buildingHours.closed) {
         buildingHoursStr = "Closed";
@@ -933,32 +1128,19 @@ function LibrarySection({
     }
   }
 
-  // For HSL, get the actual hours for the selected date
-  if (isHSL) {
-    const hslDayHours = getHslHours(selectedDate);
-    hours = {
-      ...hours,
-      open: parseHslTime(hslDayHours.open),
-      close: parseHslTime(hslDayHours.close),
-      name: `${hslDayHours.open} - ${hslDayHours.close}`,
-      note: hslDayHours.note,
-    };
-  }
-
-  // Check if library is closed for the day
-  const isClosedForDay = hours.closed === true;
-
-  // Check if library is currently closed (only matters for today)
-  // Only consider "closed" if we're PAST closing time, not before opening
-  // Before opening, we still want to show future availability
-  const isPastClosing =
-    isToday && (isClosedForDay || currentHour >= hours.close);
-  const isBeforeOpening =
-    isToday && !isClosedForDay && currentHour < hours.open;
+  const { isClosedForDay, isPastClosing, isBeforeOpening } = getOpenStatus(
+    hours,
+    isToday,
+    currentHour,
+  );
+  const hoursException = getHoursException(library);
 
   // Filter rooms based on filter criteria
   const filteredRooms =
     library.rooms?.filter((room) => {
+      // Group size and required amenities
+      if (!roomMatchesFilters(room, roomFilter)) return false;
+
       // If time range filter is set, check if room has entire block free
       if (timeFilter.start !== null && timeFilter.end !== null) {
         if (
@@ -991,29 +1173,11 @@ function LibrarySection({
     ? 0
     : filteredRooms.reduce((acc, room) => {
         const slots =
-          room.slots?.filter((s) => {
-            const parsed = parseTime(s.time);
-            if (!parsed) return false;
-
-            const slotEndMinutes = parsed.total + 30;
-
-            // Filter out past slots for today
-            if (isToday && slotEndMinutes <= currentMinutes) {
-              return false;
-            }
-
-            // Apply time filter for display
-            if (timeFilter.start !== null && parsed.total < timeFilter.start) {
-              return false;
-            }
-            if (timeFilter.end !== null && parsed.total >= timeFilter.end) {
-              return false;
-            }
-
-            return true;
-          }) || [];
-        return acc + slots.filter((s) => s.available).length;
-      }, 0);
+          room.slots?.filter((s) =>
+            isSlotInWindow(slotMinutesOf(s), slotWindow),
+          ) || [];
+        return acc + slots.filter((s) => s.available).length;
+      }, 0);
 
   // Find the first available slot time across all rooms
   const firstAvailableSlot = (() => {
@@ -1023,21 +1187,12 @@ function LibrarySection({
     filteredRooms.forEach((room) => {
       room.slots?.forEach((slot) => {
         if (!slot.available) return;
-        const parsed = parseTime(slot.time);
-        if (!parsed) return;
-
-        const slotEndMinutes = parsed.total + 30;
-
-        // Skip past slots for today
-        if (isToday && slotEndMinutes <= currentMinutes) return;
+        const slotMinutes = slotMinutesOf(slot);
+        // Skip past slots for today and slots outside the time filter
+        if (!isSlotInWindow(slotMinutes, slotWindow)) return;
 
-        // Apply time filter
-        if (timeFilter.start !== null && parsed.total < timeFilter.start)
-          return;
-        if (timeFilter.end !== null && parsed.total >= timeFilter.end) return;
-
-        if (earliest === null || parsed.total < earliest.total) {
-          earliest = { ...parsed, time: slot.time };
+        if (earliest === null || slotMinutes < earliest.total) {
+          earliest = { total: slotMinutes, time: slot.time };
         }
       });
     });
@@ -1074,7 +1229,7 @@ function LibrarySection({
       >
         <div className="flex items-center gap-4">
           <div className="w-12 h-12 rounded-lg bg-slate-700 flex items-center justify-center text-2xl">
-            {LIBRARY_ICONS[library.id] || "🏛️"}
+            {library.icon || "🏛️"}
           </div>
           <div className="text-left">
             <div className="flex items-center gap-2">
@@ -1089,11 +1244,27 @@ function LibrarySection({
               <span className={`px-2 py-0.5 text-xs rounded ${badge.color}`}>
                 {badge.text}
               </span>
+              {(hoursException?.note || hoursException?.reduced) && (
+                <span
+                  className="px-2 py-0.5 bg-amber-600/20 text-amber-400 text-xs rounded"
+                  title={hoursException.note || undefined}
+                >
+                  {hoursException.note || "Reduced hours"}
+                </span>
+              )}
               {library.isLive && badge.text === "Open" && (
                 <span className="px-2 py-0.5 bg-emerald-600/20 text-emerald-400 text-xs rounded">
                   Live
                 </span>
               )}
+              {library.stale && (
+                <span
+                  className="px-2 py-0.5 bg-amber-600/20 text-amber-400 text-xs rounded"
+                  title={library.staleReason || "Live data unavailable"}
+                >
+                  Data from {formatAge(library.scrapedAt)}
+                </span>
+              )}
             </div>
             {library.fullName && (
               <p className="text-xs text-slate-500">{library.fullName}</p>
@@ -1144,44 +1315,35 @@ function LibrarySection({
 
       {expanded && (
         <div className="mt-4 pl-4">
-          {/* Show HSL weekly hours for HSL library */}
-          {isHSL && <HslHoursDisplay selectedDate={selectedDate} />}
+          {/* Operating hours, with LibCal's note for the day (e.g. a holiday) */}
+          <div className="text-xs text-slate-500 mb-3">
+            {buildingHoursStr && <p>Building Hours: {buildingHoursStr}</p>}
+            {hours.name && <p>Reservation Hours: {hours.name}</p>}
+            {hours.note && <p className="text-amber-400/80">{hours.note}</p>}
+          </div>
 
-          {/* HSL disclaimer */}
-          {isHSL && (
+          {/* Upstream failed: we're showing the last successful fetch */}
+          {library.stale && (
             <div className="bg-amber-600/10 border border-amber-600/30 rounded-lg p-3 mb-3 text-xs text-amber-400/80">
-              <p>
-                <strong>Note:</strong> HSL data updates every 60 minutes. For real-time availability, visit{" "}
-                <a 
-                  href="https://hsl-osu.libcal.com/spaces?lid=694&gid=24674" 
-                  target="_blank" 
-                  rel="noopener noreferrer"
-                  className="underline hover:text-amber-300"
-                >
-                  HSL's booking page
-                </a>
-                . Want faster updates? Email{" "}
-                <a 
-                  href="mailto:xinci@xinci.me" 
-                  className="underline hover:text-amber-300"
-                >
-                  xinci@xinci.me
-                </a>
-              </p>
-            </div>
-          )}
-
-          {/* Show operating hours for non-HSL */}
-          {!isHSL && (
-            <div className="text-xs text-slate-500 mb-3">
-              {buildingHoursStr && <p>Building Hours: {buildingHoursStr}</p>}
-              {hours.name && <p>Reservation Hours: {hours.name}</p>}
+              Live data is temporarily unavailable. Showing availability from{" "}
+              {formatAge(library.scrapedAt)} — some slots may have been booked
+              since.
             </div>
           )}
 
           {library.scrapedAt && (
             <p className="text-xs text-slate-500 mb-3">
               Last updated: {new Date(library.scrapedAt).toLocaleTimeString()}
+              {" · "}
+              <a
+                href={apiUrl(
+                  `/api/feeds/${library.id}.ics${durationFilter !== null ? `?minDuration=${durationFilter}` : ""}`,
+                )}
+                className="underline hover:text-slate-300"
+                title="Subscribe to free blocks over the next 8 days"
+              >
+                Calendar feed
+              </a>
             </p>
           )}
 
@@ -1192,7 +1354,10 @@ function LibrarySection({
                 : "No room data available"}
             </p>
           ) : filteredRooms.length === 0 &&
-            (timeFilter.start !== null || durationFilter !== null) ? (
+            (timeFilter.start !== null ||
+              durationFilter !== null ||
+              roomFilter.minCapacity !== null ||
+              roomFilter.amenities.length > 0) ? (
             <p className="text-slate-500 italic mb-4">
               No rooms match the filter criteria
             </p>
@@ -1202,6 +1367,8 @@ function LibrarySection({
                 <RoomCard
                   key={idx}
                   room={room}
+                  library={library}
+                  selectedDate={selectedDate}
                   currentTime={currentTime}
                   isToday={isToday}
                   isClosed={isPastClosing || isClosedForDay}
@@ -1212,15 +1379,16 @@ function LibrarySection({
             </div>
           )}
 
-          {/* Only show booking button for HSL */}
-          {isHSL && library.bookingUrl && (
+          {library.bookingUrl && (
             <a
               href={library.bookingUrl}
               target="_blank"
               rel="noopener noreferrer"
               className="block mt-4 py-3 bg-indigo-600 hover:bg-indigo-500 text-white text-center rounded-lg transition-all"
             >
-              Book on LibCal →
+              {library.type === "osu-api"
+                ? "Book on OSU Room Reservation →"
+                : "Book on LibCal →"}
             </a>
           )}
         </div>
@@ -1229,28 +1397,753 @@ function LibrarySection({
   );
 }
 
+// ------------------------------
+// "Find me a room now" recommendations
+// ------------------------------
+
+// How long the visitor wants a room and which library they'd rather use
+const RECOMMEND_KEY = "librarySpot.recommend";
+const RECOMMEND_LIMIT = 3;
+
+function readRecommendSettings() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(RECOMMEND_KEY)) || {};
+    return {
+      duration: DURATION_OPTIONS.some((o) => o.value === saved.duration)
+        ? saved.duration
+        : 120,
+      homeLibrary:
+        typeof saved.homeLibrary === "string" ? saved.homeLibrary : null,
+    };
+  } catch {
+    return { duration: 120, homeLibrary: null };
+  }
+}
+
+function writeRecommendSettings(settings) {
+  try {
+    localStorage.setItem(RECOMMEND_KEY, JSON.stringify(settings));
+  } catch {
+    // Storage full or disabled; settings just won't persist
+  }
+}
+
+/**
+ * Today's best rooms for a stay of `duration` minutes: each room's soonest
+ * free block, ranked by start, then libraries that are open right now, then
+ * the home library, then the longest block
+ */
+function recommendRooms(
+  libraries,
+  { currentTime, duration, homeLibrary, roomFilter },
+) {
+  const currentMinutes = currentTime.hour * 60 + currentTime.minute;
+  const currentHour = currentTime.hour + currentTime.minute / 60;
+  const results = [];
+
+  libraries.forEach((library, libraryIndex) => {
+    const { isPastClosing, isBeforeOpening } = getOpenStatus(
+      getReservationHours(library),
+      true,
+      currentHour,
+    );
+    if (isPastClosing) return;
+
+    for (const room of library.rooms || []) {
+      if (!roomMatchesFilters(room, roomFilter)) continue;
+
+      const [block] = getConsecutiveFreeBlocks(
+        room,
+        duration,
+        currentMinutes,
+        true,
+      );
+      if (!block) continue;
+
+      const start = slotMinutesOf(block[0]);
+      results.push({
+        library,
+        room,
+        start,
+        end: slotMinutesOf(block[block.length - 1]) + SLOT_MINUTES,
+        isOpen: !isBeforeOpening,
+        isHome: library.id === homeLibrary,
+        libraryIndex,
+      });
+    }
+  });
+
+  return results
+    .sort(
+      (a, b) =>
+        a.start - b.start ||
+        b.isOpen - a.isOpen ||
+        b.isHome - a.isHome ||
+        b.end - b.start - (a.end - a.start) ||
+        a.libraryIndex - b.libraryIndex ||
+        a.room.name.localeCompare(b.room.name, undefined, { numeric: true }),
+    )
+    .slice(0, RECOMMEND_LIMIT);
+}
+
+function RecommendationPanel({
+  libraries,
+  libraryOptions,
+  date,
+  currentTime,
+  roomFilter,
+  onShowLibrary,
+}) {
+  const [settings, setSettings] = useState(readRecommendSettings);
+
+  useEffect(() => {
+    writeRecommendSettings(settings);
+  }, [settings]);
+
+  const recommendations = recommendRooms(libraries, {
+    currentTime,
+    duration: settings.duration,
+    homeLibrary: settings.homeLibrary,
+    roomFilter,
+  });
+  const currentMinutes = currentTime.hour * 60 + currentTime.minute;
+
+  return (
+    <div className="bg-slate-900 border border-slate-800 rounded-lg p-4 mb-6">
+      <div className="flex flex-wrap items-center gap-2 mb-3 text-sm">
+        <h2 className="font-semibold text-white mr-2">Find me a room now</h2>
+        <span className="text-slate-400">for</span>
+        <select
+          value={settings.duration}
+          onChange={(e) =>
+            setSettings((prev) => ({
+              ...prev,
+              duration: Number(e.target.value),
+            }))
+          }
+          className="bg-slate-800 text-white rounded px-2 py-1 border border-slate-700"
+        >
+          {DURATION_OPTIONS.map((opt) => (
+            <option key={opt.value} value={opt.value}>
+              {opt.label}
+            </option>
+          ))}
+        </select>
+        <span className="text-slate-400 ml-2">Home library</span>
+        <select
+          value={settings.homeLibrary ?? ""}
+          onChange={(e) =>
+            setSettings((prev) => ({
+              ...prev,
+              homeLibrary: e.target.value || null,
+            }))
+          }
+          className="bg-slate-800 text-white rounded px-2 py-1 border border-slate-700"
+        >
+          <option value="">None</option>
+          {libraryOptions.map((lib) => (
+            <option key={lib.id} value={lib.id}>
+              {lib.shortName || lib.name}
+            </option>
+          ))}
+        </select>
+      </div>
+
+      {recommendations.length === 0 ? (
+        <p className="text-sm text-slate-500 italic">
+          No room is free that long for the rest of today
+        </p>
+      ) : (
+        <div className="grid grid-cols-1 md:grid-cols-3 gap-3">
+          {recommendations.map((rec) => {
+            const duration = rec.end - rec.start;
+            const recBookingUrl = getRoomBookingUrl(rec.library, {
+              room: rec.room,
+              date,
+              start: rec.start,
+            });
+            return (
+              <div
+                key={`${rec.library.id}:${rec.room.name}`}
+                className="bg-slate-800 rounded-lg p-3 border border-slate-700"
+              >
+                <div className="flex items-center justify-between">
+                  <h3 className="font-semibold text-white">
+                    Room {rec.room.name}
+                  </h3>
+                  {rec.isHome && (
+                    <span className="text-xs text-indigo-300">★ Home</span>
+                  )}
+                </div>
+                <p className="text-sm text-slate-400">
+                  {rec.library.shortName || rec.library.name}
+                  {rec.room.capacity != null &&
+                    ` • ${rec.room.capacity} people`}
+                </p>
+                <p className="text-sm text-emerald-400 font-medium mt-1">
+                  {rec.start <= currentMinutes
+                    ? "Free now"
+                    : `Free at ${formatTimeDisplay(formatMinutes(rec.start))}`}{" "}
+                  until {formatTimeDisplay(formatMinutes(rec.end))}
+                  <span className="ml-2 text-xs text-emerald-300">
+                    {duration >= 60 ? `${duration / 60}h` : `${duration}min`}
+                  </span>
+                </p>
+                {recBookingUrl ? (
+                  <a
+                    href={recBookingUrl}
+                    target="_blank"
+                    rel="noopener noreferrer"
+                    className="block mt-2 text-sm text-indigo-400 hover:text-indigo-300"
+                  >
+                    Book →
+                  </a>
+                ) : (
+                  <button
+                    onClick={() => onShowLibrary(rec.library.id)}
+                    className="mt-2 text-sm text-indigo-400 hover:text-indigo-300"
+                  >
+                    Show in list →
+                  </button>
+                )}
+              </div>
+            );
+          })}
+        </div>
+      )}
+    </div>
+  );
+}
+
+const WEEKDAY_LABELS = ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"];
+const HEATMAP_HOURS = Array.from({ length: 17 }, (_, i) => i + 7); // 7am - 11pm
+
+// 1500 -> "1d 1h", 95 -> "1h 35m", 20 -> "20m"
+function formatLeadTime(minutes) {
+  if (minutes === null || minutes === undefined) return "—";
+  const sign = minutes < 0 ? "-" : "";
+  const abs = Math.abs(minutes);
+  const d = Math.floor(abs / 1440);
+  const h = Math.floor((abs % 1440) / 60);
+  const m = abs % 60;
+  if (d > 0) return `${sign}${d}d ${h}h`;
+  if (h > 0) return `${sign}${h}h ${m}m`;
+  return `${sign}${m}m`;
+}
+
+function formatHourLabel(h) {
+  const hour = h > 12 ? h - 12 : h === 0 ? 12 : h;
+  return `${hour}${h >= 12 ? "p" : "a"}`;
+}
+
+// Per-library booking history: weekday x hour heatmap, lead times, rooms that fill first
+function AnalyticsView({ libraries }) {
+  const [libraryId, setLibraryId] = useState(libraries[0]?.id || null);
+  const [analytics, setAnalytics] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (!libraryId && libraries[0]) setLibraryId(libraries[0].id);
+  }, [libraries, libraryId]);
+
+  useEffect(() => {
+    let cancelled = false;
+    setError(null);
+    fetch(apiUrl("/api/analytics"))
+      .then((res) =>
+        res.ok ? res.json() : Promise.reject(new Error(`HTTP ${res.status}`)),
+      )
+      .then((data) => {
+        if (!cancelled) setAnalytics(data);
+      })
+      .catch((e) => {
+        if (!cancelled) setError(e.message);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  if (error) {
+    return (
+      <p className="text-slate-500 italic">
+        Could not load analytics ({error})
+      </p>
+    );
+  }
+  if (!analytics) {
+    return <p className="text-slate-400">Loading booking history...</p>;
+  }
+
+  const stats = analytics.libraries.find((lib) => lib.id === libraryId);
+  const maxPerDay = Math.max(0.1, ...(stats?.heatmap.perDay.flat() || [0]));
+
+  return (
+    <div>
+      <div className="flex flex-wrap gap-2 mb-4">
+        {libraries.map((lib) => (
+          <button
+            key={lib.id}
+            onClick={() => setLibraryId(lib.id)}
+            className={`flex items-center gap-2 px-3 py-2 rounded-lg border transition-all ${
+              lib.id === libraryId
+                ? "bg-indigo-600/20 border-indigo-500 text-white"
+                : "bg-slate-800/50 border-slate-700 text-slate-400 hover:border-slate-600 hover:text-slate-300"
+            }`}
+          >
+            <span className="text-base">{lib.icon || "🏛️"}</span>
+            <span className="text-sm font-medium">
+              {lib.shortName || lib.name}
+            </span>
+          </button>
+        ))}
+      </div>
+
+      {!stats || stats.bookings === 0 ? (
+        <p className="text-slate-500 italic">
+          No bookings recorded yet. History builds up as the server watches
+          slots get booked.
+        </p>
+      ) : (
+        <>
+          <div className="grid grid-cols-2 gap-4 mb-6">
+            <div className="bg-slate-800 rounded-lg p-4 text-center">
+              <p className="text-2xl font-bold text-white">{stats.bookings}</p>
+              <p className="text-sm text-slate-400">
+                Bookings since{" "}
+                {new Date(analytics.since).toLocaleDateString("en-US", {
+                  month: "short",
+                  day: "numeric",
+                })}
+              </p>
+            </div>
+            <div className="bg-slate-800 rounded-lg p-4 text-center">
+              <p className="text-2xl font-bold text-white">
+                {formatLeadTime(stats.medianLeadMinutes)}
+              </p>
+              <p className="text-sm text-slate-400">Median booking lead time</p>
+            </div>
+          </div>
+
+          <p className="text-sm text-slate-400 mb-2">
+            Bookings per day by slot hour
+          </p>
+          <div className="overflow-x-auto mb-6">
+            <table className="text-[10px] text-slate-400 border-separate border-spacing-0.5">
+              <thead>
+                <tr>
+                  <th />
+                  {HEATMAP_HOURS.map((h) => (
+                    <th key={h} className="font-normal w-7">
+                      {formatHourLabel(h)}
+                    </th>
+                  ))}
+                  <th className="font-normal pl-2 text-left">Median lead</th>
+                </tr>
+              </thead>
+              <tbody>
+                {WEEKDAY_LABELS.map((label, weekday) => (
+                  <tr key={label}>
+                    <td className="pr-2 text-xs">{label}</td>
+                    {HEATMAP_HOURS.map((h) => {
+                      const value = stats.heatmap.perDay[weekday][h];
+                      return (
+                        <td
+                          key={h}
+                          className="h-6 rounded bg-indigo-500"
+                          style={{ opacity: 0.08 + 0.92 * (value / maxPerDay) }}
+                          title={`${label} ${formatHourLabel(h)}: ${value} bookings/day`}
+                        />
+                      );
+                    })}
+                    <td className="pl-2 text-xs whitespace-nowrap">
+                      {formatLeadTime(
+                        stats.medianLeadMinutesByWeekday[weekday],
+                      )}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+
+          <p className="text-sm text-slate-400 mb-2">Rooms that fill first</p>
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-2">
+            {stats.rooms.slice(0, 6).map((room, idx) => (
+              <div
+                key={room.name}
+                className="flex items-center justify-between bg-slate-800 rounded-lg px-4 py-2 text-sm"
+              >
+                <span className="text-white">
+                  {idx + 1}. Room {room.name}
+                </span>
+                <span className="text-slate-400">
+                  booked {formatLeadTime(room.medianLeadMinutes)} ahead ·{" "}
+                  {room.bookings} bookings
+                </span>
+              </div>
+            ))}
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
+
+// "7:30AM–11:30PM", "24 Hours", "Closed" (null when LibCal has nothing)
+function formatHoursRange(hours) {
+  if (!hours) return null;
+  if (hours.closed) return "Closed";
+  if (!hours.closeStr) return hours.openStr;
+  return `${hours.openStr}–${hours.closeStr}`;
+}
+
+// "2026-10" -> every date of that month, YYYY-MM-DD
+function getMonthDates(month) {
+  const [year, monthNum] = month.split("-").map(Number);
+  const count = new Date(Date.UTC(year, monthNum, 0)).getUTCDate();
+  return Array.from(
+    { length: count },
+    (_, i) => `${month}-${String(i + 1).padStart(2, "0")}`,
+  );
+}
+
+function shiftMonth(month, delta) {
+  const [year, monthNum] = month.split("-").map(Number);
+  const date = new Date(Date.UTC(year, monthNum - 1 + delta, 1));
+  return date.toISOString().slice(0, 7);
+}
+
+function HoursMonthGrid({ library, monthDates, today }) {
+  const byDate = new Map(library.days.map((day) => [day.date, day]));
+  const leadingBlanks = new Date(`${monthDates[0]}T12:00:00Z`).getUTCDay();
+
+  return (
+    <div className="grid grid-cols-7 gap-1">
+      {WEEKDAY_LABELS.map((label) => (
+        <div key={label} className="text-center text-xs text-slate-500">
+          {label}
+        </div>
+      ))}
+      {Array.from({ length: leadingBlanks }, (_, i) => (
+        <div key={`blank-${i}`} />
+      ))}
+      {monthDates.map((date) => {
+        const day = byDate.get(date);
+        const reservation = formatHoursRange(day?.reservation);
+        const building = formatHoursRange(day?.building);
+        const closed = day?.reservation?.closed || day?.building?.closed;
+        const note = day?.building?.note || day?.reservation?.note;
+
+        return (
+          <div
+            key={date}
+            className={`min-h-16 p-1.5 rounded-md text-[10px] ${
+              closed ? "bg-slate-800/30" : "bg-slate-800/70"
+            } ${date === today ? "ring-1 ring-indigo-500" : ""}`}
+            title={note || undefined}
+          >
+            <div
+              className={`text-xs font-medium ${date === today ? "text-indigo-300" : "text-slate-400"}`}
+            >
+              {Number(date.slice(8))}
+            </div>
+            {!day || (!reservation && !building) ? (
+              <div className="text-slate-600">—</div>
+            ) : closed && reservation === building ? (
+              <div className="text-slate-500">Closed</div>
+            ) : (
+              <>
+                {reservation && (
+                  <div
+                    className={
+                      day.reservation.closed
+                        ? "text-slate-500"
+                        : "text-emerald-400"
+                    }
+                  >
+                    {reservation}
+                  </div>
+                )}
+                {/* Building hours only when they differ from reservations */}
+                {building && building !== reservation && (
+                  <div className="text-slate-500">Bldg {building}</div>
+                )}
+              </>
+            )}
+            {note && <div className="text-amber-400 truncate">{note}</div>}
+          </div>
+        );
+      })}
+    </div>
+  );
+}
+
+// The server only has hours from ~3 months back to ~6 months ahead
+const HOURS_MONTHS_BACK = 2;
+const HOURS_MONTHS_AHEAD = 5;
+
+function HoursView({ libraries, today }) {
+  const [month, setMonth] = useState(() => today.slice(0, 7));
+  const firstMonth = shiftMonth(today.slice(0, 7), -HOURS_MONTHS_BACK);
+  const lastMonth = shiftMonth(today.slice(0, 7), HOURS_MONTHS_AHEAD);
+  const [hours, setHours] = useState(null);
+  const [error, setError] = useState(null);
+
+  const monthDates = useMemo(() => getMonthDates(month), [month]);
+
+  useEffect(() => {
+    let cancelled = false;
+    setHours(null);
+    setError(null);
+    const from = monthDates[0];
+    const to = monthDates[monthDates.length - 1];
+    fetch(apiUrl(`/api/hours?from=${from}&to=${to}`))
+      .then((res) =>
+        res.ok ? res.json() : Promise.reject(new Error(`HTTP ${res.status}`)),
+      )
+      .then((data) => {
+        if (!cancelled) setHours(data);
+      })
+      .catch((e) => {
+        if (!cancelled) setError(e.message);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [monthDates]);
+
+  const monthLabel = new Date(`${month}-01T12:00:00Z`).toLocaleDateString(
+    "en-US",
+    { month: "long", year: "numeric", timeZone: "UTC" },
+  );
+
+  return (
+    <div>
+      <div className="flex items-center gap-3 mb-4">
+        <button
+          onClick={() => setMonth((m) => shiftMonth(m, -1))}
+          disabled={month <= firstMonth}
+          className="px-3 py-1 rounded-lg bg-slate-800 text-slate-300 hover:bg-slate-700 disabled:opacity-50 disabled:cursor-not-allowed"
+        >
+          ←
+        </button>
+        <h2 className="font-semibold text-white w-40 text-center">
+          {monthLabel}
+        </h2>
+        <button
+          onClick={() => setMonth((m) => shiftMonth(m, 1))}
+          disabled={month >= lastMonth}
+          className="px-3 py-1 rounded-lg bg-slate-800 text-slate-300 hover:bg-slate-700 disabled:opacity-50 disabled:cursor-not-allowed"
+        >
+          →
+        </button>
+        <p className="text-xs text-slate-500 ml-2">
+          Reservation hours; building hours shown when they differ
+        </p>
+      </div>
+
+      {error ? (
+        <p className="text-slate-500 italic">Could not load hours ({error})</p>
+      ) : !hours ? (
+        <p className="text-slate-400">Loading hours...</p>
+      ) : (
+        hours.libraries.map((library) => {
+          const config = libraries.find((lib) => lib.id === library.id);
+          return (
+            <div key={library.id} className="mb-6">
+              <h3 className="flex items-center gap-2 font-semibold text-white mb-2">
+                <span>{config?.icon || "🏛️"}</span>
+                {config?.shortName || library.name}
+              </h3>
+              {library.source === "default" ? (
+                <p className="text-sm text-slate-500 italic">
+                  No LibCal hours for this library; usual reservation hours:{" "}
+                  {library.defaultHours?.label || "unknown"}
+                </p>
+              ) : (
+                <HoursMonthGrid
+                  library={library}
+                  monthDates={monthDates}
+                  today={today}
+                />
+              )}
+            </div>
+          );
+        })
+      )}
+    </div>
+  );
+}
+
+// Merge one /api/stream update into the per-date library cache
+function applyStreamUpdate(cache, { date, fetchedAt, stale, full, libraries }) {
+  const entry = cache[date];
+  let data = libraries;
+  if (!full && entry?.data) {
+    const changed = new Map(libraries.map((lib) => [lib.id, lib]));
+    data = entry.data.map((lib) => changed.get(lib.id) ?? lib);
+    for (const lib of libraries) {
+      if (!entry.data.some((l) => l.id === lib.id)) data.push(lib);
+    }
+  }
+  return { ...cache, [date]: { data, fetchedAt, stale } };
+}
+
+// Subscribe to /api/stream: applies per-date diffs to the cache and keeps
+// apiStatus in sync, reconnecting with backoff (resuming from the last event)
+function useLiveAvailability(setLibraryCache, setApiStatus) {
+  useEffect(() => {
+    if (typeof EventSource === "undefined") return;
+
+    let source = null;
+    let retryTimer = null;
+    let failures = 0;
+    let closed = false;
+    let lastEventId = BOOTSTRAP?.streamEventId ?? null;
+
+    function connect() {
+      const query = lastEventId
+        ? `?lastEventId=${encodeURIComponent(lastEventId)}`
+        : "";
+      source = new EventSource(apiUrl(`/api/stream${query}`));
+
+      source.addEventListener("hello", () => {
+        failures = 0;
+        setApiStatus("online");
+      });
+
+      source.addEventListener("update", (event) => {
+        if (event.lastEventId) lastEventId = event.lastEventId;
+        const update = JSON.parse(event.data);
+        setLibraryCache((prev) => applyStreamUpdate(prev, update));
+      });
+
+      // Take over from EventSource's own fixed-interval retry
+      source.onerror = () => {
+        source.close();
+        if (closed) return;
+        // One dropped connection (deploy, proxy timeout) isn't an outage
+        if (failures > 0) setApiStatus("offline");
+        const delay = Math.min(
+          STREAM_RETRY_MAX_MS,
+          STREAM_RETRY_BASE_MS * 2 ** failures,
+        );
+        failures++;
+        retryTimer = setTimeout(connect, delay * (0.5 + Math.random() / 2));
+      };
+    }
+
+    connect();
+
+    return () => {
+      closed = true;
+      clearTimeout(retryTimer);
+      source?.close();
+    };
+  }, [setLibraryCache, setApiStatus]);
+}
+
 export default function App() {
-  const days = useMemo(() => getNext8Days(), []);
-  const [selectedDate, setSelectedDate] = useState(days[0].dateStr);
-  const [libraries, setLibraries] = useState([]);
+  // The server's date window (bootstrap, then /api/time) so every visitor
+  // picks from dates the server actually caches, whatever their own zone
+  const [dates, setDates] = useState(
+    () => BOOTSTRAP?.dates || getLocalDates(BOOT_TIME_ZONE),
+  );
+  const days = useMemo(() => buildDays(dates), [dates]);
+  // Date, filters and open libraries from the link (or saved filters)
+  const [initialView] = useState(() => getInitialViewState(dates));
+  const [selectedDate, setSelectedDate] = useState(initialView.date);
+  const [libraryConfig, setLibraryConfig] = useState(
+    () => BOOT_LIBRARY_CONFIG ?? [],
+  );
   const [loading, setLoading] = useState(
     () => !(INITIAL?.libraryCache && Object.keys(INITIAL.libraryCache).length),
   );
-  const [expandedLibraries, setExpandedLibraries] = useState([]);
+  const [expandedLibraries, setExpandedLibraries] = useState(
+    initialView.expanded,
+  );
+  const [view, setView] = useState("rooms"); // "rooms" | "hours" | "insights"
   const [currentTime, setCurrentTime] = useState({
     hour: 12,
     minute: 0,
     display: "Loading...",
   });
   const [apiStatus, setApiStatus] = useState(INITIAL ? "online" : "checking");
-  const hasBoot = !!(
-    INITIAL?.libraryCache && Object.keys(INITIAL.libraryCache).length
+  const [libraryCache, setLibraryCache] = useState(
+    () => INITIAL?.libraryCache ?? {},
   );
-  const [libraryCache] = useState(() => INITIAL?.libraryCache ?? {});
 
-  const [timeFilter, setTimeFilter] = useState({ start: null, end: null });
-  const [durationFilter, setDurationFilter] = useState(null); // Minimum consecutive free minutes
-  const [libraryFilter, setLibraryFilter] = useState(DEFAULT_LIBRARY_FILTER);
+  const [timeFilter, setTimeFilter] = useState(initialView.filters.timeFilter);
+  const [durationFilter, setDurationFilter] = useState(
+    initialView.filters.durationFilter,
+  ); // Minimum consecutive free minutes
+  // null = config defaults (known only once the library config has loaded)
+  const [libraryFilter, setLibraryFilter] = useState(
+    initialView.filters.libraryFilter,
+  );
+  const [capacityFilter, setCapacityFilter] = useState(
+    initialView.filters.capacityFilter,
+  ); // Minimum group size
+  const [amenityFilter, setAmenityFilter] = useState(
+    initialView.filters.amenityFilter,
+  ); // Amenities a room must have
+
+  const roomFilter = useMemo(
+    () => ({ minCapacity: capacityFilter, amenities: amenityFilter }),
+    [capacityFilter, amenityFilter],
+  );
+
+  const savedFilters = useMemo(
+    () => ({
+      start: timeFilter.start,
+      end: timeFilter.end,
+      duration: durationFilter,
+      libraries: libraryFilter,
+      minCapacity: capacityFilter,
+      amenities: amenityFilter,
+    }),
+    [timeFilter, durationFilter, libraryFilter, capacityFilter, amenityFilter],
+  );
+
+  useEffect(() => {
+    writeSavedFilters(savedFilters);
+  }, [savedFilters]);
+
+  // Mirror the view into the query string: each change is a history entry,
+  // and back/forward restores the view from the URL
+  const urlSearch = buildUrlSearch({
+    date: selectedDate,
+    isDefaultDate: selectedDate === dates[0],
+    filters: savedFilters,
+    expanded: expandedLibraries,
+  });
+  const historySynced = useRef(false);
+
+  useEffect(() => {
+    if (urlSearch !== window.location.search) {
+      const url = `${window.location.pathname}${urlSearch}${window.location.hash}`;
+      // The first sync only tidies the URL the page loaded with
+      if (historySynced.current) window.history.pushState(null, "", url);
+      else window.history.replaceState(null, "", url);
+    }
+    historySynced.current = true;
+  }, [urlSearch]);
+
+  useEffect(() => {
+    const onPopState = () => {
+      const url = readUrlState(window.location.search);
+      setSelectedDate(dates.includes(url.date) ? url.date : dates[0]);
+      setExpandedLibraries(url.expanded);
+      setTimeFilter(url.filters.timeFilter);
+      setDurationFilter(url.filters.durationFilter);
+      setLibraryFilter(url.filters.libraryFilter);
+      setCapacityFilter(url.filters.capacityFilter);
+      setAmenityFilter(url.filters.amenityFilter);
+    };
+    window.addEventListener("popstate", onPopState);
+    return () => window.removeEventListener("popstate", onPopState);
+  }, [dates]);
 
   const isToday = selectedDate === days[0].dateStr;
 
@@ -1259,80 +2152,149 @@ export default function App() {
       ? Date.now() % 60000 > 57000
       : false;
 
+  const defaultLibraryFilter = useMemo(
+    () =>
+      libraryConfig
+        .filter((lib) => lib.defaultSelected !== false)
+        .map((lib) => lib.id),
+    [libraryConfig],
+  );
+  const activeLibraryFilter = libraryFilter ?? defaultLibraryFilter;
+
+  // Cached data for the selected date, or empty libraries from the config
+  const libraries = useMemo(
+    () =>
+      libraryCache[selectedDate]?.data ||
+      libraryConfig.map((lib) => ({ ...lib, rooms: [] })),
+    [libraryCache, selectedDate, libraryConfig],
+  );
+
   // Filter libraries based on checkbox selection
   const filteredLibraries = libraries.filter((lib) =>
-    libraryFilter.includes(lib.id),
+    activeLibraryFilter.includes(lib.id),
   );
 
   const toggleLibraryFilter = (id) => {
-    setLibraryFilter((prev) =>
-      prev.includes(id) ? prev.filter((l) => l !== id) : [...prev, id],
+    setLibraryFilter((prev) => {
+      const current = prev ?? defaultLibraryFilter;
+      return current.includes(id)
+        ? current.filter((l) => l !== id)
+        : [...current, id];
+    });
+  };
+
+  const toggleAmenityFilter = (amenity) => {
+    setAmenityFilter((prev) =>
+      prev.includes(amenity)
+        ? prev.filter((a) => a !== amenity)
+        : [...prev, amenity],
     );
   };
 
-  // Sync with backend server once, then tick using local clock + offset
+  // Amenities rooms actually have (known ones first), plus any still selected
+  const availableAmenities = useMemo(() => {
+    const found = new Set(amenityFilter);
+    libraries.forEach((lib) =>
+      lib.rooms?.forEach((room) =>
+        room.amenities?.forEach((a) => found.add(a)),
+      ),
+    );
+    const known = Object.keys(AMENITY_ICONS);
+    if (found.size === 0) return known;
+    return [
+      ...known.filter((a) => found.has(a)),
+      ...[...found].filter((a) => !known.includes(a)).sort(),
+    ];
+  }, [libraries, amenityFilter]);
+
+  // Without a bootstrap (e.g. Vite dev server), load the library config
+  useEffect(() => {
+    if (BOOT_LIBRARY_CONFIG) return;
+    let cancelled = false;
+    fetch(apiUrl("/api/config"))
+      .then((res) => (res.ok ? res.json() : Promise.reject(res.status)))
+      .then((data) => {
+        if (!cancelled) setLibraryConfig(data.libraries || []);
+      })
+      .catch(() => {
+        if (!cancelled) setApiStatus("offline");
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  // Sync with the backend clock, then tick using local clock + offset.
+  // Re-syncs on a schedule so skewed or drifting device clocks don't
+  // break past-slot filtering.
   useEffect(() => {
     let serverOffset = 0;
     let dateStr = "";
+    let synced = false;
+    let timeZone = BOOT_TIME_ZONE;
 
     const formatDateStr = (ms) =>
       new Date(ms).toLocaleDateString("en-US", {
-        timeZone: "America/New_York",
+        timeZone,
         weekday: "short",
         month: "short",
         day: "numeric",
       });
 
     async function syncWithServer() {
-      // If server injected a timestamp into HTML, don’t call /api/time from browser
-      if (INITIAL?.serverNowMs) {
-        serverOffset = INITIAL.serverNowMs - Date.now();
-        dateStr = formatDateStr(Date.now() + serverOffset);
-        return;
-      }
-
       try {
         const before = Date.now();
-        const res = await fetch(apiUrl("/api/time"));
+        const res = await fetch(apiUrl("/api/time"), { cache: "no-store" });
+        if (!res.ok) throw new Error(`HTTP ${res.status}`);
         const data = await res.json();
         const after = Date.now();
 
         // Use midpoint to reduce RTT bias
         const midpoint = Math.floor((before + after) / 2);
         serverOffset = data.timestamp - midpoint;
-        dateStr = data.dateStr || formatDateStr(Date.now() + serverOffset);
+        synced = true;
+
+        if (data.timeZone) timeZone = data.timeZone;
+        // Roll the day list over at the server's midnight
+        if (Array.isArray(data.dates) && data.dates.length) {
+          setDates((prev) =>
+            prev.join() === data.dates.join() ? prev : data.dates,
+          );
+        }
       } catch {
-        serverOffset = 0;
-        dateStr = formatDateStr(Date.now());
+        // Keep the last known offset (bootstrap or previous sync)
+        if (!synced) serverOffset = 0;
       }
+      dateStr = formatDateStr(Date.now() + serverOffset);
     }
 
     function updateDisplay() {
       const nowMs = Date.now() + serverOffset;
 
-      // Get NY time components reliably
-      const ny = new Date(nowMs);
+      // Get deployment-zone time components reliably
+      const now = new Date(nowMs);
       const parts = new Intl.DateTimeFormat("en-US", {
-        timeZone: "America/New_York",
+        timeZone,
         hour12: false,
         hour: "2-digit",
         minute: "2-digit",
         second: "2-digit",
+        timeZoneName: "short",
       })
-        .formatToParts(ny)
+        .formatToParts(now)
         .reduce((acc, p) => {
           if (p.type !== "literal") acc[p.type] = p.value;
           return acc;
         }, {});
 
-      const hours = Number(parts.hour);
+      const hours = Number(parts.hour) % 24;
       const minutes = Number(parts.minute);
       const seconds = Number(parts.second);
 
       const displayHour = hours > 12 ? hours - 12 : hours === 0 ? 12 : hours;
       const period = hours >= 12 ? "PM" : "AM";
 
-      // Update dateStr at midnight (NY time) or if not set
+      // Update dateStr at midnight (deployment time) or if not set
       if (!dateStr || (hours === 0 && minutes === 0 && seconds === 0)) {
         dateStr = formatDateStr(nowMs);
       }
@@ -1340,55 +2302,106 @@ export default function App() {
       setCurrentTime({
         hour: hours,
         minute: minutes,
-        display: `${displayHour}:${String(minutes).padStart(2, "0")} ${period} EST, ${dateStr}`,
+        display: `${displayHour}:${String(minutes).padStart(2, "0")} ${period} ${parts.timeZoneName || "EST"}, ${dateStr}`,
       });
     }
 
+    // Waking a sleeping tab/kiosk is when the local clock is most likely off
+    const onVisibilityChange = () => {
+      if (document.visibilityState === "visible") {
+        syncWithServer().then(updateDisplay);
+      }
+    };
+
     let displayInterval = null;
     let syncInterval = null;
+    let cancelled = false;
+
+    // Server-injected timestamp gives an instant first estimate (the cached
+    // HTML may be up to a minute old, so still confirm with /api/time)
+    if (INITIAL?.serverNowMs) {
+      serverOffset = INITIAL.serverNowMs - Date.now();
+      dateStr = formatDateStr(Date.now() + serverOffset);
+      synced = true;
+      updateDisplay();
+    }
 
     // Initial sync then start ticking
     (async () => {
       await syncWithServer();
+      if (cancelled) return;
       updateDisplay();
 
       // Tick once per second (smooth enough, avoids insane re-renders)
       displayInterval = setInterval(updateDisplay, 1000);
 
-      // Re-sync every 5 minutes ONLY if we needed /api/time
-      if (!INITIAL?.serverNowMs) {
-        syncInterval = setInterval(
-          async () => {
-            await syncWithServer();
-          },
-          5 * 60 * 1000,
-        );
-      }
+      // Re-sync every 5 minutes to correct drift
+      syncInterval = setInterval(syncWithServer, TIME_SYNC_INTERVAL_MS);
+      document.addEventListener("visibilitychange", onVisibilityChange);
     })();
 
     return () => {
+      cancelled = true;
       if (displayInterval) clearInterval(displayInterval);
       if (syncInterval) clearInterval(syncInterval);
+      document.removeEventListener("visibilitychange", onVisibilityChange);
     };
   }, []);
 
+  // Keep the selection inside the window when it rolls over at midnight
   useEffect(() => {
-    // If injected initial data into the HTML, don't hit /api/* from the browser.
-    if (hasBoot) {
-      setApiStatus("online");
-      setLoading(false);
-      return;
-    }
+    if (!dates.includes(selectedDate)) setSelectedDate(dates[0]);
+  }, [dates, selectedDate]);
 
-    return () => clearInterval(interval);
-  }, [days, hasBoot]);
+  // Bootstrap data is only a starting point: the stream keeps it current (and
+  // provides the initial data when there is no bootstrap, e.g. Vite dev)
+  useLiveAvailability(setLibraryCache, setApiStatus);
 
-  // Update libraries state when selected date or cache changes
   useEffect(() => {
-    if (libraryCache[selectedDate]?.data) {
-      setLibraries(libraryCache[selectedDate].data);
+    if (libraryCache[selectedDate]) setLoading(false);
+  }, [libraryCache, selectedDate]);
+
+  // Today's data for the recommendations, whichever date is being viewed
+  const todayLibraries = useMemo(
+    () =>
+      (libraryCache[dates[0]]?.data || []).filter((lib) =>
+        activeLibraryFilter.includes(lib.id),
+      ),
+    [libraryCache, dates, activeLibraryFilter],
+  );
+
+  const showLibrary = (id) => {
+    setSelectedDate(dates[0]);
+    setExpandedLibraries((prev) => (prev.includes(id) ? prev : [...prev, id]));
+  };
+
+  // Holiday closures and reduced hours per date for the selected libraries,
+  // shown on the date picker: { [date]: { allClosed, summary } }
+  const dayExceptions = useMemo(() => {
+    const byDate = {};
+    for (const dateStr of dates) {
+      const libs = (libraryCache[dateStr]?.data || []).filter((lib) =>
+        activeLibraryFilter.includes(lib.id),
+      );
+      const exceptions = libs
+        .map((lib) => ({ lib, exception: getHoursException(lib) }))
+        .filter(({ exception }) => exception?.closed || exception?.reduced);
+      if (exceptions.length === 0) continue;
+
+      byDate[dateStr] = {
+        allClosed:
+          exceptions.length === libs.length &&
+          exceptions.every(({ exception }) => exception.closed),
+        summary: exceptions
+          .map(
+            ({ lib, exception }) =>
+              `${lib.shortName || lib.name}: ${exception.closed ? "Closed" : "Reduced hours"}${exception.note ? ` (${exception.note})` : ""}`,
+          )
+          .join("\n"),
+      };
     }
-  }, [selectedDate, libraryCache]);
+    return byDate;
+  }, [dates, libraryCache, activeLibraryFilter]);
 
   const toggleLibrary = (id) => {
     setExpandedLibraries((prev) =>
@@ -1396,58 +2409,35 @@ export default function App() {
     );
   };
 
-  const parseTime = (timeStr) => {
-    const match = timeStr.match(/^(\d{1,2}):(\d{2})([ap]m)$/i);
-    if (!match) return null;
-    let [, hourStr, minStr, period] = match;
-    let hour = parseInt(hourStr);
-    const minute = parseInt(minStr);
-    if (period.toLowerCase() === "pm" && hour !== 12) hour += 12;
-    if (period.toLowerCase() === "am" && hour === 12) hour = 0;
-    return { hour, minute, total: hour * 60 + minute };
-  };
-
   const stats = useMemo(() => {
     const currentMinutes = currentTime.hour * 60 + currentTime.minute;
     const currentHour = currentTime.hour + currentTime.minute / 60;
 
     let totalRooms = 0;
     let availableSlots = 0;
+    let reducedLibraries = 0;
 
     filteredLibraries.forEach((lib) => {
-      // Get library hours - prefer API hours over defaults
-      let hours = LIBRARY_HOURS[lib.id] || { open: 0, close: 24 };
-
-      // Use hours from API if available (now has reservation/building structure)
-      if (lib.hours && lib.id !== "hsl") {
-        const reservationHours = lib.hours.reservation;
-        if (reservationHours) {
-          if (reservationHours.closed) {
-            hours = { ...hours, open: 0, close: 0, closed: true };
-          } else if (
-            reservationHours.open !== null &&
-            reservationHours.close !== null
-          ) {
-            hours = {
-              ...hours,
-              open: reservationHours.open,
-              close: reservationHours.close,
-            };
-          }
-        }
-      }
-
       // Check if library is closed for the day or past closing time
-      const isClosedForDay = hours.closed === true;
-      const isPastClosing =
-        isToday && (isClosedForDay || currentHour >= hours.close);
+      const hours = getReservationHours(lib);
+      const { isClosedForDay, isPastClosing } = getOpenStatus(
+        hours,
+        isToday,
+        currentHour,
+      );
+
+      // Skip if library is closed (a holiday closure counts on any date)
+      if (isPastClosing || isClosedForDay) return;
 
-      // Skip if library is closed
-      if (isPastClosing || (isToday && isClosedForDay)) return;
+      // A partial closure shortens the day rather than leaving it open
+      if (getHoursException(lib)?.reduced) reducedLibraries += 1;
+      const isReservable = (minutes) =>
+        minutes >= hours.open * 60 && minutes < hours.close * 60;
 
       // Filter rooms based on filter criteria
       const filteredRooms =
         lib.rooms?.filter((room) => {
+          if (!roomMatchesFilters(room, roomFilter)) return false;
           if (timeFilter.start !== null && timeFilter.end !== null) {
             if (
               !roomHasEntireBlockFree(
@@ -1480,26 +2470,28 @@ export default function App() {
 
       availableSlots += filteredRooms.reduce((a, r) => {
         const slots =
-          r.slots?.filter((s) => {
-            const parsed = parseTime(s.time);
-            if (!parsed) return false;
-
-            const slotEndMinutes = parsed.total + 30;
-
-            if (isToday && slotEndMinutes <= currentMinutes) return false;
-            if (timeFilter.start !== null && parsed.total < timeFilter.start)
-              return false;
-            if (timeFilter.end !== null && parsed.total >= timeFilter.end)
-              return false;
-
-            return true;
-          }) || [];
+          r.slots?.filter(
+            (s) =>
+              isReservable(slotMinutesOf(s)) &&
+              isSlotInWindow(slotMinutesOf(s), {
+                from: timeFilter.start,
+                to: timeFilter.end,
+                afterMinutes: isToday ? currentMinutes : null,
+              }),
+          ) || [];
         return a + slots.filter((s) => s.available).length;
       }, 0);
     });
 
-    return { totalRooms, availableSlots };
-  }, [filteredLibraries, currentTime, isToday, timeFilter, durationFilter]);
+    return { totalRooms, availableSlots, reducedLibraries };
+  }, [
+    filteredLibraries,
+    currentTime,
+    isToday,
+    timeFilter,
+    durationFilter,
+    roomFilter,
+  ]);
 
   const selectedDayLabel =
     days.find((d) => d.dateStr === selectedDate)?.fullLabel || "";
@@ -1544,128 +2536,223 @@ export default function App() {
       </header>
 
       <main className="max-w-6xl mx-auto px-4 py-6">
-        {/* Date Picker */}
-        <div className="mb-4">
-          <p className="text-sm text-slate-400 mb-2">Select Date</p>
-          <DatePicker
-            selectedDate={selectedDate}
-            onDateChange={setSelectedDate}
-            days={days}
-          />
+        {/* View switcher */}
+        <div className="flex gap-2 mb-6">
+          {[
+            { id: "rooms", label: "Rooms" },
+            { id: "hours", label: "Hours" },
+            { id: "insights", label: "Booking Insights" },
+          ].map((tab) => (
+            <button
+              key={tab.id}
+              onClick={() => setView(tab.id)}
+              className={`px-4 py-2 rounded-lg text-sm font-medium transition-all ${
+                view === tab.id
+                  ? "bg-indigo-600 text-white"
+                  : "bg-slate-800 text-slate-300 hover:bg-slate-700"
+              }`}
+            >
+              {tab.label}
+            </button>
+          ))}
         </div>
 
-        {/* Time Range Filter - Find rooms with entire block free */}
-        <div className="mb-4">
-          <p className="text-sm text-slate-400 mb-2">
-            Find Rooms Free for Entire Time Block
-          </p>
-          <TimeFilter
-            startTime={timeFilter.start}
-            endTime={timeFilter.end}
-            onStartChange={(start) =>
-              setTimeFilter((prev) => ({
-                start,
-                end:
-                  start === null
-                    ? null
-                    : prev.end && prev.end <= start
-                      ? null
-                      : prev.end,
-              }))
-            }
-            onEndChange={(end) => setTimeFilter((prev) => ({ ...prev, end }))}
-            onClear={() => setTimeFilter({ start: null, end: null })}
-          />
-        </div>
+        {view === "insights" ? (
+          <AnalyticsView libraries={libraryConfig} />
+        ) : view === "hours" ? (
+          <HoursView libraries={libraryConfig} today={dates[0]} />
+        ) : (
+          <>
+            <RecommendationPanel
+              libraries={todayLibraries}
+              libraryOptions={libraryConfig}
+              date={dates[0]}
+              currentTime={currentTime}
+              roomFilter={roomFilter}
+              onShowLibrary={showLibrary}
+            />
 
-        {/* Duration Filter - Find rooms with X consecutive free slots */}
-        <div className="mb-4">
-          <p className="text-sm text-slate-400 mb-2">
-            Or Find Rooms with Consecutive Free Time
-          </p>
-          <DurationFilter
-            duration={durationFilter}
-            onDurationChange={setDurationFilter}
-            onClear={() => setDurationFilter(null)}
-          />
-        </div>
+            {/* Date Picker */}
+            <div className="mb-4">
+              <p className="text-sm text-slate-400 mb-2">Select Date</p>
+              <DatePicker
+                selectedDate={selectedDate}
+                onDateChange={setSelectedDate}
+                days={days}
+                dayExceptions={dayExceptions}
+              />
+            </div>
 
-        {/* Library Filter */}
-        <div className="mb-6">
-          <p className="text-sm text-slate-400 mb-2">Show Libraries</p>
-          <LibraryFilter
-            selectedLibraries={libraryFilter}
-            onToggle={toggleLibraryFilter}
-          />
-        </div>
+            {/* Time Range Filter - Find rooms with entire block free */}
+            <div className="mb-4">
+              <p className="text-sm text-slate-400 mb-2">
+                Find Rooms Free for Entire Time Block
+              </p>
+              <TimeFilter
+                startTime={timeFilter.start}
+                endTime={timeFilter.end}
+                onStartChange={(start) =>
+                  setTimeFilter((prev) => ({
+                    start,
+                    end:
+                      start === null
+                        ? null
+                        : prev.end && prev.end <= start
+                          ? null
+                          : prev.end,
+                  }))
+                }
+                onEndChange={(end) =>
+                  setTimeFilter((prev) => ({ ...prev, end }))
+                }
+                onClear={() => setTimeFilter({ start: null, end: null })}
+              />
+            </div>
 
-        {/* API Status Banner */}
-        {apiStatus === "offline" && (
-          <div className="bg-amber-600/10 border border-amber-600/30 rounded-lg p-4 mb-6">
-            <div className="flex items-start gap-3">
-              <span className="text-xl">⚠️</span>
-              <div>
-                <p className="text-amber-400 font-medium">
-                  Backend not running
+            {/* Duration Filter - Find rooms with X consecutive free slots */}
+            <div className="mb-4">
+              <p className="text-sm text-slate-400 mb-2">
+                Or Find Rooms with Consecutive Free Time
+              </p>
+              <DurationFilter
+                duration={durationFilter}
+                onDurationChange={setDurationFilter}
+                onClear={() => setDurationFilter(null)}
+              />
+            </div>
+
+            {/* Room Filter - Group size and required amenities */}
+            <div className="mb-4">
+              <p className="text-sm text-slate-400 mb-2">Room Features</p>
+              <RoomFeatureFilter
+                capacity={capacityFilter}
+                amenities={amenityFilter}
+                availableAmenities={availableAmenities}
+                onCapacityChange={setCapacityFilter}
+                onToggleAmenity={toggleAmenityFilter}
+                onClear={() => {
+                  setCapacityFilter(null);
+                  setAmenityFilter([]);
+                }}
+              />
+            </div>
+
+            {/* Saved search: push notification when a matching room opens */}
+            {(timeFilter.start !== null || durationFilter !== null) && (
+              <div className="mb-4">
+                <NotifyButton
+                  label="Notify me when a matching room opens"
+                  search={buildSavedSearch({
+                    libraries: activeLibraryFilter,
+                    date: selectedDate,
+                    timeFilter,
+                    durationFilter,
+                    defaultDuration: 60,
+                  })}
+                />
+              </div>
+            )}
+
+            {/* Library Filter */}
+            <div className="mb-6">
+              <p className="text-sm text-slate-400 mb-2">Show Libraries</p>
+              <LibraryFilter
+                libraries={libraryConfig}
+                selectedLibraries={activeLibraryFilter}
+                onToggle={toggleLibraryFilter}
+              />
+            </div>
+
+            {/* API Status Banner */}
+            {apiStatus === "offline" && (
+              <div className="bg-amber-600/10 border border-amber-600/30 rounded-lg p-4 mb-6">
+                <div className="flex items-start gap-3">
+                  <span className="text-xl">⚠️</span>
+                  <div>
+                    <p className="text-amber-400 font-medium">
+                      Backend not running
+                    </p>
+                    <p className="text-sm text-amber-400/70 mt-1">
+                      Start the server with:{" "}
+                      <code className="bg-slate-800 px-2 py-0.5 rounded">
+                        cd server && node index.js
+                      </code>
+                    </p>
+                  </div>
+                </div>
+              </div>
+            )}
+
+            {/* Saved-snapshot notice (server restarted, live data still loading) */}
+            {libraryCache[selectedDate]?.stale && (
+              <div className="bg-slate-800/60 border border-slate-700 rounded-lg p-3 mb-6 text-sm text-slate-400">
+                Showing saved data from{" "}
+                {new Date(
+                  libraryCache[selectedDate].fetchedAt,
+                ).toLocaleTimeString()}{" "}
+                while live availability loads.
+              </div>
+            )}
+
+            {/* Stats */}
+            <div className="grid grid-cols-3 gap-4 mb-6">
+              <div className="bg-slate-800 rounded-lg p-4 text-center">
+                <p className="text-2xl font-bold text-white">
+                  {filteredLibraries.length}
                 </p>
-                <p className="text-sm text-amber-400/70 mt-1">
-                  Start the server with:{" "}
-                  <code className="bg-slate-800 px-2 py-0.5 rounded">
-                    cd server && node index.js
-                  </code>
+                <p className="text-sm text-slate-400">Libraries</p>
+              </div>
+              <div className="bg-slate-800 rounded-lg p-4 text-center">
+                <p className="text-2xl font-bold text-white">
+                  {stats.totalRooms}
                 </p>
+                <p className="text-sm text-slate-400">Rooms</p>
+              </div>
+              <div className="bg-slate-800 rounded-lg p-4 text-center">
+                <p
+                  className={`text-2xl font-bold ${stats.availableSlots > 0 ? "text-emerald-400" : "text-red-400"}`}
+                >
+                  {stats.availableSlots}
+                </p>
+                <p className="text-sm text-slate-400">Available Slots</p>
+                {stats.reducedLibraries > 0 && (
+                  <p className="text-xs text-amber-400">
+                    {stats.reducedLibraries}{" "}
+                    {stats.reducedLibraries === 1 ? "library" : "libraries"} on
+                    reduced hours
+                  </p>
+                )}
               </div>
             </div>
-          </div>
-        )}
 
-        {/* Stats */}
-        <div className="grid grid-cols-3 gap-4 mb-6">
-          <div className="bg-slate-800 rounded-lg p-4 text-center">
-            <p className="text-2xl font-bold text-white">
-              {filteredLibraries.length}
-            </p>
-            <p className="text-sm text-slate-400">Libraries</p>
-          </div>
-          <div className="bg-slate-800 rounded-lg p-4 text-center">
-            <p className="text-2xl font-bold text-white">{stats.totalRooms}</p>
-            <p className="text-sm text-slate-400">Rooms</p>
-          </div>
-          <div className="bg-slate-800 rounded-lg p-4 text-center">
-            <p
-              className={`text-2xl font-bold ${stats.availableSlots > 0 ? "text-emerald-400" : "text-red-400"}`}
-            >
-              {stats.availableSlots}
-            </p>
-            <p className="text-sm text-slate-400">Available Slots</p>
-          </div>
-        </div>
+            {/* Loading State */}
+            {loading && (
+              <div className="text-center py-12">
+                <div className="animate-spin text-4xl mb-4">⏳</div>
+                <p className="text-slate-400">
+                  Loading availability for {selectedDayLabel}...
+                </p>
+              </div>
+            )}
 
-        {/* Loading State */}
-        {loading && (
-          <div className="text-center py-12">
-            <div className="animate-spin text-4xl mb-4">⏳</div>
-            <p className="text-slate-400">
-              Loading availability for {selectedDayLabel}...
-            </p>
-          </div>
+            {/* Libraries */}
+            {!loading &&
+              filteredLibraries.map((library) => (
+                <LibrarySection
+                  key={library.id}
+                  library={library}
+                  currentTime={currentTime}
+                  expanded={expandedLibraries.includes(library.id)}
+                  onToggle={() => toggleLibrary(library.id)}
+                  isToday={isToday}
+                  timeFilter={timeFilter}
+                  durationFilter={durationFilter}
+                  roomFilter={roomFilter}
+                  selectedDate={selectedDate}
+                />
+              ))}
+          </>
         )}
-
-        {/* Libraries */}
-        {!loading &&
-          filteredLibraries.map((library) => (
-            <LibrarySection
-              key={library.id}
-              library={library}
-              currentTime={currentTime}
-              expanded={expandedLibraries.includes(library.id)}
-              onToggle={() => toggleLibrary(library.id)}
-              isToday={isToday}
-              timeFilter={timeFilter}
-              durationFilter={durationFilter}
-              selectedDate={selectedDate}
-            />
-          ))}
       </main>
 
       {/* Footer */}
@@ -4,4 +4,10 @@ import react from "@vitejs/plugin-react";
 export default defineConfig({
   plugins: [react()],
   base: "/",
+  server: {
+    // Forward API calls to the Express server during `npm run dev`
+    proxy: {
+      "/api": `http://localhost:${process.env.PORT || 3000}`,
+    },
+  },
 });